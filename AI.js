@@ -4,10 +4,19 @@
  */
 
 class AI {
-    constructor(ship, enemyShip, sun) {
+    /**
+     * @param {Ship|Array<Ship>} enemies Ship(s) to fight; the nearest active one is targeted
+     * @param {Sun|Array<Sun>} bodies Gravitating bodies to stay away from
+     * @param {Random} rng Own random source (derive it from the world's for reproducible matches)
+     * @param {Boundary} boundary The match's arena edge: aim the short way round a toroidal arena, keep clear of an open one's rim
+     */
+    constructor(ship, enemies, bodies, rng = new Random(), boundary = new Boundary()) {
         this.ship = ship;
-        this.enemyShip = enemyShip;
-        this.sun = sun;
+        this.enemies = Array.isArray(enemies) ? enemies : [enemies];
+        this.enemyShip = this.enemies[0]; // Current target
+        this.bodies = Array.isArray(bodies) ? bodies : [bodies];
+        this.rng = rng;
+        this.boundary = boundary;
 
         // AI behavior parameters
         this.updateInterval = 10; // Update AI decisions every N frames
@@ -25,7 +34,7 @@ class AI {
         this.reactionTime = 15; // Frames of delay in reactions
         this.shootProbability = 0.3; // Chance to shoot when aimed
         this.shootAngleThreshold = 0.3; // How precise aiming needs to be to shoot
-        this.safeDistanceFromSun = 250; // Minimum distance from sun
+        this.safeDistanceFromSun = 250; // Minimum distance from sun (scaled by body mass, see getNearestDanger)
         this.criticalDistanceFromSun = 200; // Distance at which to start worrying
     }
 
@@ -33,7 +42,8 @@ class AI {
      * Update AI decision making
      */
     update() {
-        if (!this.ship.active || !this.enemyShip.active) {
+        this.enemyShip = this.selectTarget();
+        if (!this.ship.active || !this.enemyShip) {
             return {
                 rotateLeft: false,
                 rotateRight: false,
@@ -58,15 +68,53 @@ class AI {
         return this.executeActions();
     }
 
+    /**
+     * Pick the nearest active enemy (null if none is flying)
+     */
+    selectTarget() {
+        let nearest = null;
+        let nearestDistance = Infinity;
+        for (const enemy of this.enemies) {
+            if (!enemy.active) continue;
+            const distance = this.getOffsetTo(enemy.position).magnitude();
+            if (distance < nearestDistance) {
+                nearest = enemy;
+                nearestDistance = distance;
+            }
+        }
+        return nearest;
+    }
+
+    /**
+     * Find the gravitating body that threatens the ship most
+     * Distances are scaled by the body's mass relative to the classic sun, so
+     * heavier bodies are avoided from further away and light planets from closer.
+     * @returns {Object} {body, distance} with the scaled distance
+     */
+    getNearestDanger() {
+        let nearest = null;
+        let nearestDistance = Infinity;
+        for (const body of this.bodies) {
+            const distance = this.getOffsetTo(body.position).magnitude() / Math.sqrt(body.mass / AI.REFERENCE_MASS);
+            if (distance < nearestDistance) {
+                nearest = body;
+                nearestDistance = distance;
+            }
+        }
+        return { body: nearest, distance: nearestDistance };
+    }
+
     /**
      * Make strategic decisions
      */
     makeDecisions() {
-        const distanceToSun = this.ship.position.distanceTo(this.sun.position);
-        const distanceToEnemy = this.ship.position.distanceTo(this.enemyShip.position);
+        const danger = this.getNearestDanger();
+        const sun = danger.body;
+        const distanceToSun = danger.distance;
+        const distanceToEnemy = this.getOffsetTo(this.enemyShip.position).magnitude();
 
         // Check if we're moving towards the sun
-        const directionToSun = Vector2.subtract(this.sun.position, this.ship.position);
+        const directionToSun = this.getOffsetTo(sun.position);
         directionToSun.normalize();
         const velocityNormalized = this.ship.velocity.clone().normalize();
         const dotProduct = directionToSun.x * velocityNormalized.x + directionToSun.y * velocityNormalized.y;
@@ -75,7 +123,15 @@ class AI {
         // Priority 1: Avoid the sun if too close OR moving towards it from critical distance
         if (distanceToSun < this.safeDistanceFromSun ||
             (distanceToSun < this.criticalDistanceFromSun && movingTowardsSun)) {
-            this.avoidSun();
+            this.avoidSun(sun);
+            this.shouldShoot = false;
+            return;
+        }
+
+        // Priority 1b: Turn back before drifting out of an open arena
+        if (this.isLeavingArena()) {
+            this.targetAngle = Math.atan2(this.boundary.centerY - this.ship.position.y, this.boundary.centerX - this.ship.position.x);
+            this.shouldThrust = true;
             this.shouldShoot = false;
             return;
         }
@@ -108,7 +164,7 @@ class AI {
         // Simpler logic: Shield if enemy is close and facing us
         if (distanceToEnemy < 200) {
             // Check if enemy aiming at us
-            const dirToUs = Vector2.subtract(this.ship.position, this.enemyShip.position);
+            const dirToUs = this.boundary.getOffset(this.enemyShip.position, this.ship.position);
             const angleToUs = Math.atan2(dirToUs.y, dirToUs.x);
             const angleDiff = this.getAngleDifference(this.enemyShip.angle, angleToUs);
 
@@ -119,12 +175,11 @@ class AI {
     }
 
     /**
-     * Avoid getting too close to the sun
+     * Avoid getting too close to a sun (or planet)
      */
-    avoidSun() {
-        const directionToSun = Vector2.subtract(this.sun.position, this.ship.position);
+    avoidSun(sun) {
+        const directionToSun = this.getOffsetTo(sun.position);
         const angleToSun = Math.atan2(directionToSun.y, directionToSun.x);
-        const distanceToSun = this.ship.position.distanceTo(this.sun.position);
 
         // Point away from sun
         this.targetAngle = angleToSun + Math.PI;
@@ -137,34 +192,34 @@ class AI {
      * Combat behavior - aim and shoot at enemy
      */
     combatBehavior() {
-        const distanceToEnemy = this.ship.position.distanceTo(this.enemyShip.position);
+        const distanceToEnemy = this.getOffsetTo(this.enemyShip.position).magnitude();
 
         // Calculate where to aim (predict enemy position)
         const prediction = this.predictEnemyPosition();
-        const directionToTarget = Vector2.subtract(prediction, this.ship.position);
+        const directionToTarget = this.getOffsetTo(prediction);
         const angleToTarget = Math.atan2(directionToTarget.y, directionToTarget.x);
 
         // Add some randomness based on accuracy
-        const aimError = (1 - this.aimAccuracy) * (Math.random() - 0.5) * Math.PI * 0.5;
+        const aimError = (1 - this.aimAccuracy) * (this.rng.next() - 0.5) * Math.PI * 0.5;
         this.targetAngle = angleToTarget + aimError;
 
         // Decide whether to thrust (maintain distance or approach)
         const optimalDistance = 300;
         if (distanceToEnemy > optimalDistance) {
             // Too far, approach enemy
-            this.shouldThrust = Math.random() > 0.3;
+            this.shouldThrust = this.rng.next() > 0.3;
         } else if (distanceToEnemy < 200) {
             // Too close, back off (don't thrust directly at enemy)
             const angleDiff = this.getAngleDifference(this.ship.angle, angleToTarget);
             this.shouldThrust = Math.abs(angleDiff) > Math.PI / 2;
         } else {
             // Good distance, maneuver
-            this.shouldThrust = Math.random() > 0.5;
+            this.shouldThrust = this.rng.next() > 0.5;
         }
 
         // Shoot if aimed roughly at target - use difficulty threshold
         const currentAngleDiff = this.getAngleDifference(this.ship.angle, angleToTarget);
-        this.shouldShoot = Math.abs(currentAngleDiff) < this.shootAngleThreshold && Math.random() < this.shootProbability;
+        this.shouldShoot = Math.abs(currentAngleDiff) < this.shootAngleThreshold && this.rng.next() < this.shootProbability;
     }
 
     /**
@@ -179,6 +234,22 @@ class AI {
         return predicted;
     }
 
+    /**
+     * Vector from the ship to a point (the short way round on a toroidal arena)
+     */
+    getOffsetTo(position) {
+        return this.boundary.getOffset(this.ship.position, position);
+    }
+
+    /**
+     * Check whether the ship is near the rim of an open arena and heading out
+     */
+    isLeavingArena() {
+        if (this.boundary.getPolicy('ship') !== 'open') return false;
+        const fromCenter = new Vector2(this.ship.position.x - this.boundary.centerX, this.ship.position.y - this.boundary.centerY);
+        return fromCenter.magnitude() > this.boundary.radius - AI.RIM_MARGIN && fromCenter.dot(this.ship.velocity) > 0;
+    }
+
     /**
      * Get the difference between two angles (handles wrapping)
      */
@@ -233,3 +304,13 @@ class AI {
         }
     }
 }
+
+// Mass of the classic sun, which the avoidance distances are tuned for
+AI.REFERENCE_MASS = 1000;
+
+// How close to the rim of an open arena the AI starts turning back
+AI.RIM_MARGIN = 80;
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AI;
+}
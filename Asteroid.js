@@ -1,22 +1,29 @@
 /**
  * Asteroid.js
- * Floating space hazard
+ * Floating space hazard; shot rocks split into smaller ones (large -> medium -> small -> debris)
  */
 
 class Asteroid {
-    constructor(x, y, radius, velocity) {
+    /**
+     * @param {string} size Key of Asteroid.SIZES
+     * @param {Random} rng Gameplay random source for spin and shape
+     */
+    constructor(x, y, size, velocity, rng = new Random()) {
         this.position = new Vector2(x, y);
+        this.size = size;
+        const radius = Asteroid.SIZES[size].radius;
         this.radius = radius;
+        this.mass = Asteroid.getMass(size);
         this.velocity = velocity;
-        this.angle = Math.random() * Math.PI * 2;
-        this.rotationSpeed = (Math.random() - 0.5) * 0.05;
+        this.angle = rng.next() * Math.PI * 2;
+        this.rotationSpeed = (rng.next() - 0.5) * 0.05;
 
         // Generate jagged shape
         this.points = [];
-        const numPoints = 8 + Math.floor(Math.random() * 5);
+        const numPoints = 8 + Math.floor(rng.next() * 5);
         for (let i = 0; i < numPoints; i++) {
             const angle = (Math.PI * 2 * i) / numPoints;
-            const dist = radius * (0.8 + Math.random() * 0.4); // Variation in radius
+            const dist = radius * (0.8 + rng.next() * 0.4); // Variation in radius
             this.points.push({
                 x: Math.cos(angle) * dist,
                 y: Math.sin(angle) * dist
@@ -26,21 +33,25 @@ class Asteroid {
         this.active = true;
     }
 
-    update(canvasWidth, canvasHeight) {
+    /**
+     * Apply a force to the asteroid (gravity, when the match has it on for all objects)
+     */
+    applyForce(force) {
+        // F = ma, so a = F/m
+        const acceleration = Vector2.multiply(force, 1 / this.mass);
+        this.velocity.add(acceleration);
+    }
+
+    /**
+     * Drift and spin one step
+     * @param {Boundary} boundary The arena edge
+     */
+    update(boundary) {
         this.position.add(this.velocity);
         this.angle += this.rotationSpeed;
 
-        // Circular wrapping (polar coordinates)
-        const dx = this.position.x - canvasWidth / 2;
-        const dy = this.position.y - canvasHeight / 2;
-        const distanceFromCenter = Math.sqrt(dx * dx + dy * dy);
-        const playRadius = canvasHeight / 2 - 10;
-
-        if (distanceFromCenter > playRadius) {
-            // Wrap to opposite side through center
-            const angle = Math.atan2(dy, dx);
-            this.position.x = canvasWidth / 2 - Math.cos(angle) * playRadius * 0.9;
-            this.position.y = canvasHeight / 2 - Math.sin(angle) * playRadius * 0.9;
+        if (boundary.contain(this, 'asteroid')) {
+            this.active = false; // Drifted out of an open arena
         }
     }
 
@@ -67,6 +78,37 @@ class Asteroid {
         ctx.restore();
     }
 
+    /**
+     * Mass of a rock of a size class (grows with its area)
+     */
+    static getMass(size) {
+        const radius = Asteroid.SIZES[size].radius;
+        return radius * radius * 0.01;
+    }
+
+    /**
+     * Split into the next smaller size (none for small rocks)
+     * Each piece inherits the rock's velocity plus an even spread outwards.
+     * @param {Random} rng Gameplay random source
+     * @returns {Asteroid[]}
+     */
+    split(rng) {
+        const size = Asteroid.SIZES[this.size].splitsInto;
+        if (!size) return [];
+
+        const count = 2 + Math.floor(rng.next() * 2);
+        const baseAngle = rng.next() * Math.PI * 2;
+        const speed = Asteroid.SIZES[size].speed * 0.5;
+        const pieces = [];
+        for (let i = 0; i < count; i++) {
+            const direction = Vector2.fromAngle(baseAngle + (Math.PI * 2 * i) / count);
+            const offset = Vector2.multiply(direction, Asteroid.SIZES[size].radius * 0.5);
+            const velocity = Vector2.add(this.velocity, Vector2.multiply(direction, speed));
+            pieces.push(new Asteroid(this.position.x + offset.x, this.position.y + offset.y, size, velocity, rng));
+        }
+        return pieces;
+    }
+
     /**
      * Break into debris particles
      */
@@ -91,3 +133,14 @@ class Asteroid {
         return particles;
     }
 }
+
+// Size classes: radius, speed of a fresh rock or fragment, points for shooting it, what it splits into
+Asteroid.SIZES = {
+    large: { radius: 28, speed: 1, score: 20, splitsInto: 'medium' },
+    medium: { radius: 16, speed: 1.5, score: 50, splitsInto: 'small' },
+    small: { radius: 9, speed: 2.2, score: 100, splitsInto: null }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Asteroid;
+}
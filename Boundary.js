@@ -0,0 +1,142 @@
+/**
+ * Boundary.js
+ * What happens at the edge of the arena. A match has one policy, applied to ships, shots,
+ * asteroids and power-ups alike; the classic policy keeps the original mix of rules.
+ */
+
+class Boundary {
+    /**
+     * @param {string} type Key of Boundary.TYPES
+     */
+    constructor(type = 'classic', width = 800, height = 800) {
+        this.type = Object.prototype.hasOwnProperty.call(Boundary.TYPES, type) ? type : 'classic';
+        this.width = width;
+        this.height = height;
+        this.centerX = width / 2;
+        this.centerY = height / 2;
+        this.radius = height / 2 - 10; // Circular play area (full height minus small margin)
+    }
+
+    /**
+     * Policy for a kind of object ('ship', 'bullet', 'asteroid' or 'powerUp')
+     * @returns {string} 'circular', 'toroidal', 'walls' or 'open'
+     */
+    getPolicy(kind) {
+        return this.type === 'classic' ? Boundary.CLASSIC[kind] : this.type;
+    }
+
+    /**
+     * Check whether a point is outside the circular play area
+     */
+    isOutside(position) {
+        const dx = position.x - this.centerX;
+        const dy = position.y - this.centerY;
+        return Math.sqrt(dx * dx + dy * dy) > this.radius;
+    }
+
+    /**
+     * Check whether an object has left an open arena for good
+     */
+    isLost(object, kind) {
+        return this.getPolicy(kind) === 'open' && this.isOutside(object.position);
+    }
+
+    /**
+     * Keep an object in the arena after it moved: wrap it round, bounce it off the rim or let it go
+     * @returns {boolean} True if the object has left the arena (open policy)
+     */
+    contain(object, kind) {
+        const policy = this.getPolicy(kind);
+        const position = object.position;
+
+        if (policy === 'toroidal') {
+            // Rectangular wraparound: off one edge, back in at the opposite one
+            position.x = (position.x + this.width) % this.width;
+            position.y = (position.y + this.height) % this.height;
+            return false;
+        }
+
+        const dx = position.x - this.centerX;
+        const dy = position.y - this.centerY;
+        const distanceFromCenter = Math.sqrt(dx * dx + dy * dy);
+
+        if (policy === 'walls') {
+            // The wall stands a little inside the rim, so objects turn back before they touch it
+            const wallRadius = this.radius - Boundary.WALL_MARGIN;
+            if (distanceFromCenter > wallRadius) {
+                // Reflect velocity: result = v - 2 * (v . n) * n
+                const normalX = dx / distanceFromCenter;
+                const normalY = dy / distanceFromCenter;
+                const dotProduct = object.velocity.x * normalX + object.velocity.y * normalY;
+                object.velocity.x -= 2 * dotProduct * normalX;
+                object.velocity.y -= 2 * dotProduct * normalY;
+
+                // Push back inside
+                position.x = this.centerX + normalX * wallRadius;
+                position.y = this.centerY + normalY * wallRadius;
+            }
+            return false;
+        }
+
+        if (distanceFromCenter <= this.radius) return false;
+
+        if (policy === 'circular') {
+            // Wrap to opposite side through center
+            const angle = Math.atan2(dy, dx);
+            position.x = this.centerX - Math.cos(angle) * this.radius * 0.9;
+            position.y = this.centerY - Math.sin(angle) * this.radius * 0.9;
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Uniformly random point in the play area (the whole rectangle on a toroidal arena)
+     * @param {Random} rng Gameplay random source
+     * @param {number} margin Distance to keep from the circular rim
+     */
+    getRandomPoint(rng, margin = 0) {
+        if (this.type === 'toroidal') {
+            return new Vector2(rng.next() * this.width, rng.next() * this.height);
+        }
+        const distance = (this.radius - margin) * Math.sqrt(rng.next());
+        const angle = rng.next() * Math.PI * 2;
+        return new Vector2(this.centerX + Math.cos(angle) * distance, this.centerY + Math.sin(angle) * distance);
+    }
+
+    /**
+     * Vector from one point to another, the short way round on a toroidal arena
+     * (the other policies never carry anything across the edge, so it is the straight line)
+     */
+    getOffset(from, to) {
+        const offset = Vector2.subtract(to, from);
+        if (this.type === 'toroidal') {
+            offset.x -= Math.round(offset.x / this.width) * this.width;
+            offset.y -= Math.round(offset.y / this.height) * this.height;
+        }
+        return offset;
+    }
+}
+
+// Boundary policies in menu order, with menu names
+Boundary.TYPES = {
+    classic: 'CLASSIC', // Ships and asteroids wrap through the centre, shots burn out at the rim, power-ups bounce
+    circular: 'WRAP', // Everything leaving the circle comes back in on the opposite side, through the centre
+    toroidal: 'TOROIDAL', // Rectangular wraparound (the 1962 arena)
+    walls: 'WALLS', // The rim reflects everything
+    open: 'OPEN' // Whatever leaves is gone; a ship loses a life
+};
+
+// What the classic policy does to each kind of object
+Boundary.CLASSIC = {
+    ship: 'circular',
+    asteroid: 'circular',
+    bullet: 'open',
+    powerUp: 'walls'
+};
+
+Boundary.WALL_MARGIN = 10; // Distance of the reflecting wall inside the rim
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Boundary;
+}
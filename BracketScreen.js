@@ -0,0 +1,137 @@
+/**
+ * BracketScreen.js
+ * Tournament bracket between games, and the champion once the final is over
+ */
+
+class BracketScreen {
+    /**
+     * @param {Tournament} tournament The running tournament
+     */
+    constructor(tournament) {
+        this.tournament = tournament;
+    }
+
+    /**
+     * Check whether the next pairing has only computer players (it can be simulated)
+     */
+    canSimulate() {
+        const next = this.tournament.getNextMatch();
+        return next !== null && next.match.players.every(index => !this.tournament.players[index].human);
+    }
+
+    /**
+     * Render the bracket, or the champion screen when the tournament is over
+     */
+    render(ctx, canvasWidth, canvasHeight) {
+        const tournament = this.tournament;
+        const centerX = canvasWidth / 2;
+
+        ctx.save();
+        ctx.textAlign = 'center';
+        if (tournament.isOver()) {
+            this.renderChampion(ctx, canvasWidth, canvasHeight);
+            ctx.restore();
+            return;
+        }
+
+        ctx.font = 'bold 40px monospace';
+        ctx.fillStyle = '#FFFFFF';
+        ctx.fillText('TOURNAMENT', centerX, 70);
+
+        // One column per round, each match centred on the two it comes from
+        const next = tournament.getNextMatch();
+        const columnWidth = (canvasWidth - 60) / tournament.rounds.length;
+        const top = 150;
+        const height = canvasHeight - 290;
+        tournament.rounds.forEach((matches, round) => {
+            const x = 30 + round * columnWidth;
+            ctx.font = 'bold 14px monospace';
+            ctx.fillStyle = '#AAAAAA';
+            ctx.textAlign = 'left';
+            ctx.fillText(tournament.getRoundName(round), x, top - 20);
+
+            matches.forEach((match, index) => {
+                const y = top + (index + 0.5) * (height / matches.length);
+                const isNext = next && next.round === round && next.index === index;
+                if (isNext) {
+                    ctx.fillStyle = 'rgba(255, 215, 0, 0.2)';
+                    ctx.fillRect(x - 4, y - 22, columnWidth - 12, 40);
+                }
+
+                ctx.font = '14px monospace';
+                match.players.forEach((player, side) => {
+                    const lineY = y - 6 + side * 18;
+                    const decided = match.winner !== null;
+                    ctx.fillStyle = player === null ? '#555555'
+                        : decided && match.winner !== player ? '#666666'
+                            : decided ? '#7CFC00' : '#FFFFFF';
+                    const name = player !== null ? tournament.players[player].name : (round === 0 ? '-' : '?');
+                    ctx.fillText(name, x, lineY);
+                });
+                if (match.score) {
+                    ctx.fillStyle = '#AAAAAA';
+                    ctx.textAlign = 'right';
+                    ctx.fillText(match.score, x + columnWidth - 20, y + 3);
+                    ctx.textAlign = 'left';
+                }
+            });
+        });
+
+        // Next pairing and help
+        ctx.textAlign = 'center';
+        if (next) {
+            const names = next.match.players.map(index => tournament.players[index].name);
+            ctx.font = 'bold 22px monospace';
+            ctx.fillStyle = '#FFD700';
+            ctx.fillText(`NEXT: ${names[0]} vs ${names[1]}` + (tournament.bestOf > 1 ? ` (best of ${tournament.bestOf})` : ''),
+                centerX, canvasHeight - 110);
+        }
+        ctx.font = 'bold 22px monospace';
+        ctx.fillStyle = '#FFFFFF';
+        ctx.fillText(this.canSimulate() ? 'Enter: Watch   S: Simulate   Esc: Quit' : 'Enter: Play   Esc: Quit',
+            centerX, canvasHeight - 60);
+
+        ctx.restore();
+    }
+
+    /**
+     * Champion screen: the winner, the final and the way there
+     */
+    renderChampion(ctx, canvasWidth, canvasHeight) {
+        const tournament = this.tournament;
+        const centerX = canvasWidth / 2;
+        const champion = tournament.getChampion();
+        const final = tournament.rounds[tournament.rounds.length - 1][0];
+
+        ctx.font = 'bold 32px monospace';
+        ctx.fillStyle = '#AAAAAA';
+        ctx.fillText('TOURNAMENT CHAMPION', centerX, 200);
+        ctx.font = 'bold 64px monospace';
+        ctx.fillStyle = '#FFD700';
+        ctx.shadowBlur = 20;
+        ctx.shadowColor = '#FFD700';
+        ctx.fillText(tournament.players[champion].name, centerX, 290);
+        ctx.shadowBlur = 0;
+
+        // Every pairing the champion won
+        ctx.font = '18px monospace';
+        ctx.fillStyle = '#CCCCCC';
+        let y = 370;
+        tournament.rounds.forEach((matches, round) => {
+            const match = matches.find(m => m.winner === champion && m.players.includes(champion));
+            if (!match) return;
+            const opponent = match.players.find(player => player !== champion);
+            const against = opponent !== null && opponent !== undefined ? `beat ${tournament.players[opponent].name}` : 'bye';
+            ctx.fillText(`${tournament.getRoundName(round)}: ${against}${match.score && match.score !== 'BYE' ? ` ${match.score}` : ''}`, centerX, y);
+            y += 26;
+        });
+
+        const runnerUp = final.players.find(player => player !== champion);
+        ctx.fillStyle = '#888888';
+        ctx.fillText(`Runner-up: ${tournament.players[runnerUp].name}`, centerX, y + 20);
+
+        ctx.font = 'bold 22px monospace';
+        ctx.fillStyle = '#FFFFFF';
+        ctx.fillText('Enter: Menu', centerX, canvasHeight - 60);
+    }
+}
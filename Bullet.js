@@ -4,24 +4,29 @@
  */
 
 class Bullet {
-    constructor(x, y, angle, shipVelocity, ownerId, color = '#FF6666') {
+    /**
+     * @param {Object} options Weapon tuning: kind ('shot', 'torpedo' or 'mine', see Weapon), speed, lifetime, radius
+     */
+    constructor(x, y, angle, shipVelocity, ownerId, color = '#FF6666', options = {}) {
         this.position = new Vector2(x, y);
+        this.previousPosition = new Vector2(x, y); // Position at the start of the last step
         this.velocity = shipVelocity.clone();
+        this.kind = options.kind || 'shot';
 
         // Add bullet's own velocity in direction of angle
-        const bulletSpeed = 4;
+        const bulletSpeed = options.speed !== undefined ? options.speed : 4;
         this.velocity.x += Math.cos(angle) * bulletSpeed;
         this.velocity.y += Math.sin(angle) * bulletSpeed;
 
-        this.radius = 2;
+        this.radius = options.radius || 2;
         this.mass = 0.1; // Much lighter than ships
         this.active = true;
         this.ownerId = ownerId; // Don't hit own ship
         this.color = color; // Bullet color matches ship
 
         // Bullet lifetime and trail
-        this.lifetime = 200; // Frames before disappearing
-        this.maxLifetime = 200;
+        this.lifetime = options.lifetime || 200; // Frames before disappearing
+        this.maxLifetime = this.lifetime;
 
         // Trail system
         this.trail = [];
@@ -39,8 +44,9 @@ class Bullet {
 
     /**
      * Update bullet position and age
+     * @param {Boundary} boundary The arena edge
      */
-    update(canvasWidth, canvasHeight) {
+    update(boundary) {
         if (!this.active) return;
 
         // Add current position to trail BEFORE moving
@@ -65,24 +71,16 @@ class Bullet {
             this.active = false;
         }
 
-        // Deactivate if off screen (circular boundary)
-        if (this.isOffScreen(canvasWidth, canvasHeight)) {
+        // Leaving an open arena ends the shot; wrapping or bouncing restarts the trail,
+        // which would otherwise streak across the screen
+        const { x, y } = this.position;
+        if (boundary.contain(this, 'bullet')) {
             this.active = false;
+        } else if (x !== this.position.x || y !== this.position.y) {
+            this.trail = [];
         }
     }
 
-    /**
-     * Check if bullet is off screen (outside circular play area)
-     */
-    isOffScreen(canvasWidth, canvasHeight) {
-        const dx = this.position.x - canvasWidth / 2;
-        const dy = this.position.y - canvasHeight / 2;
-        const distanceFromCenter = Math.sqrt(dx * dx + dy * dy);
-        const playRadius = canvasHeight / 2 - 10; // Match game play area radius
-
-        return distanceFromCenter > playRadius;
-    }
-
     /**
      * Check collision with a circular object
      */
@@ -94,8 +92,13 @@ class Bullet {
 
     /**
      * Render the bullet with trail
+     * @param {number} alpha Interpolation factor (0-1) between the previous and current step
      */
-    render(ctx) {
+    render(ctx, alpha = 1) {
+        if (this.kind === 'mine') {
+            this.renderMine(ctx, alpha);
+            return;
+        }
         ctx.save();
 
         // Draw trail
@@ -113,19 +116,21 @@ class Bullet {
             }
         }
 
-        // Draw bullet as a glowing line in direction of movement
+        // Draw bullet as a glowing line in direction of movement (torpedoes are longer and thicker)
         ctx.globalAlpha = 1;
         const angle = Math.atan2(this.velocity.y, this.velocity.x);
-        const lineLength = 8;
+        const lineLength = this.kind === 'torpedo' ? 12 : 8;
 
-        const x1 = this.position.x - Math.cos(angle) * lineLength / 2;
-        const y1 = this.position.y - Math.sin(angle) * lineLength / 2;
-        const x2 = this.position.x + Math.cos(angle) * lineLength / 2;
-        const y2 = this.position.y + Math.sin(angle) * lineLength / 2;
+        const center = this.getRenderPosition(alpha);
+
+        const x1 = center.x - Math.cos(angle) * lineLength / 2;
+        const y1 = center.y - Math.sin(angle) * lineLength / 2;
+        const x2 = center.x + Math.cos(angle) * lineLength / 2;
+        const y2 = center.y + Math.sin(angle) * lineLength / 2;
 
         // Glow effect
         ctx.strokeStyle = this.color;
-        ctx.lineWidth = 3;
+        ctx.lineWidth = this.kind === 'torpedo' ? 5 : 3;
         ctx.shadowBlur = 10;
         ctx.shadowColor = this.color;
 
@@ -142,9 +147,74 @@ class Bullet {
         ctx.lineTo(x2, y2);
         ctx.stroke();
 
+        if (this.kind === 'torpedo') {
+            // Exhaust flicker behind the warhead
+            ctx.fillStyle = '#FFA500';
+            ctx.globalAlpha = 0.5 + Math.random() * 0.5;
+            ctx.beginPath();
+            ctx.arc(x1, y1, 2, 0, Math.PI * 2);
+            ctx.fill();
+        }
+
+        ctx.restore();
+    }
+
+    /**
+     * Render the bullet as a single bright dot, the way the 1962 CRT showed torpedoes
+     * @param {number} alpha Interpolation factor (0-1) between the previous and current step
+     * @param {string} color Phosphor colour
+     */
+    renderVector(ctx, alpha, color) {
+        const center = this.getRenderPosition(alpha);
+
+        ctx.save();
+        ctx.fillStyle = color;
+        ctx.fillRect(center.x - 1.5, center.y - 1.5, 3, 3);
+        ctx.restore();
+    }
+
+    /**
+     * Render a mine: a spiked ball that blinks once armed
+     * @param {number} alpha Interpolation factor (0-1) between the previous and current step
+     */
+    renderMine(ctx, alpha) {
+        const center = this.getRenderPosition(alpha);
+        const armed = this.getAge() >= Weapon.TYPES.mine.armDelay;
+
+        ctx.save();
+        ctx.translate(center.x, center.y);
+        ctx.strokeStyle = this.color;
+        ctx.lineWidth = 1.5;
+        for (let i = 0; i < 6; i++) {
+            const spike = (Math.PI * 2 * i) / 6;
+            ctx.beginPath();
+            ctx.moveTo(Math.cos(spike) * this.radius, Math.sin(spike) * this.radius);
+            ctx.lineTo(Math.cos(spike) * (this.radius + 4), Math.sin(spike) * (this.radius + 4));
+            ctx.stroke();
+        }
+        ctx.fillStyle = armed && Math.floor(this.getAge() / 15) % 2 ? '#FF3030' : '#333333';
+        ctx.beginPath();
+        ctx.arc(0, 0, this.radius, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.stroke();
         ctx.restore();
     }
 
+    /**
+     * Position to draw at between the last two steps (no sliding across the arena after a wrap)
+     * @param {number} alpha Interpolation factor (0-1) between the previous and current step
+     */
+    getRenderPosition(alpha = 1) {
+        return Vector2.interpolateStep(this.previousPosition, this.position, alpha);
+    }
+
+    /**
+     * Steps since the bullet was fired
+     */
+    getAge() {
+        return this.maxLifetime - this.lifetime;
+    }
+
     /**
      * Deactivate the bullet
      */
@@ -152,3 +222,7 @@ class Bullet {
         this.active = false;
     }
 }
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Bullet;
+}
@@ -0,0 +1,42 @@
+/**
+ * Collision.js
+ * Contact response between round objects with mass and velocity (ships, asteroids)
+ */
+
+class Collision {
+    /**
+     * Separate two overlapping objects and bounce them off each other
+     * Momentum is conserved; restitution 1 keeps all the kinetic energy, 0 makes them move together.
+     * @param {number} minDistance Centre distance at which the two touch
+     * @param {number} restitution Bounciness, 0 to 1
+     * @returns {number|null} Closing speed along the contact normal before the bounce
+     *   (0 if they were already moving apart), or null if they don't touch
+     */
+    static resolve(a, b, minDistance, restitution) {
+        const delta = Vector2.subtract(b.position, a.position);
+        const distance = delta.magnitude();
+        if (distance >= minDistance) return null;
+
+        const normal = distance > 0 ? delta.divide(distance) : new Vector2(1, 0);
+        const inverseA = 1 / a.mass;
+        const inverseB = 1 / b.mass;
+        const inverseTotal = inverseA + inverseB;
+
+        // Push apart, the lighter one further
+        const overlap = minDistance - distance;
+        a.position.subtract(Vector2.multiply(normal, overlap * inverseA / inverseTotal));
+        b.position.add(Vector2.multiply(normal, overlap * inverseB / inverseTotal));
+
+        const closingSpeed = Vector2.subtract(a.velocity, b.velocity).dot(normal);
+        if (closingSpeed <= 0) return 0;
+
+        const impulse = (1 + restitution) * closingSpeed / inverseTotal;
+        a.velocity.subtract(Vector2.multiply(normal, impulse * inverseA));
+        b.velocity.add(Vector2.multiply(normal, impulse * inverseB));
+        return closingSpeed;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Collision;
+}
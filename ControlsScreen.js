@@ -0,0 +1,135 @@
+/**
+ * ControlsScreen.js
+ * Key mapping screen: pick a player's action and press a key to rebind it
+ */
+
+class ControlsScreen {
+    /**
+     * @param {Input} input Keyboard input whose bindings are edited
+     */
+    constructor(input) {
+        this.input = input;
+        this.player = 0; // Selected column
+        this.row = 0; // Selected action (index into Input.ACTIONS)
+        this.capturing = false; // Waiting for the new key
+        this.message = '';
+        this.messageIsError = false;
+    }
+
+    /**
+     * Currently selected action
+     */
+    get action() {
+        return Input.ACTIONS[this.row];
+    }
+
+    /**
+     * Move the selection (rows wrap, columns switch player)
+     */
+    moveSelection(rows, players) {
+        const count = Input.ACTIONS.length;
+        this.row = (this.row + rows + count) % count;
+        this.player = (this.player + players + 2) % 2;
+        this.message = '';
+    }
+
+    /**
+     * Wait for a key for the selected action
+     */
+    startCapture() {
+        this.capturing = true;
+        this.message = '';
+    }
+
+    /**
+     * Stop waiting without changing anything
+     */
+    cancelCapture() {
+        this.capturing = false;
+    }
+
+    /**
+     * Bind the pressed key to the selected action, unless another action already uses it
+     */
+    capture(code) {
+        this.capturing = false;
+        const conflict = this.input.bind(this.player, this.action, code);
+        this.messageIsError = conflict !== null;
+        if (conflict) {
+            this.message = `${Input.getKeyLabel(code)} is already P${conflict.player + 1} ${Input.ACTION_NAMES[conflict.action]}`;
+        } else {
+            this.message = `P${this.player + 1} ${Input.ACTION_NAMES[this.action]} = ${Input.getKeyLabel(code)}`;
+        }
+    }
+
+    /**
+     * Restore the default keys for both players
+     */
+    resetToDefaults() {
+        this.capturing = false;
+        this.input.resetBindings();
+        this.messageIsError = false;
+        this.message = 'Default controls restored';
+    }
+
+    /**
+     * Render the binding table
+     */
+    render(ctx, canvasWidth, canvasHeight) {
+        const centerX = canvasWidth / 2;
+        const columns = [centerX + 20, centerX + 200];
+        const colors = ['#00BFFF', '#FF1493'];
+
+        ctx.save();
+        ctx.textAlign = 'center';
+        ctx.font = 'bold 48px monospace';
+        ctx.fillStyle = '#FFFFFF';
+        ctx.fillText('CONTROLS', centerX, 110);
+
+        // Column headers
+        ctx.font = 'bold 24px monospace';
+        columns.forEach((x, player) => {
+            ctx.fillStyle = colors[player];
+            ctx.fillText(`PLAYER ${player + 1}`, x, 190);
+        });
+
+        // One row per action
+        Input.ACTIONS.forEach((action, row) => {
+            const y = 240 + row * 44;
+            ctx.font = '22px monospace';
+            ctx.textAlign = 'right';
+            ctx.fillStyle = '#CCCCCC';
+            ctx.fillText(Input.ACTION_NAMES[action], centerX - 100, y);
+
+            ctx.textAlign = 'center';
+            columns.forEach((x, player) => {
+                const selected = player === this.player && row === this.row;
+                if (selected) {
+                    ctx.fillStyle = 'rgba(255, 255, 255, 0.15)';
+                    ctx.fillRect(x - 80, y - 26, 160, 36);
+                }
+                ctx.fillStyle = selected ? '#FFFFFF' : colors[player];
+                const label = selected && this.capturing ? '...' : this.input.getBindingLabel(player, action);
+                ctx.fillText(label, x, y);
+            });
+        });
+
+        // Prompt / result
+        ctx.font = '20px monospace';
+        if (this.capturing) {
+            ctx.fillStyle = '#FFFFFF';
+            ctx.fillText(`Press a key for P${this.player + 1} ${Input.ACTION_NAMES[this.action]} (Esc cancels)`, centerX, 560);
+        } else if (this.message) {
+            ctx.fillStyle = this.messageIsError ? '#FF4500' : '#00FF7F';
+            ctx.fillText(this.message, centerX, 560);
+        }
+
+        // Help
+        ctx.font = '16px monospace';
+        ctx.fillStyle = '#888888';
+        ctx.fillText('\u2191/\u2193/\u2190/\u2192=Select  Enter=Rebind  R=Reset defaults  Esc=Back', centerX, 640);
+        ctx.fillText('Bindings are saved in this browser', centerX, 664);
+
+        ctx.restore();
+    }
+}
@@ -13,18 +13,41 @@ class Game {
         this.canvas.height = 800;
 
         // Game state
-        this.state = 'menu'; // 'menu', 'playing', 'gameOver'
-        this.gameMode = null; // 'pvp' or 'ai'
+        this.state = 'menu'; // 'menu', 'playing', 'gameOver', 'stats', 'history', 'replay', 'lobby', 'controls', 'setup',
+        // 'tournamentSetup', 'bracket', 'rules'
+        this.gameMode = null; // 'pvp', 'ai', 'ffa', 'teams', 'series' or 'online'
         this.aiDifficulty = 'easy'; // 'easy', 'medium', 'hard'
 
         // Game Options
         this.hazardsEnabled = false;
         this.fuelEnabled = false;
+        this.powerUps = false; // Shield, hyperspace, rapid fire, fast shot and extra life pickups
+        this.arena = 'classic'; // Key of World.ARENAS
+        this.integrator = 'semi-implicit'; // Key of Integrator.TYPES
+        this.objectGravity = true; // Gravity pulls asteroids, power-ups and debris too
+        this.collisions = 'classic'; // Key of World.COLLISIONS
+        this.boundary = 'classic'; // Key of Boundary.TYPES
+        this.hyperspaceMalfunction = 'fixed'; // Key of World.MALFUNCTIONS
+        this.ruleset = 'modern'; // Key of World.RULESETS ('1962' overrides the options above)
+        this.trajectoryEnabled = false; // Flight aid: predicted paths of the local players' ships and shots
+        // Lives, gravity, sun, speeds and reload: {preset (null when custom), values}, kept between sessions
+        this.matchRules = MatchRules.load();
+
+        // Match seed: null picks a fresh one per match, ?seed=123 in the URL fixes it
+        const urlSeed = new URLSearchParams(window.location.search).get('seed');
+        this.seed = urlSeed ? Random.normalizeSeed(urlSeed) : null;
+        this.seedEntry = null; // Digits typed while editing the seed in the menu
 
         // Game loop state
         this.running = false;
         this.lastFrameTime = 0;
 
+        // Fixed timestep: the simulation always advances in 60 Hz steps,
+        // whatever the display refresh rate
+        this.stepDuration = 1000 / 60; // ms per simulation step
+        this.maxStepsPerFrame = 5; // Catch-up limit after a stall (e.g. background tab)
+        this.accumulator = 0; // Unsimulated time carried over between frames
+
         // Constellations data (relative coordinates 0-1)
         this.constellations = [
             // Ursa Major (Big Dipper)
@@ -56,45 +79,64 @@ class Game {
             }
         ];
 
+        // Simulation state (ships, sun, bullets, hazards)
+        this.world = this.createWorld();
+
         // Circular play area (like original Spacewar!)
-        this.playAreaRadius = this.canvas.height / 2 - 10; // Full height minus small margin
-        this.centerX = this.canvas.width / 2;
-        this.centerY = this.canvas.height / 2;
-
-        // Game objects
-        this.sun = new Sun(
-            this.canvas.width / 2,
-            this.canvas.height / 2,
-            1000, // mass
-            30    // radius
-        );
+        this.playAreaRadius = this.world.playAreaRadius;
+        this.centerX = this.world.centerX;
+        this.centerY = this.world.centerY;
 
-        // Ship 1 (Blue) - starts on right side
-        this.ship1 = new Ship(
-            this.canvas.width / 2 + 250,  // Right of center
-            this.canvas.height / 2,
-            Math.PI,  // Facing left
-            1,  // id
-            '#00BFFF' // blue
-        );
+        // Input system
+        this.input = new Input();
 
-        // Ship 2 (Pink) - starts on left side
-        this.ship2 = new Ship(
-            this.canvas.width / 2 - 250,  // Left of center
-            this.canvas.height / 2,
-            0,  // Facing right
-            2,  // id
-            '#FF1493' // pink
-        );
+        // Gamepads (hot-pluggable) and each player's controller:
+        // 'keys1' / 'keys2' (that player's key bindings) or 'pad1', 'pad2', ... (gamepad index + 1)
+        this.gamepads = new GamepadInput();
+        this.gamepads.onConnect = (index, id) => {
+            this.menuMessage = `Gamepad ${index + 1} connected: ${id}`;
+        };
+        this.gamepads.onDisconnect = (index) => {
+            this.menuMessage = `Gamepad ${index + 1} disconnected`;
+        };
+        this.controllers = ['keys1', 'keys2'];
+
+        // Free-for-all / team battle setup (kept between matches) and its screen (while state is 'setup')
+        this.ffaSetup = {
+            shipCount: 4,
+            slots: ['keys1', 'keys2', 'ai', 'ai', 'ai', 'ai', 'ai', 'ai'],
+            teamCount: 0,
+            teams: [0, 1, 0, 1, 0, 1, 0, 1],
+            friendlyFire: false,
+            sharedLives: false
+        };
+        this.setupScreen = null;
+
+        // Series length for the 1 / 2 duels (1 = single games) and the running series
+        this.seriesLength = 1;
+        this.series = null;
+
+        // Tournament setup (kept between tournaments), its screen, the running tournament,
+        // the pairing being played ({round, index}) and the bracket screen between games
+        this.tournamentSetup = {
+            playerCount: 4,
+            bestOf: 1,
+            players: [...Array(Tournament.MAX_PLAYERS)].map((_, i) => ({ name: `PLAYER ${i + 1}`, human: i < 2 }))
+        };
+        this.tournamentSetupScreen = null;
+        this.tournament = null;
+        this.tournamentMatch = null;
+        this.bracketScreen = null;
 
-        this.bullets = [];
-        this.asteroids = [];
-        this.fuelCanisters = []; // Array for fuel items
-        this.asteroidSpawnTimer = 0;
-        this.debris = []; // For asteroid fragments
+        // Key mapping screen (while state is 'controls')
+        this.controlsScreen = null;
 
-        // Input system
-        this.input = new Input();
+        // Match rules editor (while state is 'rules')
+        this.rulesScreen = null;
+
+        // Touch: virtual controls in matches, taps on menu lines (registered while rendering)
+        this.touch = new TouchControls(this.canvas);
+        this.tapTargets = [];
 
         // Sound manager
         this.soundManager = new SoundManager();
@@ -103,60 +145,85 @@ class Game {
         this.soundManager.loadSound('hyperspace', 'sounds/soundhyper.wav');
         this.soundManager.loadMusic('sounds/musicSpacewar.mp3');
 
-        // AI controller (will be initialized when AI mode is selected)
-        this.ai = null;
-
-        // Physics constants
-        this.G = 0.5; // Gravitational constant
-
-        // Game loop state
-        this.running = false;
-        this.lastFrameTime = 0;
-
-        // Infalling background stars
-        this.infallingStars = [];
-        this.initInfallingStars();
+        // Who flies each ship of the current match (controller id, 'ai' or 'remote')
+        // and the AI controllers of the computer-flown ships (null for the others)
+        this.participants = [];
+        this.ais = [];
+
+        // Replays: the match being recorded and the viewer while watching one
+        this.recording = null;
+        this.replayViewer = null;
+        this.replayReturn = null; // Finished match to go back to when the replay was opened from its game over screen
+        this.menuMessage = ''; // Shown at the bottom of the menu (e.g. replay load errors)
+
+        // Finished matches, kept across page loads
+        this.history = new MatchHistory();
+
+        // Online play: relay connection, lockstep state and lobby screen state
+        this.netClient = null;
+        this.lockstep = null;
+        this.lobby = null;
+        this.netMessage = ''; // Why an online match ended early
+        this.netWaitingSteps = 0; // Consecutive steps stalled waiting for the opponent
+
+        // Hidden file picker for loading files (replays)
+        this.fileInput = document.getElementById('fileInput');
+        this.onFileLoaded = null;
+        this.fileInput.addEventListener('change', () => this.readSelectedFile());
+
+        // Let the world play sounds now that the sound manager exists
+        this.world.soundManager = this.soundManager;
     }
 
     /**
-     * Initialize infalling stars
+     * Create a simulation world
+     * @param {Object} options Match options, defaults to the current menu options
      */
-    initInfallingStars() {
-        for (let i = 0; i < 20; i++) {
-            this.spawnInfallingStar(true);
-        }
+    createWorld(options = this.getMatchOptions()) {
+        return new World({
+            width: this.canvas.width,
+            height: this.canvas.height,
+            hazardsEnabled: options.hazardsEnabled,
+            fuelEnabled: options.fuelEnabled,
+            powerUps: options.powerUps,
+            arena: options.arena,
+            integrator: options.integrator,
+            objectGravity: options.objectGravity,
+            collisions: options.collisions,
+            boundary: options.boundary,
+            hyperspaceMalfunction: options.hyperspaceMalfunction,
+            safeHyperspace: options.safeHyperspace,
+            ruleset: options.ruleset,
+            rules: options.rules,
+            seed: options.seed,
+            shipCount: options.shipCount,
+            teams: options.teams,
+            friendlyFire: options.friendlyFire,
+            sharedLives: options.sharedLives,
+            soundManager: this.soundManager
+        });
     }
 
     /**
-     * Spawn a single infalling star
-     * @param {boolean} randomPos If true, spawn anywhere in play area (for init). If false, spawn at edge.
+     * Get the match options selected in the menu
      */
-    spawnInfallingStar(randomPos = false) {
-        let x, y;
-        if (randomPos) {
-            // Random position within play area, but not too close to sun
-            const angle = Math.random() * Math.PI * 2;
-            const dist = 100 + Math.random() * (this.playAreaRadius - 100);
-            x = this.centerX + Math.cos(angle) * dist;
-            y = this.centerY + Math.sin(angle) * dist;
-        } else {
-            // Spawn at edge
-            const angle = Math.random() * Math.PI * 2;
-            const dist = this.playAreaRadius - 10;
-            x = this.centerX + Math.cos(angle) * dist;
-            y = this.centerY + Math.sin(angle) * dist;
-        }
-
-        this.infallingStars.push({
-            position: new Vector2(x, y),
-            velocity: new Vector2(0, 0), // Starts with zero velocity, gravity will pull it
-            mass: 10, // Small mass so gravity affects it, but maybe needs tuning relative to G
-            // Actually G forces are independent of mass of object (a = F/m = (GMm/r^2)/m = GM/r^2)
-            // So mass doesn't matter for acceleration calculation if we use our physics correctly.
-            // But we need to use calculate acceleration directly or give it mass=1.
-            size: 1 + Math.random() * 2,
-            color: `rgba(255, 255, ${200 + Math.random() * 55}, ${0.5 + Math.random() * 0.5})`
-        });
+    getMatchOptions() {
+        return {
+            gameMode: this.gameMode,
+            aiDifficulty: this.aiDifficulty,
+            hazardsEnabled: this.hazardsEnabled,
+            fuelEnabled: this.fuelEnabled,
+            powerUps: this.powerUps,
+            arena: this.arena,
+            integrator: this.integrator,
+            objectGravity: this.objectGravity,
+            collisions: this.collisions,
+            boundary: this.boundary,
+            hyperspaceMalfunction: this.hyperspaceMalfunction,
+            ruleset: this.ruleset,
+            rules: Object.assign({}, this.matchRules.values),
+            seed: this.seed
+        };
     }
 
     /**
@@ -176,10 +243,12 @@ class Game {
             // Remove listeners once triggers
             window.removeEventListener('keydown', startMusicOnInteraction);
             window.removeEventListener('click', startMusicOnInteraction);
+            window.removeEventListener('touchend', startMusicOnInteraction);
         };
 
         window.addEventListener('keydown', startMusicOnInteraction);
         window.addEventListener('click', startMusicOnInteraction);
+        window.addEventListener('touchend', startMusicOnInteraction); // Touch events don't emulate clicks on the canvas
 
         this.gameLoop();
     }
@@ -190,10 +259,17 @@ class Game {
     gameLoop(timestamp = 0) {
         if (!this.running) return;
 
-        // Calculate delta time (not used for fixed timestep, but available)
-        const deltaTime = timestamp - this.lastFrameTime;
+        // Calculate delta time, clamped so a stalled tab doesn't fast-forward the match
+        const deltaTime = Math.min(timestamp - this.lastFrameTime, this.stepDuration * this.maxStepsPerFrame);
         this.lastFrameTime = timestamp;
 
+        // Key presses since last frame (edge-triggered menu actions, text entry)
+        this.typedKeys = this.input.consumeTypedKeys();
+        this.typedCodes = this.input.consumeTypedCodes();
+        this.taps = this.touch.consumeTaps();
+        this.tapTargets = [];
+        this.gamepads.poll();
+
         // Update and render based on game state
         if (this.state === 'menu') {
             // Ensure music is playing in menu (if enabled)
@@ -212,12 +288,58 @@ class Game {
             this.renderMenu();
             this.handleMenuInput();
         } else if (this.state === 'playing') {
-            this.update();
-            this.render();
+            this.accumulator += Math.max(deltaTime, 0);
+            let steps = 0;
+            while (this.accumulator >= this.stepDuration && steps < this.maxStepsPerFrame && this.state === 'playing') {
+                if (!this.update()) {
+                    // Waiting for the opponent's input: don't build up a backlog
+                    this.accumulator = Math.min(this.accumulator, this.stepDuration);
+                    break;
+                }
+                this.accumulator -= this.stepDuration;
+                steps++;
+            }
+            if (steps === this.maxStepsPerFrame) {
+                // Still behind: drop the backlog instead of spiralling
+                this.accumulator = Math.min(this.accumulator, this.stepDuration);
+            }
+
+            // Interpolate between the last two simulation steps
+            this.render(this.accumulator / this.stepDuration);
         } else if (this.state === 'gameOver') {
             this.render();
             this.handleGameOverInput();
+        } else if (this.state === 'stats') {
+            this.renderStats();
+            this.handleStatsInput();
+        } else if (this.state === 'history') {
+            this.renderHistory();
+            this.handleHistoryInput();
+        } else if (this.state === 'lobby') {
+            this.renderLobby();
+            this.handleLobbyInput();
+        } else if (this.state === 'controls') {
+            this.renderControls();
+            this.handleControlsInput();
+        } else if (this.state === 'setup') {
+            this.renderSetup();
+            this.handleSetupInput();
+        } else if (this.state === 'rules') {
+            this.renderRules();
+            this.handleRulesInput();
+        } else if (this.state === 'tournamentSetup') {
+            this.renderTournamentSetup();
+            this.handleTournamentSetupInput();
+        } else if (this.state === 'bracket') {
+            this.renderBracket();
+            this.handleBracketInput();
+        } else if (this.state === 'replay') {
+            this.updateReplay(deltaTime);
+            this.render(this.replayViewer.paused ? 1 : this.accumulator / this.stepDuration);
+            this.replayViewer.render(this.ctx, this.canvas.width, this.canvas.height, this.world.frame);
+            this.handleReplayInput();
         }
+        this.handleTaps();
 
         // Continue loop
         requestAnimationFrame((t) => this.gameLoop(t));
@@ -225,317 +347,594 @@ class Game {
 
     /**
      * Update game state
+     * @returns {boolean} False if the step had to wait (online opponent's input not here yet)
      */
     update() {
-        // Get input for both ships
-        const input1 = this.input.getShip1Input();
-        const input2 = this.gameMode === 'ai' ? this.ai.update() : this.input.getShip2Input();
-
-        // Handle Ship 1 input
-        if (input1.rotateLeft) this.ship1.rotate(-1);
-        if (input1.rotateRight) this.ship1.rotate(1);
-        if (input1.thrust) this.ship1.thrust();
-        if (input1.thrust) this.ship1.thrust();
-        if (input1.hyperspace) this.ship1.hyperspace(this.soundManager);
-        this.ship1.setShield(input1.shield); // Toggle shield
-
-        if (input1.shoot) {
-            const bullet = this.ship1.shoot();
-            if (bullet) {
-                this.bullets.push(bullet);
-                this.soundManager.play('laser');
-            }
+        // Replays feed recorded inputs through the same step
+        if (this.state === 'replay') {
+            this.world.step(this.replayViewer.replay.getInputs(this.world.frame));
+            return true;
         }
 
-        // Handle Ship 2 input
-        if (input2.rotateLeft) this.ship2.rotate(-1);
-        if (input2.rotateRight) this.ship2.rotate(1);
-        if (input2.thrust) this.ship2.thrust();
-        if (input2.thrust) this.ship2.thrust();
-        if (input2.hyperspace) this.ship2.hyperspace(this.soundManager);
-        this.ship2.setShield(input2.shield); // Toggle shield
-
-        if (input2.shoot) {
-            const bullet = this.ship2.shoot();
-            if (bullet) {
-                this.bullets.push(bullet);
-                this.soundManager.play('laser');
+        let inputs;
+        if (this.lockstep) {
+            // Online: local keys drive our ship, scheduled a few steps ahead
+            if (this.lockstep.needsLocalInput()) {
+                const scheduled = this.lockstep.addLocalInput(this.readController(this.controllers[0]));
+                this.netClient.sendInput(scheduled.frame, scheduled.input);
+            }
+            if (!this.lockstep.canStep()) {
+                if (this.netMessage) {
+                    // Opponent gone and their last inputs are used up
+                    this.state = 'gameOver';
+                }
+                this.netWaitingSteps++;
+                return false;
             }
+            this.netWaitingSteps = 0;
+            inputs = this.lockstep.advance();
+        } else {
+            // Get input for every ship from its controller or the computer
+            inputs = this.participants.map((controller, i) =>
+                this.ais[i] ? this.ais[i].update() : this.readController(controller));
         }
 
-        // Apply gravity to ships
-        const gravityForce1 = this.sun.getGravitationalForce(
-            this.ship1.position,
-            this.ship1.mass,
-            this.G
-        );
-        this.ship1.applyForce(gravityForce1);
-
-        const gravityForce2 = this.sun.getGravitationalForce(
-            this.ship2.position,
-            this.ship2.mass,
-            this.G
-        );
-        this.ship2.applyForce(gravityForce2);
+        this.world.step(inputs);
+        this.recording.addFrame(inputs);
 
-        // Apply gravity to bullets and update them
-        for (let i = this.bullets.length - 1; i >= 0; i--) {
-            const bullet = this.bullets[i];
+        // Online: exchange checksums to catch desyncs
+        if (this.lockstep && this.world.frame % Lockstep.CHECKSUM_INTERVAL === 0) {
+            const checksum = this.world.getChecksum();
+            this.lockstep.addLocalChecksum(this.world.frame, checksum);
+            this.netClient.sendChecksum(this.world.frame, checksum);
+        }
 
-            if (!bullet.active) {
-                this.bullets.splice(i, 1);
-                continue;
+        // Check for game over
+        if (this.world.isOver()) {
+            this.state = 'gameOver';
+            this.recordMatch();
+            if (this.gameMode === 'series') {
+                const winnerId = this.world.getWinner();
+                this.series.recordGame(winnerId ? winnerId - 1 : null, this.world.ships.map(ship => ship.lives).join(':'));
             }
+        }
+        return true;
+    }
 
-            // Apply gravity
-            const bulletGravity = this.sun.getGravitationalForce(
-                bullet.position,
-                bullet.mass,
-                this.G
-            );
-            bullet.applyForce(bulletGravity);
+    /**
+     * Get input from a controller
+     * @param {string} controller 'keys1' (player 1 bindings), 'keys2' (player 2) or 'padN'
+     */
+    readController(controller) {
+        const pad = this.getPadIndex(controller);
+        if (pad !== -1) {
+            return this.gamepads.getInput(pad);
+        }
+        // A finger on the on-screen controls takes over from the keyboard
+        const player = controller === 'keys2' ? 1 : 0;
+        if (this.touch.isActive(player)) {
+            return this.touch.getInput(player);
+        }
+        return this.input.getPlayerInput(player);
+    }
 
-            // Update bullet
-            bullet.update(this.canvas.width, this.canvas.height);
+    /**
+     * Gamepad index of a controller id ('pad1' -> 0), or -1 for other controllers
+     */
+    getPadIndex(controller) {
+        return /^pad\d+$/.test(controller) ? Number(controller.slice(3)) - 1 : -1;
+    }
 
-            // Check collision with sun
-            if (this.sun.isColliding(bullet.position, bullet.radius)) {
-                this.bullets.splice(i, 1);
-                continue;
-            }
+    /**
+     * Make a screen region tappable for this frame (call while rendering)
+     */
+    addTapTarget(x, y, width, height, action) {
+        this.tapTargets.push({ x, y, width, height, action });
+    }
 
-            // Check collision with ships
-            // Collision with Ship 1
-            if (bullet.ownerId !== this.ship1.id) {
-                const hit1 = bullet.checkCollision(this.ship1.position, this.ship1.radius + (this.ship1.shieldActive ? 8 : 0));
-                if (hit1) {
-                    if (this.ship1.shieldActive) {
-                        // Shield blocks bullet
-                        this.bullets.splice(i, 1);
-                        this.soundManager.play('shield'); // Need shield hit sound? reusing or default
-                        continue;
-                    } else {
-                        // Ship dies
-                        this.ship1.die(this.soundManager);
-                        this.ship2.resetToStart(); // Reset P2
-                        this.bullets = []; // Clear all bullets
-                        break;
-                    }
-                }
-            }
+    /**
+     * Make a line of centred menu text tappable (y is the text baseline)
+     */
+    addTapLine(y, action, x = 0, width = this.canvas.width) {
+        this.addTapTarget(x, y - 28, width, 36, action);
+    }
 
-            // Collision with Ship 2
-            if (bullet.ownerId !== this.ship2.id) {
-                const hit2 = bullet.checkCollision(this.ship2.position, this.ship2.radius + (this.ship2.shieldActive ? 8 : 0));
-                if (hit2) {
-                    if (this.ship2.shieldActive) {
-                        // Shield blocks bullet
-                        this.bullets.splice(i, 1);
-                        this.soundManager.play('shield');
-                        continue;
-                    } else {
-                        // Ship dies
-                        this.ship2.die(this.soundManager);
-                        this.ship1.resetToStart(); // Reset P1
-                        this.bullets = []; // Clear all bullets
-                        break;
-                    }
+    /**
+     * Run the actions of this frame's taps
+     */
+    handleTaps() {
+        for (const tap of this.taps) {
+            const target = this.tapTargets.find(t =>
+                tap.x >= t.x && tap.x <= t.x + t.width && tap.y >= t.y && tap.y <= t.y + t.height);
+            if (target) {
+                target.action();
+                return; // The screen may have changed
+            }
+            if (this.state === 'replay') {
+                // Tap anywhere: pause/resume, or leave once the replay ended
+                if (this.world.frame >= this.replayViewer.replay.length) {
+                    this.closeReplay();
+                } else {
+                    this.replayViewer.togglePause();
                 }
+                return;
             }
         }
+    }
 
-        // Update ships
-        this.ship1.update(this.canvas.width, this.canvas.height);
-        this.ship2.update(this.canvas.width, this.canvas.height);
-
-        // Check ship collision with sun
-        if (this.sun.isColliding(this.ship1.position, this.ship1.radius)) {
-            this.ship1.die(this.soundManager);
-            this.ship2.resetToStart(); // Reset P2
-            this.bullets = []; // Clear bullets
+    /**
+     * One-line controls help for a controller, from the live key bindings
+     */
+    getControlsHelp(controller) {
+        if (this.getPadIndex(controller) !== -1) {
+            return GamepadInput.HELP;
         }
-        if (this.sun.isColliding(this.ship2.position, this.ship2.radius)) {
-            this.ship2.die(this.soundManager);
-            this.ship1.resetToStart(); // Reset P1
-            this.bullets = []; // Clear bullets
+        const player = controller === 'keys2' ? 1 : 0;
+        const key = (action) => this.input.getBindingLabel(player, action);
+        return `${key('thrust')}=Thrust ${key('rotateLeft')}/${key('rotateRight')}=Rotate ${key('shoot')}=Shoot | ` +
+            `${key('hyperspace')}=Hyperspace ${key('shield')}=Shield ${key('cycleWeapon')}=Weapon`;
+    }
+
+    /**
+     * Controllers that can fly a ship right now: both key sets and each connected gamepad
+     */
+    getAvailableControllers() {
+        return ['keys1', 'keys2', ...this.getConnectedPads()];
+    }
+
+    /**
+     * Controller ids of the connected gamepads
+     */
+    getConnectedPads() {
+        return this.gamepads.getConnectedIndices().map(index => `pad${index + 1}`);
+    }
+
+    /**
+     * Switch a player to the next controller (their keys, then each connected gamepad)
+     */
+    cycleController(player) {
+        const choices = [`keys${player + 1}`, ...this.getConnectedPads()];
+        const current = choices.indexOf(this.controllers[player]);
+        this.controllers[player] = choices[(current + 1) % choices.length];
+    }
+
+    /**
+     * Describe a controller for the menus
+     */
+    describeController(controller) {
+        if (controller === 'ai') return 'COMPUTER';
+        const pad = this.getPadIndex(controller);
+        if (pad === -1) return `KEYBOARD ${controller === 'keys2' ? 2 : 1}`;
+        return `PAD ${pad + 1}${this.gamepads.isConnected(pad) ? '' : ' (UNPLUGGED)'}`;
+    }
+
+    /**
+     * Get the relay server address (?server=ws://host:port overrides it)
+     */
+    getServerUrl() {
+        const param = new URLSearchParams(window.location.search).get('server');
+        if (param) return param;
+
+        // Served by the relay itself: same host
+        if (window.location.protocol === 'http:' || window.location.protocol === 'https:') {
+            const scheme = window.location.protocol === 'https:' ? 'wss' : 'ws';
+            return `${scheme}://${window.location.host}`;
         }
+        return 'ws://localhost:8080';
+    }
+
+    /**
+     * Connect to the relay and show the lobby
+     */
+    openLobby() {
+        this.state = 'lobby';
+        this.lobby = { status: 'connecting', code: '', entry: null, message: '' };
+
+        const client = new NetClient(this.getServerUrl());
+        this.netClient = client;
 
-        // Check ship-to-ship collision
-        if (this.ship1.active && this.ship2.active) {
-            const distance = this.ship1.position.distanceTo(this.ship2.position);
-            if (distance < this.ship1.radius + this.ship2.radius) {
-                // Both ships explode!
-                this.ship1.die(this.soundManager);
-                this.ship2.die(this.soundManager);
-                this.bullets = []; // Clear bullets
+        client.onOpen = () => {
+            this.lobby.status = 'idle';
+        };
+        client.onRoomCreated = (code) => {
+            this.lobby.status = 'waiting';
+            this.lobby.code = code;
+        };
+        client.onStart = (start) => this.startOnlineGame(start);
+        client.onInput = (playerIndex, frame, input) => {
+            if (this.lockstep) this.lockstep.addRemoteInput(playerIndex, frame, input);
+        };
+        client.onChecksum = (playerIndex, frame, checksum) => {
+            if (this.lockstep) this.lockstep.addRemoteChecksum(frame, checksum);
+        };
+        client.onPeerLeft = () => this.endOnlineGame('Opponent disconnected');
+        client.onError = (message) => {
+            if (this.state === 'lobby') {
+                this.lobby.status = client.connected ? 'idle' : 'error';
+                this.lobby.message = message;
             }
-        }
+        };
+        client.onClose = () => {
+            if (this.state === 'lobby') {
+                this.lobby.status = 'error';
+                this.lobby.message = this.lobby.message || 'Disconnected from server';
+            } else {
+                this.endOnlineGame('Connection to server lost');
+            }
+        };
+    }
 
-        // Update debris
-        this.updateDebris();
+    /**
+     * Start an online match with the options the room host sent
+     */
+    startOnlineGame(start) {
+        this.lockstep = new Lockstep(start.playerIndex, start.playerCount);
+        this.startGame('online', Object.assign({}, start.options, { seed: start.seed }));
+        this.netWaitingSteps = 0;
+        this.netMessage = '';
+        this.lobby = null;
+    }
 
-        // Update asteroids
-        if (this.hazardsEnabled) {
-            this.updateAsteroids();
+    /**
+     * Stop an online match early (opponent or server gone); steps already
+     * received are still played out before the game over screen
+     */
+    endOnlineGame(message) {
+        if (this.state === 'playing' && this.lockstep) {
+            this.netMessage = message;
         }
+    }
 
-        // Update infalling stars
-        this.updateInfallingStars();
-
-        // Update fuel canisters
-        if (this.fuelEnabled) {
-            this.updateFuelCanisters();
+    /**
+     * Disconnect and forget the online session
+     */
+    closeOnline() {
+        if (this.netClient) {
+            this.netClient.close();
         }
+        this.netClient = null;
+        this.lockstep = null;
+        this.lobby = null;
     }
 
     /**
-     * Update and manage Fuel Canisters
+     * Render the online lobby
      */
-    updateFuelCanisters() {
-        // Spawn chance (rare)
-        if (this.fuelCanisters.length < 2 && Math.random() < 0.002) { // approx once every 8-10 seconds
-            this.spawnFuelCanister();
+    renderLobby() {
+        this.ctx.fillStyle = '#000814';
+        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+        this.drawStars();
+
+        const lobby = this.lobby;
+        const centerX = this.canvas.width / 2;
+
+        this.ctx.save();
+        this.ctx.textAlign = 'center';
+
+        this.ctx.font = 'bold 48px monospace';
+        this.ctx.fillStyle = '#00BFFF';
+        this.ctx.fillText('ONLINE MATCH', centerX, 120);
+
+        this.ctx.font = '16px monospace';
+        this.ctx.fillStyle = '#888888';
+        this.ctx.fillText(`Server: ${this.netClient.url}`, centerX, 160);
+
+        this.ctx.font = 'bold 28px monospace';
+        if (lobby.status === 'connecting') {
+            this.ctx.fillStyle = '#CCCCCC';
+            this.ctx.fillText('Connecting...', centerX, 280);
+        } else if (lobby.status === 'waiting') {
+            this.ctx.fillStyle = '#FFFFFF';
+            this.ctx.fillText(`Room code: ${lobby.code}`, centerX, 280);
+            this.ctx.font = '22px monospace';
+            this.ctx.fillStyle = '#CCCCCC';
+            this.ctx.fillText('Waiting for opponent to join...', centerX, 320);
+        } else if (lobby.entry !== null) {
+            this.ctx.fillStyle = '#FFFFFF';
+            this.ctx.fillText(`Join room: ${lobby.entry.padEnd(4, '_')}`, centerX, 280);
+            this.ctx.font = '18px monospace';
+            this.ctx.fillStyle = '#888888';
+            this.ctx.fillText('Type the code, Enter to join', centerX, 315);
+        } else if (lobby.status === 'idle') {
+            this.ctx.fillStyle = '#00BFFF';
+            this.ctx.fillText('Press C: Create room', centerX, 260);
+            this.addTapLine(260, () => this.createRoom());
+            this.ctx.fillStyle = '#FF1493';
+            this.ctx.fillText('Press J: Join room', centerX, 300);
+            this.addTapLine(300, () => this.promptRoomCode());
+            this.ctx.font = '18px monospace';
+            this.ctx.fillStyle = '#888888';
+            this.ctx.fillText(`Host sets the rules: ${World.RULESETS[this.ruleset].name}, ${World.ARENAS[this.arena].name}, ${Integrator.TYPES[this.integrator]} physics, Hazards ${this.hazardsEnabled ? 'ON' : 'OFF'}, Fuel ${this.fuelEnabled ? 'ON' : 'OFF'}, Power-ups ${this.powerUps ? 'ON' : 'OFF'}`, centerX, 340);
+            this.ctx.fillText(`Match rules: ${this.describeRules()}`, centerX, 362);
+        }
+
+        if (lobby.message) {
+            this.ctx.font = '18px monospace';
+            this.ctx.fillStyle = '#FF4500';
+            this.ctx.fillText(lobby.message, centerX, 400);
         }
 
-        for (let i = this.fuelCanisters.length - 1; i >= 0; i--) {
-            const canister = this.fuelCanisters[i];
-            canister.update(this.canvas.width, this.canvas.height);
+        this.ctx.font = '18px monospace';
+        this.ctx.fillStyle = '#888888';
+        this.ctx.fillText(`Each player uses their own keyboard: ${this.getControlsHelp(this.controllers[0])}`, centerX, 480);
+        this.ctx.fillText('Esc: Back to menu', centerX, 520);
+        this.addTapLine(520, () => this.closeLobby());
+
+        this.ctx.restore();
+    }
 
-            // Check collision with ships
-            if (this.ship1.active) {
-                const dist = canister.position.distanceTo(this.ship1.position);
-                if (dist < canister.radius + this.ship1.radius) {
-                    // Pickup
-                    this.ship1.addFuel(canister.fuelAmount);
-                    this.fuelCanisters.splice(i, 1);
-                    this.soundManager.play('shield'); // Reuse distinct sound
-                    continue;
+    /**
+     * Handle lobby keys
+     */
+    handleLobbyInput() {
+        const lobby = this.lobby;
+        for (const key of this.typedKeys) {
+            if (lobby.entry !== null) {
+                // Typing a room code
+                if (/^[a-zA-Z]$/.test(key) && lobby.entry.length < 4) {
+                    lobby.entry += key.toUpperCase();
+                } else if (key === 'Backspace') {
+                    lobby.entry = lobby.entry.slice(0, -1);
+                } else if (key === 'Enter' && lobby.entry.length === 4) {
+                    this.netClient.joinRoom(lobby.entry);
+                    lobby.entry = null;
+                    lobby.message = '';
+                } else if (key === 'Escape') {
+                    lobby.entry = null;
                 }
+                continue;
             }
 
-            if (this.ship2.active) {
-                const dist = canister.position.distanceTo(this.ship2.position);
-                if (dist < canister.radius + this.ship2.radius) {
-                    // Pickup
-                    this.ship2.addFuel(canister.fuelAmount);
-                    this.fuelCanisters.splice(i, 1);
-                    this.soundManager.play('shield');
-                    continue;
-                }
+            if (key === 'Escape') {
+                this.closeLobby();
+                return;
+            }
+            if (lobby.status !== 'idle') continue;
+
+            if (key === 'c' || key === 'C') {
+                this.createRoom();
+            } else if (key === 'j' || key === 'J') {
+                lobby.entry = '';
             }
         }
     }
 
     /**
-     * Spawn a fuel canister
+     * Host a room with the menu's match options
      */
-    spawnFuelCanister() {
-        const x = Math.random() * this.canvas.width;
-        const y = Math.random() * this.canvas.height;
-        this.fuelCanisters.push(new FuelCanister(x, y));
+    createRoom() {
+        const options = this.getMatchOptions();
+        options.seed = this.seed !== null ? this.seed : Random.generateSeed();
+        this.netClient.createRoom(options);
+        this.lobby.message = '';
     }
 
     /**
-     * Update and manage asteroids
+     * Ask for a room code in a dialog (touch devices have no letter keys)
      */
-    updateAsteroids() {
-        // Spawn/Respawn asteroids
-        if (this.asteroids.length < 3) { // Keep around 3 asteroids
-            this.asteroidSpawnTimer++;
-            if (this.asteroidSpawnTimer > 300) { // Every 5 seconds if low
-                this.spawnAsteroid();
-                this.asteroidSpawnTimer = 0;
-            }
+    promptRoomCode() {
+        const code = window.prompt('Room code');
+        if (code && code.trim().length === 4) {
+            this.netClient.joinRoom(code.trim());
+            this.lobby.message = '';
         }
+    }
 
-        for (let i = this.asteroids.length - 1; i >= 0; i--) {
-            const asteroid = this.asteroids[i];
-            asteroid.update(this.canvas.width, this.canvas.height);
+    /**
+     * Leave the lobby
+     */
+    closeLobby() {
+        this.closeOnline();
+        this.state = 'menu';
+    }
 
-            // Collision with sun
-            if (this.sun.isColliding(asteroid.position, asteroid.radius)) {
-                this.asteroids.splice(i, 1);
-                continue;
-            }
+    /**
+     * Render the key mapping screen
+     */
+    renderControls() {
+        this.ctx.fillStyle = '#000814';
+        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+        this.drawStars();
+        this.controlsScreen.render(this.ctx, this.canvas.width, this.canvas.height);
+        this.addTapLine(640, () => this.closeControls());
+    }
 
-            // Collision with ships
-            if (this.ship1.active && !this.ship1.shieldActive && // Shield protects!
-                asteroid.position.distanceTo(this.ship1.position) < asteroid.radius + this.ship1.radius) {
-                this.ship1.die(this.soundManager);
-                this.ship2.resetToStart();
-                this.bullets = []; // Clear bullets
+    /**
+     * Handle key mapping screen input
+     */
+    handleControlsInput() {
+        const screen = this.controlsScreen;
+        this.typedKeys.forEach((key, i) => {
+            if (screen.capturing) {
+                // The next key (by physical code) becomes the binding
+                if (key === 'Escape') {
+                    screen.cancelCapture();
+                } else {
+                    screen.capture(this.typedCodes[i]);
+                }
+                return;
             }
-            if (this.ship2.active && !this.ship2.shieldActive &&
-                asteroid.position.distanceTo(this.ship2.position) < asteroid.radius + this.ship2.radius) {
-                this.ship2.die(this.soundManager);
-                this.ship1.resetToStart();
-                this.bullets = []; // Clear bullets
+
+            if (key === 'ArrowUp') {
+                screen.moveSelection(-1, 0);
+            } else if (key === 'ArrowDown') {
+                screen.moveSelection(1, 0);
+            } else if (key === 'ArrowLeft' || key === 'ArrowRight' || key === 'Tab') {
+                screen.moveSelection(0, 1);
+            } else if (key === 'Enter' || key === ' ') {
+                screen.startCapture();
+            } else if (key === 'r' || key === 'R') {
+                screen.resetToDefaults();
+            } else if (key === 'Escape') {
+                this.closeControls();
             }
+        });
+    }
 
-            // Collision with bullets (Bullet destroys asteroid)
-            for (let j = this.bullets.length - 1; j >= 0; j--) {
-                const bullet = this.bullets[j];
-                if (asteroid.position.distanceTo(bullet.position) < asteroid.radius + bullet.radius) {
-                    // Create debris
-                    const particles = asteroid.break();
-                    this.debris.push(...particles);
-
-                    // Destroy asteroid
-                    this.asteroids.splice(i, 1);
-                    // Destroy bullet
-                    this.bullets.splice(j, 1);
-                    this.soundManager.play('explosion');
-                    // Break loop since asteroid is gone
-                    break;
-                }
+    /**
+     * Advance replay playback by real time scaled by the playback speed
+     */
+    updateReplay(deltaTime) {
+        const viewer = this.replayViewer;
+        if (viewer.paused) return;
+
+        this.accumulator += Math.max(deltaTime, 0) * viewer.speed;
+        while (this.accumulator >= this.stepDuration) {
+            if (this.world.frame >= viewer.replay.length) {
+                // Hold on the last frame
+                viewer.paused = true;
+                this.accumulator = 0;
+                break;
             }
+            this.update();
+            this.accumulator -= this.stepDuration;
         }
     }
 
     /**
-     * Update space debris
+     * Start watching a replay
+     * @param {boolean} fromGameOver Opened from the game over screen: closing it goes back there
+     */
+    startReplay(replay, fromGameOver = false) {
+        this.closeOnline();
+        this.replayReturn = fromGameOver
+            ? { world: this.world, gameMode: this.gameMode, participants: this.participants, ais: this.ais }
+            : null;
+        this.replayViewer = new ReplayViewer(replay);
+        this.gameMode = null; // No live controls help while watching
+        this.participants = [];
+        this.ais = [];
+        this.state = 'replay';
+        this.seekReplay(0);
+    }
+
+    /**
+     * Jump to a step of the replay by re-simulating from the start when going back
      */
-    updateDebris() {
-        for (let i = this.debris.length - 1; i >= 0; i--) {
-            const p = this.debris[i];
-            p.x += p.vx;
-            p.y += p.vy;
-            p.life -= p.decay;
+    seekReplay(frame) {
+        const replay = this.replayViewer.replay;
+        const target = Math.max(0, Math.min(replay.length, frame));
+
+        if (target < this.world.frame || this.replayViewer.world !== this.world) {
+            this.world = this.createWorld(Object.assign({}, replay.options, { seed: replay.seed, shipCount: replay.shipCount }));
+            this.world.reset();
+            this.replayViewer.world = this.world;
+        }
+
+        // Fast-forward silently
+        this.world.soundManager = null;
+        while (this.world.frame < target) {
+            this.update();
+        }
+        this.world.soundManager = this.soundManager;
+        this.accumulator = 0;
+    }
 
-            if (p.life <= 0) {
-                this.debris.splice(i, 1);
+    /**
+     * Handle replay viewer keys
+     */
+    handleReplayInput() {
+        const viewer = this.replayViewer;
+        for (const key of this.typedKeys) {
+            if (key === ' ' || key === 'p' || key === 'P') {
+                viewer.togglePause();
+            } else if (key === 'ArrowLeft') {
+                this.seekReplay(this.world.frame - 300);
+            } else if (key === 'ArrowRight') {
+                this.seekReplay(this.world.frame + 300);
+            } else if (key === ',') {
+                viewer.paused = true;
+                this.seekReplay(this.world.frame - 1);
+            } else if (key === '.') {
+                viewer.paused = true;
+                this.seekReplay(this.world.frame + 1);
+            } else if (key === '-' || key === '[') {
+                viewer.changeSpeed(-1);
+            } else if (key === '+' || key === '=' || key === ']') {
+                viewer.changeSpeed(1);
+            } else if (key === 'Home') {
+                this.seekReplay(0);
+            } else if (key === 'Escape') {
+                this.closeReplay();
+                return;
             }
         }
     }
 
     /**
-     * Update infalling stars logic
+     * Stop watching: back to the finished match's game over screen (series and tournaments
+     * carry on from there), or to the menu for a replay loaded from a file
+     */
+    closeReplay() {
+        const back = this.replayReturn;
+        this.replayViewer = null;
+        this.replayReturn = null;
+        if (!back) {
+            this.state = 'menu';
+            return;
+        }
+        this.world = back.world;
+        this.gameMode = back.gameMode;
+        this.participants = back.participants;
+        this.ais = back.ais;
+        this.accumulator = 0;
+        this.state = 'gameOver';
+    }
+
+    /**
+     * Download the last match's replay
+     */
+    saveReplay() {
+        this.downloadJSON(this.recording.toJSON(), `spacewar-replay-${this.recording.seed}.json`);
+    }
+
+    /**
+     * Download data as a JSON file
+     */
+    downloadJSON(data, filename) {
+        const blob = new Blob([JSON.stringify(data)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Open the file picker and pass the chosen file's text to a callback
      */
-    updateInfallingStars() {
-        for (let i = this.infallingStars.length - 1; i >= 0; i--) {
-            const star = this.infallingStars[i];
+    openFile(callback) {
+        this.onFileLoaded = callback;
+        this.fileInput.value = '';
+        this.fileInput.click();
+    }
 
-            // Apply gravity
-            // We can reuse sun.getGravitationalForce, but that returns Force. a = F/m.
-            // Let's assume mass 1 for simplicity.
-            const gravityForce = this.sun.getGravitationalForce(
-                star.position,
-                1, // mass 1
-                this.G
-            );
+    /**
+     * Read the file chosen in the file picker
+     */
+    readSelectedFile() {
+        const file = this.fileInput.files[0];
+        if (!file || !this.onFileLoaded) return;
 
-            // Apply acceleration to velocity
-            star.velocity.add(gravityForce); // F=ma => a=F (if m=1)
+        const callback = this.onFileLoaded;
+        this.onFileLoaded = null;
 
-            // Update position
-            star.position.add(star.velocity);
+        const reader = new FileReader();
+        reader.onload = () => callback(reader.result);
+        reader.readAsText(file);
+    }
 
-            // Check collision/swallowed by sun
-            if (this.sun.isColliding(star.position, star.size)) {
-                // Remove and respawn
-                this.infallingStars.splice(i, 1);
-                this.spawnInfallingStar(false); // Respawn at edge
-            }
+    /**
+     * Load a replay file and start watching it
+     */
+    loadReplayFile(text) {
+        try {
+            this.startReplay(Replay.fromJSON(text));
+            this.menuMessage = '';
+        } catch (err) {
+            console.error('Replay load failed:', err);
+            this.menuMessage = `Could not load replay: ${err.message}`;
         }
     }
 
@@ -544,7 +943,7 @@ class Game {
      */
     renderInfallingStars() {
         this.ctx.save();
-        for (const star of this.infallingStars) {
+        for (const star of this.world.infallingStars) {
             this.ctx.fillStyle = star.color;
             this.ctx.shadowBlur = star.size * 2;
             this.ctx.shadowColor = star.color;
@@ -556,27 +955,34 @@ class Game {
     }
 
     /**
-     * Spawn a new random asteroid
+     * Render game objects
+     * @param {number} alpha Interpolation factor (0-1) between the previous and current step
      */
-    spawnAsteroid() {
-        const angle = Math.random() * Math.PI * 2;
-        const dist = this.playAreaRadius * 0.9;
-        const x = this.centerX + Math.cos(angle) * dist;
-        const y = this.centerY + Math.sin(angle) * dist;
+    render(alpha = 1) {
+        if (this.world.ruleset === '1962') {
+            this.renderVectorScene(alpha);
+        } else {
+            this.renderScene(alpha);
+        }
 
-        // Aim somewhat towards center but randomly
-        const targetX = this.centerX + (Math.random() - 0.5) * 400;
-        const targetY = this.centerY + (Math.random() - 0.5) * 400;
+        // Draw UI
+        this.renderUI();
 
-        const velocity = new Vector2(targetX - x, targetY - y);
-        velocity.normalize().multiply(1 + Math.random()); // Random speed
-        this.asteroids.push(new Asteroid(x, y, 10 + Math.random() * 15, velocity));
+        // On-screen touch controls, in the colour of the ship each keyboard player flies
+        if (this.state === 'playing') {
+            const colors = [0, 1].map(player => {
+                const ship = this.world.ships[this.participants.indexOf(`keys${player + 1}`)];
+                return ship ? ship.color : '#FFFFFF';
+            });
+            this.touch.render(this.ctx, colors);
+        }
     }
 
     /**
-     * Render game objects
+     * Draw the arena and everything in it
+     * @param {number} alpha Interpolation factor (0-1) between the previous and current step
      */
-    render() {
+    renderScene(alpha) {
         // Clear canvas with space background
         this.ctx.fillStyle = '#000814';
         this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
@@ -594,10 +1000,13 @@ class Game {
         this.ctx.fillStyle = '#000000';
         this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
 
-        // Create circular clip region for play area
-        this.ctx.beginPath();
-        this.ctx.arc(this.centerX, this.centerY, this.playAreaRadius, 0, Math.PI * 2);
-        this.ctx.clip();
+        // Create circular clip region for play area (a toroidal arena is the whole rectangle)
+        const toroidal = this.world.boundary.type === 'toroidal';
+        if (!toroidal) {
+            this.ctx.beginPath();
+            this.ctx.arc(this.centerX, this.centerY, this.playAreaRadius, 0, Math.PI * 2);
+            this.ctx.clip();
+        }
 
         // Fill play area with deep space gradient
         const bgGradient = this.ctx.createRadialGradient(
@@ -616,23 +1025,32 @@ class Game {
 
         this.ctx.restore();
 
-        // Draw circular border
-        this.ctx.save();
-        this.ctx.strokeStyle = 'rgba(100, 150, 200, 0.5)';
-        this.ctx.lineWidth = 3;
-        this.ctx.shadowBlur = 15;
-        this.ctx.shadowColor = 'rgba(100, 150, 200, 0.8)';
-        this.ctx.beginPath();
-        this.ctx.arc(this.centerX, this.centerY, this.playAreaRadius, 0, Math.PI * 2);
-        this.ctx.stroke();
-        this.ctx.restore();
+        // Draw circular border (solid walls, dashed open edge, none round a toroidal arena)
+        if (!toroidal) {
+            this.ctx.save();
+            this.ctx.strokeStyle = 'rgba(100, 150, 200, 0.5)';
+            this.ctx.lineWidth = this.world.boundary.type === 'walls' ? 6 : 3;
+            this.ctx.shadowBlur = 15;
+            this.ctx.shadowColor = 'rgba(100, 150, 200, 0.8)';
+            if (this.world.boundary.type === 'open') {
+                this.ctx.setLineDash([12, 10]);
+            }
+            this.ctx.beginPath();
+            this.ctx.arc(this.centerX, this.centerY, this.playAreaRadius, 0, Math.PI * 2);
+            this.ctx.stroke();
+            this.ctx.restore();
+        }
+
+        const world = this.world;
 
-        // Draw sun
-        this.sun.render(this.ctx);
+        // Draw suns and planets
+        for (const body of world.bodies) {
+            body.render(this.ctx);
+        }
 
         // Draw asteroids
-        if (this.hazardsEnabled) {
-            for (const asteroid of this.asteroids) {
+        if (world.hazardsEnabled) {
+            for (const asteroid of world.asteroids) {
                 asteroid.render(this.ctx);
             }
         }
@@ -640,32 +1058,84 @@ class Game {
         // Draw debris
         this.renderDebris();
 
-        // Draw fuel canisters
-        if (this.fuelEnabled) {
-            for (const canister of this.fuelCanisters) {
-                canister.render(this.ctx);
-            }
+        // Draw power-ups
+        for (const powerUp of world.powerUps) {
+            powerUp.render(this.ctx);
+        }
+
+        // Flight aid under the ships and bullets
+        if (this.trajectoryEnabled && this.state === 'playing') {
+            this.renderTrajectories();
         }
 
         // Draw bullets
-        for (const bullet of this.bullets) {
-            bullet.render(this.ctx);
+        for (const bullet of world.bullets) {
+            bullet.render(this.ctx, alpha);
         }
 
-        // Draw ships with thrust indicator
-        const input1 = this.input.getShip1Input();
-        const input2 = this.input.getShip2Input();
+        // Draw ships with thrust indicator (last applied input)
+        for (const ship of world.ships) {
+            ship.render(this.ctx, ship.thrusting, alpha);
+        }
+    }
 
-        let ship2Thrust = input2.thrust;
-        if (this.gameMode === 'ai' && this.ai) {
-            ship2Thrust = this.ai.shouldThrust;
+    /**
+     * Draw the arena the way the 1962 PDP-1 did: one phosphor colour on black, outlines and dots only
+     * @param {number} alpha Interpolation factor (0-1) between the previous and current step
+     */
+    renderVectorScene(alpha) {
+        const ctx = this.ctx;
+        const world = this.world;
+        const color = Game.VECTOR_COLOR;
+
+        ctx.fillStyle = '#000000';
+        ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+
+        // Faint background stars, one dot each
+        ctx.save();
+        ctx.fillStyle = color;
+        ctx.globalAlpha = 0.35;
+        for (const star of this.stars || []) {
+            ctx.fillRect(star.x, star.y, 1, 1);
         }
+        ctx.restore();
 
-        this.ship1.render(this.ctx, input1.thrust);
-        this.ship2.render(this.ctx, ship2Thrust);
+        // A touch of glow for the phosphor
+        ctx.save();
+        ctx.shadowBlur = 6;
+        ctx.shadowColor = color;
 
-        // Draw UI
-        this.renderUI();
+        for (const body of world.bodies) {
+            body.renderVector(ctx, color);
+        }
+
+        if (this.trajectoryEnabled && this.state === 'playing') {
+            this.renderTrajectories();
+        }
+
+        for (const bullet of world.bullets) {
+            bullet.renderVector(ctx, alpha, color);
+        }
+
+        for (const ship of world.ships) {
+            ship.renderVector(ctx, ship.thrusting, alpha, color);
+        }
+        ctx.restore();
+    }
+
+    /**
+     * Draw where each locally flown ship drifts and where a shot fired now would go
+     */
+    renderTrajectories() {
+        this.world.ships.forEach((ship, i) => {
+            const controller = this.participants[i];
+            if (!ship.active || controller === 'ai' || controller === 'remote') return;
+
+            Trajectory.render(this.ctx, Trajectory.predictShip(this.world, ship), ship.color);
+            if (ship.weapon !== 'torpedo') { // Torpedoes steer themselves
+                Trajectory.render(this.ctx, Trajectory.predictBullet(this.world, ship), '#FFFFFF', 6, 1);
+            }
+        });
     }
 
     /**
@@ -746,8 +1216,9 @@ class Game {
      */
     renderDebris() {
         this.ctx.save();
-        for (const p of this.debris) {
-            this.ctx.fillStyle = `rgba(170, 170, 170, ${p.life})`;
+        for (const p of this.world.debris) {
+            this.ctx.globalAlpha = Math.max(0, p.life);
+            this.ctx.fillStyle = p.color;
             this.ctx.beginPath();
             this.ctx.arc(p.x, p.y, p.size, 0, Math.PI * 2);
             this.ctx.fill();
@@ -759,43 +1230,134 @@ class Game {
      * Render UI elements
      */
     renderUI() {
-        // Ship status - Swapped positions:
-        // Ship 1 (Blue/Arrows) starts Right, so UI is on Right
-        // Ship 2 (Pink/WASD) starts Left, so UI is on Left
+        const ships = this.world.ships;
+        if (ships.length === 2) {
+            // Ship status - Swapped positions:
+            // Ship 1 (Blue/Arrows) starts Right, so UI is on Right
+            // Ship 2 (Pink/WASD) starts Left, so UI is on Left
 
-        // Ship 2 (Pink) - Left side UI
-        this.ship2.renderUI(this.ctx, 20, 30);
+            // Ship 2 (Pink) - Left side UI
+            ships[1].renderUI(this.ctx, 20, 30);
 
-        // Ship 1 (Blue) - Right side UI
-        this.ship1.renderUI(this.ctx, this.canvas.width - 180, 30);
+            // Ship 1 (Blue) - Right side UI
+            ships[0].renderUI(this.ctx, this.canvas.width - 180, 30);
+        } else {
+            this.renderScoreboard();
+        }
 
         // Controls help (only in PvP mode)
         if (this.gameMode === 'pvp') {
             this.ctx.save();
             this.ctx.fillStyle = '#888888';
             this.ctx.font = '12px monospace';
-            this.ctx.fillText('P1: \u2191=Thrust \u2190/\u2192=Rotate RCtrl=Shoot | \u2193=Hyperspace RShift=Shield', 20, this.canvas.height - 20);
-            this.ctx.fillText('P2: W=Thrust A/D=Rotate V=Shoot | S=Hyperspace B=Shield', 20, this.canvas.height - 5);
+            this.ctx.fillText(`P1: ${this.getControlsHelp(this.participants[0])}`, 20, this.canvas.height - 20);
+            this.ctx.fillText(`P2: ${this.getControlsHelp(this.participants[1])}`, 20, this.canvas.height - 5);
             this.ctx.restore();
         } else if (this.gameMode === 'ai') {
             this.ctx.save();
             this.ctx.fillStyle = '#888888';
             this.ctx.font = '12px monospace';
-            this.ctx.fillText('Player: \u2191=Thrust \u2190/\u2192=Rotate RCtrl=Shoot | \u2193=Hyperspace RShift=Shield', 20, this.canvas.height - 20);
+            this.ctx.fillText(`Player: ${this.getControlsHelp(this.participants[0])}`, 20, this.canvas.height - 20);
+            this.ctx.restore();
+        } else if (this.gameMode === 'ffa' || this.gameMode === 'teams' || this.gameMode === 'series') {
+            // One line per human-flown ship, bottom up, in the ship's colour
+            this.ctx.save();
+            this.ctx.font = '12px monospace';
+            let y = this.canvas.height - 5;
+            for (let i = this.participants.length - 1; i >= 0; i--) {
+                if (this.participants[i] === 'ai') continue;
+                this.ctx.fillStyle = ships[i].color;
+                this.ctx.fillText(`${this.getShipLabel(ships[i])}: ${this.getControlsHelp(this.participants[i])}`, 20, y);
+                y -= 15;
+            }
+            this.ctx.restore();
+        } else if (this.gameMode === 'online' && this.lockstep) {
+            const localShip = this.world.ships[this.lockstep.localIndex];
+            this.ctx.save();
+            this.ctx.font = '12px monospace';
+            this.ctx.fillStyle = localShip.color;
+            this.ctx.fillText(`Online - you fly the ${World.SHIP_NAMES[this.lockstep.localIndex]} ship: ${this.getControlsHelp(this.controllers[0])}`, 20, this.canvas.height - 20);
+
+            this.ctx.textAlign = 'center';
+            this.ctx.font = 'bold 20px monospace';
+            if (this.lockstep.desyncFrame !== null) {
+                this.ctx.fillStyle = '#FF0000';
+                this.ctx.fillText(`DESYNC at step ${this.lockstep.desyncFrame}`, this.canvas.width / 2, 60);
+            } else if (this.netWaitingSteps > 30 && this.state === 'playing') {
+                this.ctx.fillStyle = '#FFFFFF';
+                this.ctx.fillText('Waiting for opponent...', this.canvas.width / 2, 60);
+            }
             this.ctx.restore();
         }
 
-        // Check for game over
-        if (this.ship1.lives <= 0 || this.ship2.lives <= 0) {
-            if (this.state === 'playing') {
-                this.state = 'gameOver';
-            }
+        // Series score between the ships' status
+        if (this.gameMode === 'series' && this.state === 'playing') {
+            this.ctx.save();
+            this.ctx.textAlign = 'center';
+            this.ctx.font = 'bold 16px monospace';
+            this.ctx.fillStyle = '#CCCCCC';
+            this.ctx.fillText(`GAME ${this.series.games.length + 1}  ${this.series.describe()}`, this.canvas.width / 2, 24);
+            this.ctx.restore();
+        }
+
+        // Warn when a player's gamepad was unplugged mid-match
+        const unplugged = this.participants.findIndex(controller =>
+            this.getPadIndex(controller) !== -1 && !this.gamepads.isConnected(this.getPadIndex(controller)));
+        if (unplugged !== -1 && this.state === 'playing') {
+            this.ctx.save();
+            this.ctx.textAlign = 'center';
+            this.ctx.font = 'bold 20px monospace';
+            this.ctx.fillStyle = '#FF4500';
+            this.ctx.fillText(`P${unplugged + 1} gamepad unplugged - reconnect it`, this.canvas.width / 2, 90);
+            this.ctx.restore();
+        }
+
+        if (this.state === 'gameOver') {
             this.renderGameOver();
         }
     }
 
     /**
-     * Render game over screen
+     * Short name of a ship for scoreboards: its colour, or player number and team
+     */
+    getShipLabel(ship) {
+        if (this.gameMode === 'series') return this.series.getPlayer(ship.id - 1).name;
+        return this.world.teams ? `P${ship.id} ${World.SHIP_NAMES[ship.team]}` : World.SHIP_NAMES[ship.id - 1];
+    }
+
+    /**
+     * Compact status of every ship for matches with more than two
+     * (name, lives, kills, shield energy and asteroid points; first half on the left, the rest on the right)
+     */
+    renderScoreboard() {
+        const ships = this.world.ships;
+        const perColumn = Math.ceil(ships.length / 2);
+
+        this.ctx.save();
+        this.ctx.font = 'bold 14px monospace';
+        ships.forEach((ship, i) => {
+            const x = i < perColumn ? 20 : this.canvas.width - 200;
+            const y = 24 + (i % perColumn) * 18;
+
+            this.ctx.globalAlpha = ship.lives > 0 ? 1 : 0.4;
+            this.ctx.fillStyle = ship.color;
+            this.ctx.fillText(`${this.getShipLabel(ship).padEnd(9)} L${ship.lives} K${ship.kills}`, x, y);
+
+            this.ctx.fillStyle = '#444444';
+            this.ctx.fillRect(x + 140, y - 8, 40, 5);
+            this.ctx.fillStyle = ship.energy > 20 ? '#00FFFF' : '#FF0000';
+            this.ctx.fillRect(x + 140, y - 8, 40 * ship.energy / ship.maxEnergy, 5);
+
+            if (ship.score > 0) {
+                this.ctx.fillStyle = ship.color;
+                this.ctx.fillText(`${ship.score}`, x + 140 + 45, y);
+            }
+        });
+        this.ctx.restore();
+    }
+
+    /**
+     * Render game over screen
      */
     renderGameOver() {
         this.ctx.save();
@@ -809,26 +1371,77 @@ class Game {
         this.ctx.font = 'bold 48px monospace';
         this.ctx.textAlign = 'center';
 
-        let winner = '';
-        if (this.ship1.lives <= 0 && this.ship2.lives <= 0) {
-            winner = 'DRAW!';
-        } else if (this.ship1.lives <= 0) {
-            winner = 'PLAYER 2 WINS!';
-        } else {
-            winner = 'PLAYER 1 WINS!';
+        const winnerId = this.world.getWinner();
+        let winner = winnerId === 0 ? 'DRAW!' : `PLAYER ${winnerId} WINS!`;
+        if (winnerId && this.gameMode === 'series') {
+            winner = `${this.getShipLabel(this.world.getShip(winnerId))} WINS!`;
+        } else if (winnerId && this.world.teams) {
+            winner = `${World.SHIP_NAMES[this.world.getShip(winnerId).team]} TEAM WINS!`;
+        } else if (winnerId && this.world.ships.length > 2) {
+            winner = `PLAYER ${winnerId} (${World.SHIP_NAMES[winnerId - 1]}) WINS!`;
+        }
+        if (winnerId === null) {
+            // Online match cut short
+            winner = this.netMessage.toUpperCase();
+            this.ctx.font = 'bold 36px monospace';
         }
 
         this.ctx.fillText(winner, this.canvas.width / 2, this.canvas.height / 2);
 
+        // Series standing (and tournament round) above the winner
+        if (this.gameMode === 'series') {
+            const series = this.series;
+            this.ctx.font = 'bold 24px monospace';
+            this.ctx.fillStyle = '#FFD700';
+            this.ctx.fillText(series.isOver()
+                ? `${series.players[series.getWinner()].name} TAKES THE SERIES ${series.wins[series.getWinner()]}-${series.wins[1 - series.getWinner()]}`
+                : `SERIES: ${series.describe()}`, this.canvas.width / 2, this.canvas.height / 2 - 70);
+            if (this.tournament) {
+                this.ctx.font = '18px monospace';
+                this.ctx.fillStyle = '#AAAAAA';
+                this.ctx.fillText(`TOURNAMENT ${this.tournament.getRoundName(this.tournamentMatch.round)}`,
+                    this.canvas.width / 2, this.canvas.height / 2 - 105);
+            }
+            this.ctx.font = 'bold 48px monospace';
+        }
+
         // Display final score (remaining lives)
         this.ctx.font = '32px monospace';
         this.ctx.fillStyle = '#CCCCCC';
-        const score = `${this.ship1.lives}:${this.ship2.lives}`;
+        const score = this.world.ships.map(ship => ship.lives).join(':');
         this.ctx.fillText(`Score: ${score}`, this.canvas.width / 2, this.canvas.height / 2 + 50);
 
         this.ctx.font = '32px monospace';
         this.ctx.fillStyle = '#FFFFFF';
-        this.ctx.fillText('Press SPACE to restart', this.canvas.width / 2, this.canvas.height / 2 + 90);
+        let next = 'restart';
+        if (this.gameMode === 'series' && !this.series.isOver()) {
+            next = 'for the next game';
+        } else if (this.gameMode === 'series' && this.tournament) {
+            next = 'for the bracket';
+        }
+        this.ctx.fillText(`Press SPACE ${next}`, this.canvas.width / 2, this.canvas.height / 2 + 90);
+        this.addTapLine(this.canvas.height / 2 + 90, () => this.continueAfterGame());
+
+        // Seed for reproducing the match
+        this.ctx.font = '18px monospace';
+        this.ctx.fillStyle = '#888888';
+        this.ctx.fillText(`Seed: ${this.world.seed}`, this.canvas.width / 2, this.canvas.height / 2 + 130);
+        this.ctx.fillText('R: Save replay | P: Watch replay | T: Stats', this.canvas.width / 2, this.canvas.height / 2 + 155);
+        const third = this.canvas.width / 3;
+        this.addTapLine(this.canvas.height / 2 + 155, () => this.saveReplay(), 0, third);
+        this.addTapLine(this.canvas.height / 2 + 155, () => this.startReplay(this.recording, true), third, third);
+        this.addTapLine(this.canvas.height / 2 + 155, () => this.openStats(), third * 2, third);
+
+        // Final standings when more than two ships took part
+        if (this.world.ships.length > 2) {
+            this.ctx.font = '18px monospace';
+            this.world.getStandings().forEach((ship, rank) => {
+                this.ctx.fillStyle = ship.color;
+                const rocks = this.world.hazardsEnabled ? `  Rocks ${ship.score}` : '';
+                this.ctx.fillText(`${rank + 1}. ${this.getShipLabel(ship).padEnd(9)} Lives ${ship.lives}  Kills ${ship.kills}${rocks}`,
+                    this.canvas.width / 2, this.canvas.height / 2 + 195 + rank * 22);
+            });
+        }
 
         this.ctx.restore();
     }
@@ -857,44 +1470,122 @@ class Game {
         this.ctx.fillText('SPACEWAR!', this.canvas.width / 2, 80);
 
         // Menu options
-        this.ctx.font = 'bold 32px monospace';
+        this.ctx.font = 'bold 28px monospace';
         this.ctx.fillStyle = '#00BFFF';
-        this.ctx.fillText('Press 1: Player vs Computer', this.canvas.width / 2, 160);
+        this.ctx.fillText('Press 1: Player vs Computer', this.canvas.width / 2, 130);
+        this.addTapLine(130, () => this.startDuel('ai'));
 
         this.ctx.fillStyle = '#FF1493';
-        this.ctx.fillText('Press 2: Player vs Player', this.canvas.width / 2, 200);
+        this.ctx.fillText('Press 2: Player vs Player', this.canvas.width / 2, 162);
+        this.addTapLine(162, () => this.startDuel('pvp'));
+
+        this.ctx.font = 'bold 24px monospace';
+        this.ctx.fillStyle = '#7CFC00';
+        this.ctx.fillText('Press F: FFA / Teams (3-8)', this.canvas.width / 2 - 190, 194);
+        this.addTapLine(194, () => this.openMatchSetup(), 0, this.canvas.width / 2);
 
+        this.ctx.fillStyle = '#FFD700';
+        this.ctx.fillText('Press U: Tournament (4-16)', this.canvas.width / 2 + 190, 194);
+        this.addTapLine(194, () => this.openTournamentSetup(), this.canvas.width / 2, this.canvas.width / 2);
+
+        this.ctx.font = 'bold 24px monospace';
         this.ctx.fillStyle = '#CCCCCC';
-        this.ctx.fillText(`Press 3: Difficulty ${this.aiDifficulty.toUpperCase()}`, this.canvas.width / 2, 240);
+        this.ctx.fillText(`Press 3: Difficulty ${this.aiDifficulty.toUpperCase()}`, this.canvas.width / 2 - 190, 226);
+        this.addTapLine(226, () => this.cycleDifficulty(), 0, this.canvas.width / 2);
+
+        this.ctx.fillStyle = this.powerUps ? '#FF00FF' : '#555555';
+        this.ctx.fillText(`Press P: Power-ups [${this.powerUps ? 'ON' : 'OFF'}]`, this.canvas.width / 2 + 190, 226);
+        this.addTapLine(226, () => { this.powerUps = !this.powerUps; }, this.canvas.width / 2, this.canvas.width / 2);
+        this.ctx.font = 'bold 28px monospace';
 
         this.ctx.fillStyle = this.hazardsEnabled ? '#FF4500' : '#555555';
-        this.ctx.fillText(`Press 4: Hazards [${this.hazardsEnabled ? 'ON' : 'OFF'}]`, this.canvas.width / 2, 280);
+        this.ctx.fillText(`Press 4: Hazards [${this.hazardsEnabled ? 'ON' : 'OFF'}]`, this.canvas.width / 2 - 190, 258);
+        this.addTapLine(258, () => { this.hazardsEnabled = !this.hazardsEnabled; }, 0, this.canvas.width / 2);
 
         this.ctx.fillStyle = this.fuelEnabled ? '#FFD700' : '#555555';
-        this.ctx.fillText(`Press 5: Fuel [${this.fuelEnabled ? 'ON' : 'OFF'}]`, this.canvas.width / 2, 320);
+        this.ctx.fillText(`Press 5: Fuel [${this.fuelEnabled ? 'ON' : 'OFF'}]`, this.canvas.width / 2 + 190, 258);
+        this.addTapLine(258, () => { this.fuelEnabled = !this.fuelEnabled; }, this.canvas.width / 2, this.canvas.width / 2);
+
+        this.ctx.font = 'bold 24px monospace';
+        this.ctx.fillStyle = this.objectGravity ? '#CCCCCC' : '#555555';
+        this.ctx.fillText(`Press G: Gravity [${this.objectGravity ? 'ALL' : 'SHIPS'}]`, this.canvas.width / 2 - 190, 290);
+        this.addTapLine(290, () => { this.objectGravity = !this.objectGravity; }, 0, this.canvas.width / 2);
+
+        this.ctx.fillStyle = this.collisions !== 'classic' ? '#CCCCCC' : '#555555';
+        this.ctx.fillText(`Press C: Contact [${World.COLLISIONS[this.collisions].name}]`, this.canvas.width / 2 + 190, 290);
+        this.addTapLine(290, () => this.cycleCollisions(), this.canvas.width / 2, this.canvas.width / 2);
+        this.ctx.font = 'bold 28px monospace';
+
+        // Seed (typed digits while editing, RANDOM when unset)
+        this.ctx.font = 'bold 24px monospace';
+        if (this.seedEntry !== null) {
+            this.ctx.fillStyle = '#FFFFFF';
+            this.ctx.fillText(`Seed: ${this.seedEntry}_ (Enter/Esc)`, this.canvas.width / 2 - 190, 322);
+        } else {
+            this.ctx.fillStyle = this.seed !== null ? '#FFFFFF' : '#555555';
+            this.ctx.fillText(`Press 6: Seed [${this.seed !== null ? this.seed : 'RANDOM'}]`, this.canvas.width / 2 - 190, 322);
+            this.addTapLine(322, () => this.promptSeed(), 0, this.canvas.width / 2);
+        }
 
-        // Game objective
-        this.ctx.font = 'bold 32px monospace';
-        this.ctx.fillStyle = '#FFFFFF';
-        this.ctx.fillText('OBJECTIVE:', this.canvas.width / 2, 380);
-        this.ctx.font = '22px monospace';
+        this.ctx.fillStyle = this.boundary !== 'classic' ? '#CCCCCC' : '#555555';
+        this.ctx.fillText(`Press B: Edge [${Boundary.TYPES[this.boundary]}]`, this.canvas.width / 2 + 190, 322);
+        this.addTapLine(322, () => this.cycleBoundary(), this.canvas.width / 2, this.canvas.width / 2);
+        this.ctx.font = 'bold 28px monospace';
+
+        this.ctx.font = 'bold 20px monospace';
+        this.ctx.fillStyle = '#FFA500';
+        this.ctx.fillText(`Press A: Arena [${World.ARENAS[this.arena].name}]`, this.canvas.width / 2 - 190, 354);
+        this.addTapLine(354, () => this.cycleArena(), 0, this.canvas.width / 2);
+
+        this.ctx.fillStyle = this.matchRules.preset !== 'classic' ? '#FFD700' : '#CCCCCC';
+        this.ctx.fillText(`Press O: Options [${this.describeRules()}]`, this.canvas.width / 2 + 190, 354);
+        this.addTapLine(354, () => this.openRules(), this.canvas.width / 2, this.canvas.width / 2);
+
+        this.ctx.font = 'bold 24px monospace';
+        this.ctx.fillStyle = '#00FF7F';
+        this.ctx.fillText('Press 7: Online Match', this.canvas.width / 2 - 190, 386);
+        this.addTapLine(386, () => this.openLobby(), 0, this.canvas.width / 2);
+
+        this.ctx.fillStyle = this.hyperspaceMalfunction !== 'fixed' ? '#CCCCCC' : '#555555';
+        this.ctx.fillText(`Press H: Hyper [${World.MALFUNCTIONS[this.hyperspaceMalfunction].name}]`, this.canvas.width / 2 + 190, 386);
+        this.addTapLine(386, () => this.cycleMalfunction(), this.canvas.width / 2, this.canvas.width / 2);
+
+        // Controller assignment
+        this.ctx.font = 'bold 22px monospace';
+        this.ctx.fillStyle = '#CCCCCC';
+        this.ctx.fillText(`Press 8: P1 [${this.describeController(this.controllers[0])}]  Press 9: P2 [${this.describeController(this.controllers[1])}]`, this.canvas.width / 2, 418);
+        this.addTapLine(418, () => this.cycleController(0), 0, this.canvas.width / 2);
+        this.addTapLine(418, () => this.cycleController(1), this.canvas.width / 2, this.canvas.width / 2);
+
+        // Ruleset and game objective
+        this.ctx.font = 'bold 22px monospace';
+        this.ctx.fillStyle = this.ruleset === '1962' ? Game.VECTOR_COLOR : '#FFFFFF';
+        this.ctx.fillText(`Press R: Rules [${World.RULESETS[this.ruleset].name}]`, this.canvas.width / 2 - 190, 452);
+        this.addTapLine(452, () => this.cycleRuleset(), 0, this.canvas.width / 2);
+
+        this.ctx.fillStyle = this.seriesLength > 1 ? '#FFD700' : '#555555';
+        this.ctx.fillText(`Press N: Series [${this.seriesLength > 1 ? `BEST OF ${this.seriesLength}` : 'OFF'}]`, this.canvas.width / 2 + 190, 452);
+        this.addTapLine(452, () => this.cycleSeriesLength(), this.canvas.width / 2, this.canvas.width / 2);
+        this.ctx.font = '18px monospace';
         this.ctx.fillStyle = '#CCCCCC';
-        this.ctx.fillText('Defeat your opponent within the sun\'s gravity well!', this.canvas.width / 2, 410);
+        this.ctx.fillText(this.ruleset === '1962'
+            ? 'Needle vs Wedge: 32 torpedoes a life, no shields, risky hyperspace'
+            : 'Defeat your opponent within the sun\'s gravity well!', this.canvas.width / 2, 474);
 
         // Controls
         this.ctx.font = 'bold 22px monospace';
         this.ctx.fillStyle = '#00BFFF';
-        this.ctx.fillText('PLAYER 1 CONTROLS:', this.canvas.width / 2, 450);
-        this.ctx.font = '18px monospace';
+        this.ctx.fillText('PLAYER 1 CONTROLS:', this.canvas.width / 2, 504);
+        this.ctx.font = '16px monospace';
         this.ctx.fillStyle = '#88CCFF';
-        this.ctx.fillText('Move: \u2191\u2190\u2192 | Shoot: R-Ctrl | Hyper: \u2193 | Shield: R-Shift', this.canvas.width / 2, 475);
+        this.ctx.fillText(this.getControlsHelp(this.controllers[0]), this.canvas.width / 2, 524);
 
         this.ctx.font = 'bold 22px; monospace';
         this.ctx.fillStyle = '#FF1493';
-        this.ctx.fillText('PLAYER 2 CONTROLS:', this.canvas.width / 2, 515);
-        this.ctx.font = '18px monospace';
+        this.ctx.fillText('PLAYER 2 CONTROLS:', this.canvas.width / 2, 550);
+        this.ctx.font = '16px monospace';
         this.ctx.fillStyle = '#FF88CC';
-        this.ctx.fillText('Move: WAD | Shoot: V | Hyper: S | Shield: B', this.canvas.width / 2, 540);
+        this.ctx.fillText(this.getControlsHelp(this.controllers[1]), this.canvas.width / 2, 570);
 
         // Sound toggle
         this.ctx.font = '20px monospace';
@@ -903,11 +1594,37 @@ class Game {
         this.ctx.fillStyle = this.soundManager.isSoundEnabled() ? '#757575ff' : '#FF0000';
         const soundStatus = this.soundManager.isSoundEnabled() ? 'ON' : 'OFF';
         this.ctx.fillText(`Press S: SFX ${soundStatus}`, this.canvas.width / 2 - 120, 630);
+        this.addTapLine(630, () => this.soundManager.toggleSound(), 0, this.canvas.width / 2);
 
         // Music (M)
         this.ctx.fillStyle = this.soundManager.isMusicEnabled() ? '#757575ff' : '#FF0000';
         const musicStatus = this.soundManager.isMusicEnabled() ? 'ON' : 'OFF';
         this.ctx.fillText(`Press M: Music ${musicStatus}`, this.canvas.width / 2 + 120, 630);
+        this.addTapLine(630, () => this.soundManager.toggleMusic(), this.canvas.width / 2, this.canvas.width / 2);
+
+        // Replay loading
+        this.ctx.fillStyle = '#757575ff';
+        this.ctx.fillText('Press K: Controls | Press L: Load replay | Press Y: History', this.canvas.width / 2, 600);
+        const third = this.canvas.width / 3;
+        this.addTapLine(600, () => this.openControls(), 0, third);
+        this.addTapLine(600, () => this.openFile((text) => this.loadReplayFile(text)), third, third);
+        this.addTapLine(600, () => this.openHistory(), third * 2, third);
+
+        // Flight aid
+        this.ctx.fillStyle = this.trajectoryEnabled ? '#FFFFFF' : '#757575ff';
+        this.ctx.fillText(`Press T: Trajectory aid [${this.trajectoryEnabled ? 'ON' : 'OFF'}]`, this.canvas.width / 2 - 200, 660);
+        this.addTapLine(660, () => { this.trajectoryEnabled = !this.trajectoryEnabled; }, 0, this.canvas.width / 2);
+
+        // Physics integrator
+        this.ctx.fillStyle = this.integrator !== 'semi-implicit' ? '#FFFFFF' : '#757575ff';
+        this.ctx.fillText(`Press I: Physics [${Integrator.TYPES[this.integrator]}]`, this.canvas.width / 2 + 200, 660);
+        this.addTapLine(660, () => this.cycleIntegrator(), this.canvas.width / 2, this.canvas.width / 2);
+
+        if (this.menuMessage) {
+            this.ctx.font = '16px monospace';
+            this.ctx.fillStyle = '#FF4500';
+            this.ctx.fillText(this.menuMessage, this.canvas.width / 2, 688);
+        }
 
         // Author credits
         this.ctx.font = '14px monospace';
@@ -936,10 +1653,30 @@ class Game {
      * Handle menu input
      */
     handleMenuInput() {
+        // Seed entry captures all typed keys until confirmed
+        if (this.seedEntry !== null) {
+            this.handleSeedEntry();
+            return;
+        }
+        if (this.typedKeys.includes('6')) {
+            this.seedEntry = '';
+            return;
+        }
+        if (this.typedKeys.includes('7')) {
+            this.openLobby();
+            return;
+        }
+        if (this.typedKeys.includes('8')) {
+            this.cycleController(0);
+        }
+        if (this.typedKeys.includes('9')) {
+            this.cycleController(1);
+        }
+
         if (this.input.isKeyPressed('1') || this.input.isKeyPressed('Digit1')) {
-            this.startGame('ai');
+            this.startDuel('ai');
         } else if (this.input.isKeyPressed('2') || this.input.isKeyPressed('Digit2')) {
-            this.startGame('pvp');
+            this.startDuel('pvp');
         } else if (this.input.isKeyPressed('3') || this.input.isKeyPressed('Digit3')) {
             this.cycleDifficulty();
         } else if (this.input.isKeyPressed('4') || this.input.isKeyPressed('Digit4')) {
@@ -952,50 +1689,565 @@ class Game {
         } else if (this.input.isKeyPressed('m') || this.input.isKeyPressed('M')) {
             // M for Music
             this.soundManager.toggleMusic();
+        } else if (this.typedKeys.includes('t') || this.typedKeys.includes('T')) {
+            // T for Trajectory aid
+            this.trajectoryEnabled = !this.trajectoryEnabled;
+        } else if (this.typedKeys.includes('a') || this.typedKeys.includes('A')) {
+            // A for Arena
+            this.cycleArena();
+        } else if (this.typedKeys.includes('g') || this.typedKeys.includes('G')) {
+            // G for Gravity on all objects
+            this.objectGravity = !this.objectGravity;
+        } else if (this.typedKeys.includes('c') || this.typedKeys.includes('C')) {
+            // C for Contact (collision) rules
+            this.cycleCollisions();
+        } else if (this.typedKeys.includes('i') || this.typedKeys.includes('I')) {
+            // I for physics Integrator
+            this.cycleIntegrator();
+        } else if (this.typedKeys.includes('h') || this.typedKeys.includes('H')) {
+            // H for Hyperspace malfunctions
+            this.cycleMalfunction();
+        } else if (this.typedKeys.includes('b') || this.typedKeys.includes('B')) {
+            // B for arena Boundary (edge)
+            this.cycleBoundary();
+        } else if (this.typedKeys.includes('y') || this.typedKeys.includes('Y')) {
+            // Y for match history
+            this.openHistory();
+        } else if (this.typedKeys.includes('p') || this.typedKeys.includes('P')) {
+            // P for Power-ups
+            this.powerUps = !this.powerUps;
+        } else if (this.typedKeys.includes('r') || this.typedKeys.includes('R')) {
+            // R for Rules (modern or 1962)
+            this.cycleRuleset();
+        } else if (this.typedKeys.includes('f') || this.typedKeys.includes('F')) {
+            // F for Free-for-all (and team battles)
+            this.openMatchSetup();
+        } else if (this.typedKeys.includes('n') || this.typedKeys.includes('N')) {
+            // N for series length (best of N)
+            this.cycleSeriesLength();
+        } else if (this.typedKeys.includes('u') || this.typedKeys.includes('U')) {
+            // U for tournament (T is the trajectory aid)
+            this.openTournamentSetup();
+        } else if (this.typedKeys.includes('o') || this.typedKeys.includes('O')) {
+            // O for match rules Options
+            this.openRules();
+        } else if (this.typedKeys.includes('k') || this.typedKeys.includes('K')) {
+            // K for Key bindings
+            this.openControls();
+        } else if (this.typedKeys.includes('l') || this.typedKeys.includes('L')) {
+            // L for Load replay
+            this.openFile((text) => this.loadReplayFile(text));
+        }
+    }
+
+    /**
+     * Ask for the seed in a dialog (touch devices have no number keys)
+     */
+    promptSeed() {
+        const text = window.prompt('Match seed (empty = random)', this.seed !== null ? String(this.seed) : '');
+        if (text === null) return;
+        this.seed = text.trim() === '' ? null : Random.normalizeSeed(text.trim());
+    }
+
+    /**
+     * Show the key mapping screen
+     */
+    openControls() {
+        this.controlsScreen = new ControlsScreen(this.input);
+        this.state = 'controls';
+    }
+
+    /**
+     * Leave the key mapping screen
+     */
+    closeControls() {
+        this.controlsScreen = null;
+        this.state = 'menu';
+    }
+
+    /**
+     * Name of the selected match rules preset, CUSTOM for edited rules
+     */
+    describeRules() {
+        return this.matchRules.preset ? MatchRules.PRESETS[this.matchRules.preset].name : 'CUSTOM';
+    }
+
+    /**
+     * Show the match rules editor
+     */
+    openRules() {
+        this.rulesScreen = new RulesScreen(this.matchRules);
+        this.state = 'rules';
+    }
+
+    /**
+     * Render the match rules editor (tapping a row changes it, the left half down and the right half up)
+     */
+    renderRules() {
+        this.ctx.fillStyle = '#000814';
+        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+        this.drawStars();
+
+        const screen = this.rulesScreen;
+        screen.render(this.ctx, this.canvas.width, this.canvas.height);
+        for (let row = 0; row < screen.rowCount; row++) {
+            const change = (direction) => () => {
+                screen.row = row;
+                screen.changeValue(direction);
+            };
+            this.addTapLine(screen.getRowY(row), change(-1), 0, this.canvas.width / 2);
+            this.addTapLine(screen.getRowY(row), change(1), this.canvas.width / 2, this.canvas.width / 2);
+        }
+        this.addTapLine(this.canvas.height - 60, () => this.closeRules());
+    }
+
+    /**
+     * Handle match rules editor keys
+     */
+    handleRulesInput() {
+        for (const key of this.typedKeys) {
+            if (key === 'ArrowUp') {
+                this.rulesScreen.moveSelection(-1);
+            } else if (key === 'ArrowDown') {
+                this.rulesScreen.moveSelection(1);
+            } else if (key === 'ArrowLeft') {
+                this.rulesScreen.changeValue(-1);
+            } else if (key === 'ArrowRight') {
+                this.rulesScreen.changeValue(1);
+            } else if (key === 'Escape' || key === 'Enter') {
+                this.closeRules();
+                return;
+            }
+        }
+    }
+
+    /**
+     * Leave the match rules editor, remembering the rules for next time
+     */
+    closeRules() {
+        MatchRules.save(this.matchRules.values);
+        this.rulesScreen = null;
+        this.state = 'menu';
+    }
+
+    /**
+     * Show the free-for-all setup screen
+     */
+    openMatchSetup() {
+        this.setupScreen = new MatchSetupScreen(this.ffaSetup, {
+            getControllers: () => this.getAvailableControllers(),
+            describeController: (controller) => this.describeController(controller),
+            getDifficulty: () => this.aiDifficulty,
+            cycleDifficulty: () => this.cycleDifficulty()
+        });
+        this.state = 'setup';
+    }
+
+    /**
+     * Render the free-for-all setup screen (rows and Start/Back are tappable)
+     */
+    renderSetup() {
+        this.ctx.fillStyle = '#000814';
+        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+        this.drawStars();
+
+        // Tapping a row changes it; on ship rows in team battles the left half changes the team
+        const screen = this.setupScreen;
+        screen.render(this.ctx, this.canvas.width, this.canvas.height);
+        for (let row = 0; row < screen.rowCount; row++) {
+            const change = () => {
+                screen.row = row;
+                screen.changeValue(1);
+            };
+            const slot = screen.getSlot(row);
+            if (slot !== -1 && this.ffaSetup.teamCount) {
+                this.addTapLine(screen.getRowY(row), () => {
+                    screen.row = row;
+                    screen.cycleTeam(slot);
+                }, 0, this.canvas.width / 2);
+                this.addTapLine(screen.getRowY(row), change, this.canvas.width / 2, this.canvas.width / 2);
+            } else {
+                this.addTapLine(screen.getRowY(row), change);
+            }
+        }
+        this.addTapLine(this.canvas.height - 60, () => this.startFreeForAll(), 0, this.canvas.width / 2);
+        this.addTapLine(this.canvas.height - 60, () => this.closeMatchSetup(), this.canvas.width / 2, this.canvas.width / 2);
+    }
+
+    /**
+     * Handle free-for-all setup keys
+     */
+    handleSetupInput() {
+        const screen = this.setupScreen;
+        for (const key of this.typedKeys) {
+            if (key === 'ArrowUp') {
+                screen.moveSelection(-1);
+            } else if (key === 'ArrowDown') {
+                screen.moveSelection(1);
+            } else if (key === 'ArrowLeft') {
+                screen.changeValue(-1);
+            } else if (key === 'ArrowRight') {
+                screen.changeValue(1);
+            } else if ((key === 't' || key === 'T') && screen.getSlot(screen.row) !== -1) {
+                screen.cycleTeam(screen.getSlot(screen.row));
+            } else if (key === 'Enter' || key === ' ') {
+                this.startFreeForAll();
+                return;
+            } else if (key === 'Escape') {
+                this.closeMatchSetup();
+                return;
+            }
+        }
+    }
+
+    /**
+     * Start a free-for-all or team match with the setup screen's ships
+     */
+    startFreeForAll() {
+        const screen = this.setupScreen;
+        if (!screen.canStart()) return;
+
+        const teams = screen.getTeams();
+        this.setupScreen = null;
+        this.startGame(teams ? 'teams' : 'ffa', Object.assign(this.getMatchOptions(), {
+            shipCount: this.ffaSetup.shipCount,
+            teams,
+            friendlyFire: this.ffaSetup.friendlyFire,
+            sharedLives: this.ffaSetup.sharedLives
+        }));
+    }
+
+    /**
+     * Leave the free-for-all setup screen
+     */
+    closeMatchSetup() {
+        this.setupScreen = null;
+        this.state = 'menu';
+    }
+
+    /**
+     * Show the tournament setup screen
+     */
+    openTournamentSetup() {
+        this.tournamentSetupScreen = new TournamentSetupScreen(this.tournamentSetup, {
+            getDifficulty: () => this.aiDifficulty,
+            cycleDifficulty: () => this.cycleDifficulty()
+        });
+        this.state = 'tournamentSetup';
+    }
+
+    /**
+     * Render the tournament setup screen (rows, player names, Start and Back are tappable)
+     */
+    renderTournamentSetup() {
+        this.ctx.fillStyle = '#000814';
+        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+        this.drawStars();
+
+        // Tapping a row changes it; on player rows the name renames and the rest switches the pilot
+        const screen = this.tournamentSetupScreen;
+        screen.render(this.ctx, this.canvas.width, this.canvas.height);
+        for (let row = 0; row < screen.rowCount; row++) {
+            const position = screen.getRowPosition(row, this.canvas.width);
+            const change = () => {
+                screen.row = row;
+                screen.changeValue(1);
+            };
+            const player = screen.getPlayer(row);
+            if (player !== -1) {
+                this.addTapTarget(position.x, position.y - 24, position.width * 0.6, 32, () => {
+                    screen.row = row;
+                    this.renamePlayer(player);
+                });
+                this.addTapTarget(position.x + position.width * 0.6, position.y - 24, position.width * 0.4, 32, change);
+            } else {
+                this.addTapTarget(position.x, position.y - 24, position.width, 32, change);
+            }
+        }
+        this.addTapLine(this.canvas.height - 60, () => this.startTournament(), 0, this.canvas.width / 2);
+        this.addTapLine(this.canvas.height - 60, () => this.closeTournamentSetup(), this.canvas.width / 2, this.canvas.width / 2);
+    }
+
+    /**
+     * Handle tournament setup keys
+     */
+    handleTournamentSetupInput() {
+        const screen = this.tournamentSetupScreen;
+        for (const key of this.typedKeys) {
+            if (key === 'ArrowUp') {
+                screen.moveSelection(-1);
+            } else if (key === 'ArrowDown') {
+                screen.moveSelection(1);
+            } else if (key === 'ArrowLeft') {
+                screen.changeValue(-1);
+            } else if (key === 'ArrowRight') {
+                screen.changeValue(1);
+            } else if ((key === 'n' || key === 'N') && screen.getPlayer(screen.row) !== -1) {
+                this.renamePlayer(screen.getPlayer(screen.row));
+                return;
+            } else if (key === 'Enter') {
+                this.startTournament();
+                return;
+            } else if (key === 'Escape') {
+                this.closeTournamentSetup();
+                return;
+            }
+        }
+    }
+
+    /**
+     * Ask for a tournament player's name in a dialog
+     */
+    renamePlayer(index) {
+        const text = window.prompt(`Name of player ${index + 1}`, this.tournamentSetup.players[index].name);
+        if (text === null) return;
+        this.tournamentSetupScreen.rename(index, text);
+    }
+
+    /**
+     * Draw the bracket for the setup screen's players and show it
+     */
+    startTournament() {
+        this.tournament = new Tournament(this.tournamentSetupScreen.getPlayers(), this.tournamentSetup.bestOf);
+        this.tournamentSetupScreen = null;
+        this.openBracket();
+    }
+
+    /**
+     * Leave the tournament setup screen
+     */
+    closeTournamentSetup() {
+        this.tournamentSetupScreen = null;
+        this.state = 'menu';
+    }
+
+    /**
+     * Show the tournament bracket (between pairings, and the champion at the end)
+     */
+    openBracket() {
+        this.bracketScreen = new BracketScreen(this.tournament);
+        this.state = 'bracket';
+    }
+
+    /**
+     * Render the bracket (the help line is tappable)
+     */
+    renderBracket() {
+        this.ctx.fillStyle = '#000814';
+        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+        this.drawStars();
+
+        const screen = this.bracketScreen;
+        screen.render(this.ctx, this.canvas.width, this.canvas.height);
+        const y = this.canvas.height - 60;
+        if (this.tournament.isOver()) {
+            this.addTapLine(y, () => this.returnToMenu());
+        } else if (screen.canSimulate()) {
+            const third = this.canvas.width / 3;
+            this.addTapLine(y, () => this.playTournamentMatch(), 0, third);
+            this.addTapLine(y, () => this.simulateTournamentMatch(), third, third);
+            this.addTapLine(y, () => this.returnToMenu(), third * 2, third);
+        } else {
+            this.addTapLine(y, () => this.playTournamentMatch(), 0, this.canvas.width / 2);
+            this.addTapLine(y, () => this.returnToMenu(), this.canvas.width / 2, this.canvas.width / 2);
+        }
+    }
+
+    /**
+     * Handle bracket keys
+     */
+    handleBracketInput() {
+        for (const key of this.typedKeys) {
+            if (key === 'Enter') {
+                if (this.tournament.isOver()) {
+                    this.returnToMenu();
+                } else {
+                    this.playTournamentMatch();
+                }
+                return;
+            } else if ((key === 's' || key === 'S') && this.bracketScreen.canSimulate()) {
+                this.simulateTournamentMatch();
+            } else if (key === 'Escape') {
+                this.returnToMenu();
+                return;
+            }
+        }
+    }
+
+    /**
+     * Series for a tournament pairing. Humans take the keyboards (or pads) in order: the first human
+     * in the pairing flies with player 1's controls, the second with player 2's.
+     */
+    createTournamentSeries(match) {
+        let humans = 0;
+        return new Series(match.players.map(index => {
+            const player = this.tournament.players[index];
+            return { name: player.name, index, controller: player.human ? this.controllers[humans++] : 'ai' };
+        }), this.tournament.bestOf);
+    }
+
+    /**
+     * Play the next pairing of the tournament
+     */
+    playTournamentMatch() {
+        const next = this.tournament.getNextMatch();
+        this.tournamentMatch = { round: next.round, index: next.index };
+        this.series = this.createTournamentSeries(next.match);
+        this.bracketScreen = null;
+        this.startGame('series');
+    }
+
+    /**
+     * Play the next pairing between two computer players without showing it. Games that run
+     * too long are draws; after too many draws the player with more wins (or the higher seed) goes through.
+     */
+    simulateTournamentMatch() {
+        const next = this.tournament.getNextMatch();
+        this.tournamentMatch = { round: next.round, index: next.index };
+        const series = this.createTournamentSeries(next.match);
+        const options = this.getMatchOptions();
+
+        while (!series.isOver() && series.games.length < series.bestOf * Game.SIMULATED_GAMES_FACTOR) {
+            series.nextGame();
+            const world = this.createWorld(options);
+            world.soundManager = null;
+            world.reset();
+            const ais = world.ships.map(ship => this.createAI(ship, world));
+            while (!world.isOver() && world.frame < Game.SIMULATED_GAME_STEPS) {
+                world.step(ais.map(ai => ai.update()));
+            }
+            const winnerId = world.isOver() ? world.getWinner() : 0;
+            series.recordGame(winnerId ? winnerId - 1 : null, world.ships.map(ship => ship.lives).join(':'));
+        }
+
+        this.recordTournamentMatch(series, series.isOver() ? series.getWinner() : (series.wins[1] > series.wins[0] ? 1 : 0));
+        this.bracketScreen = new BracketScreen(this.tournament);
+    }
+
+    /**
+     * Put the result of a pairing's series into the bracket
+     * @param {number} winner Series player index of the winner
+     */
+    recordTournamentMatch(series, winner) {
+        const { round, index } = this.tournamentMatch;
+        const wins = series.wins;
+        this.tournament.setWinner(round, index, series.players[winner].index, `${wins[winner]}-${wins[1 - winner]}`);
+        this.tournamentMatch = null;
+    }
+
+    /**
+     * Handle typed keys while editing the seed (empty seed = random per match)
+     */
+    handleSeedEntry() {
+        for (const key of this.typedKeys) {
+            if (/^[0-9]$/.test(key) && this.seedEntry.length < 10) {
+                this.seedEntry += key;
+            } else if (key === 'Backspace') {
+                this.seedEntry = this.seedEntry.slice(0, -1);
+            } else if (key === 'Enter') {
+                this.seed = this.seedEntry === '' ? null : Random.normalizeSeed(this.seedEntry);
+                this.seedEntry = null;
+                return;
+            } else if (key === 'Escape') {
+                this.seedEntry = null;
+                return;
+            }
         }
     }
 
     /**
      * Start the game with selected mode
      */
-    startGame(mode) {
+    startGame(mode, options = this.getMatchOptions()) {
         this.gameMode = mode;
         this.state = 'playing';
+        this.accumulator = 0;
 
         // Ensure music continues playing (don't stop it!)
         this.soundManager.playMusic();
 
-        // Reset ships
-        this.ship1.lives = 5;
-        this.ship1.position.copy(this.ship1.startPosition);
-        this.ship1.velocity.set(0, 0);
-        this.ship1.angle = this.ship1.startAngle;
-        this.ship1.active = true;
-        this.ship1.respawnTimer = 0;
-        this.ship1.fuelEnabled = this.fuelEnabled;
-
-        this.ship2.lives = 5;
-        this.ship2.position.copy(this.ship2.startPosition);
-        this.ship2.velocity.set(0, 0);
-        this.ship2.angle = this.ship2.startAngle;
-        this.ship2.active = true;
-        this.ship2.respawnTimer = 0;
-        this.ship2.fuelEnabled = this.fuelEnabled;
-
-        // Clear
-        this.bullets = [];
-        this.asteroids = [];
-        this.fuelCanisters = [];
-        this.debris = [];
-        this.asteroidSpawnTimer = 0;
-
-        // Initialize AI if needed
-        if (mode === 'ai') {
-            this.ai = new AI(this.ship2, this.ship1, this.sun);
-            this.ai.setDifficulty(this.aiDifficulty);
+        // Fresh world with the selected options
+        this.world = this.createWorld(options);
+        this.world.reset();
+
+        // Record inputs for replays
+        this.recording = new Replay({
+            seed: this.world.seed,
+            options: {
+                gameMode: mode,
+                aiDifficulty: options.aiDifficulty,
+                hazardsEnabled: options.hazardsEnabled,
+                fuelEnabled: options.fuelEnabled,
+                powerUps: options.powerUps,
+                arena: options.arena,
+                integrator: options.integrator,
+                objectGravity: options.objectGravity,
+                collisions: options.collisions,
+                boundary: options.boundary,
+                hyperspaceMalfunction: options.hyperspaceMalfunction,
+                ruleset: options.ruleset,
+                rules: options.rules,
+                shipCount: options.shipCount,
+                teams: options.teams,
+                friendlyFire: options.friendlyFire,
+                sharedLives: options.sharedLives
+            },
+            shipCount: this.world.shipCount
+        });
+
+        // Series games swap the players' ships; any other match ends a series or tournament
+        if (mode === 'series') {
+            this.series.nextGame();
         } else {
-            this.ai = null;
+            this.series = null;
+            this.tournament = null;
+        }
+
+        // Who flies each ship; the computer gets an AI hunting the ships of the other teams
+        this.participants = this.getParticipants(mode);
+        this.ais = this.participants.map((controller, i) => (controller === 'ai' ? this.createAI(this.world.ships[i]) : null));
+
+        // Touch controls for every keyboard player on this device
+        this.touch.setPlayers([0, 1].filter(player => this.participants.includes(`keys${player + 1}`)));
+    }
+
+    /**
+     * Computer pilot for a ship, hunting the ships of the other teams
+     */
+    createAI(ship, world = this.world) {
+        const ai = new AI(ship, world.getEnemies(ship), world.bodies, world.rng.derive(ship.id), world.boundary);
+        ai.setDifficulty(this.aiDifficulty);
+        return ai;
+    }
+
+    /**
+     * Start a player vs computer or player vs player match, as a series when one is selected
+     * @param {string} mode 'ai' or 'pvp'
+     */
+    startDuel(mode) {
+        if (this.seriesLength === 1) {
+            this.startGame(mode);
+            return;
+        }
+        const players = mode === 'ai'
+            ? [{ name: 'PLAYER', controller: this.controllers[0] }, { name: 'COMPUTER', controller: 'ai' }]
+            : [{ name: 'PLAYER 1', controller: this.controllers[0] }, { name: 'PLAYER 2', controller: this.controllers[1] }];
+        this.series = new Series(players, this.seriesLength);
+        this.tournament = null;
+        this.startGame('series');
+    }
+
+    /**
+     * Controller of each ship for a game mode
+     */
+    getParticipants(mode) {
+        if (mode === 'ai') return [this.controllers[0], 'ai'];
+        if (mode === 'series') return [0, 1].map(ship => this.series.getPlayer(ship).controller);
+        if (mode === 'ffa' || mode === 'teams') return this.ffaSetup.slots.slice(0, this.ffaSetup.shipCount);
+        if (mode === 'online') {
+            return this.world.ships.map((ship, i) => i === this.lockstep.localIndex ? this.controllers[0] : 'remote');
         }
+        return this.controllers.slice();
     }
 
     /**
@@ -1016,15 +2268,301 @@ class Game {
         }
     }
 
+    /**
+     * Switch to the next series length (single games, best of 3, 5 or 7)
+     */
+    cycleSeriesLength() {
+        const lengths = Series.LENGTHS;
+        this.seriesLength = lengths[(lengths.indexOf(this.seriesLength) + 1) % lengths.length];
+    }
+
+    /**
+     * Switch to the next arena layout
+     */
+    cycleArena() {
+        const arenas = Object.keys(World.ARENAS);
+        this.arena = arenas[(arenas.indexOf(this.arena) + 1) % arenas.length];
+    }
+
+    /**
+     * Switch to the next collision rules
+     */
+    cycleCollisions() {
+        const rules = Object.keys(World.COLLISIONS);
+        this.collisions = rules[(rules.indexOf(this.collisions) + 1) % rules.length];
+    }
+
+    /**
+     * Switch to the next hyperspace malfunction model
+     */
+    cycleMalfunction() {
+        const models = Object.keys(World.MALFUNCTIONS);
+        this.hyperspaceMalfunction = models[(models.indexOf(this.hyperspaceMalfunction) + 1) % models.length];
+    }
+
+    /**
+     * Switch to the next arena boundary policy
+     */
+    cycleBoundary() {
+        const types = Object.keys(Boundary.TYPES);
+        this.boundary = types[(types.indexOf(this.boundary) + 1) % types.length];
+    }
+
+    /**
+     * Switch to the next ruleset
+     */
+    cycleRuleset() {
+        const rulesets = Object.keys(World.RULESETS);
+        this.ruleset = rulesets[(rulesets.indexOf(this.ruleset) + 1) % rulesets.length];
+    }
+
+    /**
+     * Switch to the next physics integrator
+     */
+    cycleIntegrator() {
+        const types = Object.keys(Integrator.TYPES);
+        this.integrator = types[(types.indexOf(this.integrator) + 1) % types.length];
+    }
+
     /**
      * Handle game over input
      */
     handleGameOverInput() {
-        if (this.input.isKeyPressed(' ') || this.input.isKeyPressed('Space')) {
-            this.state = 'menu';
-            this.gameMode = null;
-            // Ensure music continues or restarts
-            this.soundManager.playMusic();
+        // Keys bound to a ship are still being pressed in the fight that just ended, not meant for this screen
+        const keys = this.typedKeys.filter((key, i) => !this.input.findBinding(this.typedCodes[i]));
+        if (keys.includes('r') || keys.includes('R')) {
+            this.saveReplay();
+        } else if (keys.includes('p') || keys.includes('P')) {
+            this.startReplay(this.recording, true);
+        } else if (keys.includes('t') || keys.includes('T')) {
+            this.openStats();
+        } else if (this.input.isKeyPressed(' ') || this.input.isKeyPressed('Space')) {
+            this.continueAfterGame();
+        }
+    }
+
+    /**
+     * Leave the game over screen: the series' next game, the tournament bracket or the menu
+     */
+    continueAfterGame() {
+        if (this.gameMode !== 'series' || (this.series.isOver() && !this.tournament)) {
+            this.returnToMenu();
+        } else if (!this.series.isOver()) {
+            this.startGame('series');
+        } else {
+            this.recordTournamentMatch(this.series, this.series.getWinner());
+            this.openBracket();
+        }
+    }
+
+    /**
+     * Show the stats of the finished match
+     */
+    openStats() {
+        this.statsScreen = new StatsScreen(this.world, { getLabel: (ship) => this.getShipLabel(ship) });
+        this.state = 'stats';
+    }
+
+    /**
+     * Render the stats screen over the final field (tabs, Export and Back are tappable)
+     */
+    renderStats() {
+        this.render();
+        this.ctx.fillStyle = 'rgba(0, 0, 0, 0.85)';
+        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+
+        const screen = this.statsScreen;
+        screen.render(this.ctx, this.canvas.width, this.canvas.height);
+        StatsScreen.TABS.forEach((tab, i) => {
+            this.addTapLine(StatsScreen.TAB_Y, () => { screen.tab = i; }, screen.getTabX(i, this.canvas.width), StatsScreen.TAB_WIDTH);
+        });
+        this.addTapLine(this.canvas.height - 60, () => this.exportStats(), 0, this.canvas.width / 2);
+        this.addTapLine(this.canvas.height - 60, () => this.closeStats(), this.canvas.width / 2, this.canvas.width / 2);
+    }
+
+    /**
+     * Handle stats screen keys
+     */
+    handleStatsInput() {
+        for (const key of this.typedKeys) {
+            if (key === 'ArrowLeft') {
+                this.statsScreen.changeTab(-1);
+            } else if (key === 'ArrowRight' || key === 'Tab') {
+                this.statsScreen.changeTab(1);
+            } else if (key === 'e' || key === 'E') {
+                this.exportStats();
+            } else if (key === 'Escape') {
+                this.closeStats();
+                return;
+            }
+        }
+    }
+
+    /**
+     * Back from the stats to the game over screen
+     */
+    closeStats() {
+        this.statsScreen = null;
+        this.state = 'gameOver';
+    }
+
+    /**
+     * Download the match stats: match options and result, then each ship's numbers
+     */
+    exportStats() {
+        this.downloadJSON(this.getMatchReport(), `spacewar-stats-${this.world.seed}.json`);
+    }
+
+    /**
+     * Result and stats of the finished match: match options and result, then each ship's numbers
+     */
+    getMatchReport() {
+        const world = this.world;
+        const ships = world.stats.toJSON().map(entry => Object.assign({
+            label: this.getShipLabel(world.getShip(entry.id)),
+            lives: world.getShip(entry.id).lives
+        }, entry));
+        return {
+            seed: world.seed,
+            options: this.recording.options,
+            winner: world.getWinner(),
+            frames: world.frame,
+            duration: Math.round(world.frame / MatchStats.STEPS_PER_SECOND * 10) / 10,
+            ships
+        };
+    }
+
+    /**
+     * Add the finished match to the history. Matches with a computer player also count towards
+     * the local players' record against that difficulty (teammates of the winner win too).
+     */
+    recordMatch() {
+        const report = this.getMatchReport();
+        const humans = this.world.ships.filter((ship, i) => !['ai', 'remote'].includes(this.participants[i]));
+        const hasComputer = this.participants.includes('ai');
+        const winner = report.winner ? this.world.getShip(report.winner) : null;
+
+        let result = null;
+        if (hasComputer && humans.length > 0) {
+            result = !winner ? 'draw' : humans.some(ship => ship.team === winner.team) ? 'win' : 'loss';
+        }
+        let winnerName = 'DRAW';
+        if (winner) {
+            winnerName = this.world.teams ? `${World.SHIP_NAMES[winner.team]} TEAM` : this.getShipLabel(winner);
         }
+
+        const date = new Date().toISOString();
+        this.history.add(Object.assign({
+            id: MatchHistory.createId(date, report.seed),
+            date,
+            mode: this.gameMode,
+            difficulty: hasComputer ? this.aiDifficulty : null,
+            result,
+            winnerName,
+            score: report.ships.map(ship => ship.lives).join(':')
+        }, report));
+    }
+
+    /**
+     * Show the match history
+     */
+    openHistory() {
+        this.historyScreen = new HistoryScreen(this.history);
+        this.state = 'history';
+    }
+
+    /**
+     * Leave the match history
+     */
+    closeHistory() {
+        this.historyScreen = null;
+        this.state = 'menu';
+    }
+
+    /**
+     * Render the match history (list lines, Export, Import and Back are tappable)
+     */
+    renderHistory() {
+        this.ctx.fillStyle = '#000814';
+        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+        this.drawStars();
+
+        const screen = this.historyScreen;
+        screen.render(this.ctx, this.canvas.width, this.canvas.height);
+        const first = screen.getFirstVisible();
+        const lines = Math.min(HistoryScreen.VISIBLE_ROWS, this.history.matches.length - first);
+        for (let line = 0; line < lines; line++) {
+            this.addTapTarget(0, screen.getRowY(line) - 17, this.canvas.width, 24, () => { screen.row = first + line; });
+        }
+        const third = this.canvas.width / 3;
+        this.addTapLine(this.canvas.height - 60, () => this.exportHistory(), 0, third);
+        this.addTapLine(this.canvas.height - 60, () => this.importHistory(), third, third);
+        this.addTapLine(this.canvas.height - 60, () => this.closeHistory(), third * 2, third);
+    }
+
+    /**
+     * Handle match history keys
+     */
+    handleHistoryInput() {
+        for (const key of this.typedKeys) {
+            if (key === 'ArrowUp') {
+                this.historyScreen.moveSelection(-1);
+            } else if (key === 'ArrowDown') {
+                this.historyScreen.moveSelection(1);
+            } else if (key === 'e' || key === 'E') {
+                this.exportHistory();
+            } else if (key === 'i' || key === 'I') {
+                this.importHistory();
+            } else if (key === 'Escape') {
+                this.closeHistory();
+                return;
+            }
+        }
+    }
+
+    /**
+     * Download the whole match history
+     */
+    exportHistory() {
+        this.downloadJSON(this.history.toJSON(), `spacewar-history-${new Date().toISOString().slice(0, 10)}.json`);
+    }
+
+    /**
+     * Merge a history file (e.g. exported on another machine) into this one
+     */
+    importHistory() {
+        this.openFile((text) => {
+            if (!this.historyScreen) return;
+            try {
+                const added = this.history.importJSON(text);
+                this.historyScreen.showMessage(`Imported ${added} new match${added === 1 ? '' : 'es'}`);
+            } catch (err) {
+                console.error('History import failed:', err);
+                this.historyScreen.showMessage(`Could not import history: ${err.message}`, true);
+            }
+        });
+    }
+
+    /**
+     * Leave a finished match for the menu
+     */
+    returnToMenu() {
+        this.closeOnline();
+        this.state = 'menu';
+        this.gameMode = null;
+        this.series = null;
+        this.tournament = null;
+        this.tournamentMatch = null;
+        this.bracketScreen = null;
+        // Ensure music continues or restarts
+        this.soundManager.playMusic();
     }
 }
+
+// Limits when simulating computer-only tournament pairings: steps per game (5 minutes), and games
+// (times the series length) before the pairing is decided without a series winner
+Game.SIMULATED_GAME_STEPS = 5 * 60 * 60;
+Game.SIMULATED_GAMES_FACTOR = 3;
+
+// Phosphor colour of the 1962 vector look
+Game.VECTOR_COLOR = '#D8F0FF';
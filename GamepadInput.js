@@ -0,0 +1,137 @@
+/**
+ * GamepadInput.js
+ * Gamepad API polling (standard mapping) with hot-plug detection
+ * Produces the same input shape as Input, plus analog rotateAmount/thrustAmount
+ */
+
+class GamepadInput {
+    constructor() {
+        this.deadzone = 0.2; // Stick deflection ignored around the centre
+        this.triggerThreshold = 0.05; // Trigger pressure ignored at rest
+
+        // Connected pads by index: index -> id
+        this.connected = {};
+        this.onConnect = null; // (index, id)
+        this.onDisconnect = null; // (index, id)
+
+        window.addEventListener('gamepadconnected', (e) => this.handleConnect(e.gamepad.index, e.gamepad.id));
+        window.addEventListener('gamepaddisconnected', (e) => this.handleDisconnect(e.gamepad.index));
+    }
+
+    /**
+     * Read the current pad list from the browser
+     */
+    getPads() {
+        if (typeof navigator === 'undefined' || !navigator.getGamepads) return [];
+        return Array.from(navigator.getGamepads() || []);
+    }
+
+    /**
+     * Refresh the connected list (some browsers only report pads when polled)
+     */
+    poll() {
+        const present = {};
+        for (const pad of this.getPads()) {
+            if (pad && pad.connected !== false) {
+                present[pad.index] = true;
+                if (!(pad.index in this.connected)) this.handleConnect(pad.index, pad.id);
+            }
+        }
+        for (const index of Object.keys(this.connected)) {
+            if (!present[index]) this.handleDisconnect(Number(index));
+        }
+    }
+
+    /**
+     * Remember a newly connected pad
+     */
+    handleConnect(index, id) {
+        if (index in this.connected) return;
+        this.connected[index] = id;
+        if (this.onConnect) this.onConnect(index, id);
+    }
+
+    /**
+     * Forget a removed pad
+     */
+    handleDisconnect(index) {
+        if (!(index in this.connected)) return;
+        const id = this.connected[index];
+        delete this.connected[index];
+        if (this.onDisconnect) this.onDisconnect(index, id);
+    }
+
+    /**
+     * Indices of the connected pads, in order
+     */
+    getConnectedIndices() {
+        return Object.keys(this.connected).map(Number).sort((a, b) => a - b);
+    }
+
+    /**
+     * Check if a pad is connected
+     */
+    isConnected(index) {
+        return index in this.connected;
+    }
+
+    /**
+     * Get input state for a pad (all released if it is not connected)
+     * Left stick / D-pad: rotate, right trigger / D-pad up: thrust,
+     * A / RB: shoot, B / LB: shield, Y: hyperspace, X: next weapon
+     */
+    getInput(index) {
+        const pad = this.getPads().find(p => p && p.index === index);
+        if (!pad || !this.isConnected(index)) {
+            return {
+                rotateLeft: false, rotateRight: false, thrust: false,
+                shoot: false, hyperspace: false, shield: false, cycleWeapon: false
+            };
+        }
+
+        // Rotation: stick deflection beyond the deadzone, rescaled to 0-1
+        let rotate = 0;
+        const stickX = pad.axes[0] || 0;
+        if (Math.abs(stickX) > this.deadzone) {
+            rotate = Math.sign(stickX) * (Math.abs(stickX) - this.deadzone) / (1 - this.deadzone);
+        }
+        if (this.isPressed(pad, 14)) rotate = -1;
+        if (this.isPressed(pad, 15)) rotate = 1;
+
+        // Thrust: trigger pressure
+        let thrust = this.getValue(pad, 7);
+        if (thrust < this.triggerThreshold) thrust = 0;
+        if (this.isPressed(pad, 12)) thrust = 1;
+
+        // Amounts are quantized so replays and online peers reproduce them exactly
+        return {
+            rotateLeft: rotate < 0,
+            rotateRight: rotate > 0,
+            rotateAmount: Replay.quantizeAmount(Math.abs(rotate)),
+            thrust: thrust > 0,
+            thrustAmount: Replay.quantizeAmount(thrust),
+            shoot: this.isPressed(pad, 0) || this.isPressed(pad, 5),
+            hyperspace: this.isPressed(pad, 3),
+            shield: this.isPressed(pad, 1) || this.isPressed(pad, 4),
+            cycleWeapon: this.isPressed(pad, 2)
+        };
+    }
+
+    /**
+     * Check if a button is held
+     */
+    isPressed(pad, button) {
+        const b = pad.buttons[button];
+        return !!b && (b.pressed || b.value > 0.5);
+    }
+
+    /**
+     * Get a button's analog value (0-1)
+     */
+    getValue(pad, button) {
+        const b = pad.buttons[button];
+        return b ? b.value || (b.pressed ? 1 : 0) : 0;
+    }
+}
+
+GamepadInput.HELP = 'RT=Thrust L-Stick/D-Pad=Rotate A/RB=Shoot | Y=Hyperspace B/LB=Shield X=Weapon';
@@ -0,0 +1,187 @@
+/**
+ * HistoryScreen.js
+ * Match history browser: record against the computer, the list of past matches and the selected one's details
+ */
+
+class HistoryScreen {
+    /**
+     * @param {MatchHistory} history Saved matches
+     */
+    constructor(history) {
+        this.history = history;
+        this.row = 0; // Selected match in list order (newest first)
+        this.message = '';
+        this.messageIsError = false;
+    }
+
+    /**
+     * Matches in list order (newest first)
+     */
+    getMatches() {
+        return this.history.matches.slice().reverse();
+    }
+
+    /**
+     * Move the selection up or down the list
+     */
+    moveSelection(direction) {
+        const count = this.history.matches.length;
+        if (count === 0) return;
+        this.row = Math.max(0, Math.min(count - 1, this.row + direction));
+    }
+
+    /**
+     * List index of the top visible line
+     */
+    getFirstVisible() {
+        const count = this.history.matches.length;
+        return Math.max(0, Math.min(this.row - Math.floor(HistoryScreen.VISIBLE_ROWS / 2), count - HistoryScreen.VISIBLE_ROWS));
+    }
+
+    /**
+     * Text baseline of a visible list line on screen
+     */
+    getRowY(line) {
+        return 170 + line * 24;
+    }
+
+    /**
+     * Show a status line under the list (import results)
+     */
+    showMessage(message, isError = false) {
+        this.message = message;
+        this.messageIsError = isError;
+    }
+
+    /**
+     * Render the history
+     */
+    render(ctx, canvasWidth, canvasHeight) {
+        const centerX = canvasWidth / 2;
+        const matches = this.getMatches();
+        this.row = Math.min(this.row, Math.max(0, matches.length - 1));
+
+        ctx.save();
+        ctx.textAlign = 'center';
+        ctx.font = 'bold 48px monospace';
+        ctx.fillStyle = '#FFFFFF';
+        ctx.fillText('MATCH HISTORY', centerX, 80);
+
+        // Record against each computer difficulty
+        const records = this.history.getRecordVsComputer();
+        ctx.font = 'bold 18px monospace';
+        ctx.fillStyle = '#CCCCCC';
+        ctx.fillText('VS COMPUTER  ' + MatchHistory.DIFFICULTIES.map(difficulty => {
+            const record = records[difficulty];
+            return `${difficulty.toUpperCase()} ${record.wins}W ${record.losses}L ${record.draws}D`;
+        }).join('   '), centerX, 125);
+
+        if (matches.length === 0) {
+            ctx.font = '20px monospace';
+            ctx.fillStyle = '#777777';
+            ctx.fillText('No matches played yet', centerX, 260);
+        }
+
+        // List window that keeps the selection in view
+        const first = this.getFirstVisible();
+        const visible = matches.slice(first, first + HistoryScreen.VISIBLE_ROWS);
+        ctx.font = '16px monospace';
+        ctx.textAlign = 'left';
+        visible.forEach((match, i) => {
+            const y = this.getRowY(i);
+            if (first + i === this.row) {
+                ctx.fillStyle = 'rgba(255, 255, 255, 0.15)';
+                ctx.fillRect(centerX - 370, y - 17, 740, 24);
+            }
+            ctx.fillStyle = HistoryScreen.RESULT_COLORS[match.result] || '#CCCCCC';
+            ctx.fillText(HistoryScreen.describe(match), centerX - 360, y);
+        });
+
+        // Details of the selected match
+        const selected = matches[this.row];
+        if (selected) this.renderDetails(ctx, selected, centerX, this.getRowY(HistoryScreen.VISIBLE_ROWS) + 20);
+
+        // Help
+        ctx.textAlign = 'center';
+        if (this.message) {
+            ctx.font = '16px monospace';
+            ctx.fillStyle = this.messageIsError ? '#FF4500' : '#7CFC00';
+            ctx.fillText(this.message, centerX, canvasHeight - 115);
+        }
+        ctx.font = '16px monospace';
+        ctx.fillStyle = '#888888';
+        ctx.fillText('\u2191/\u2193=Select', centerX, canvasHeight - 90);
+        ctx.font = 'bold 22px monospace';
+        ctx.fillStyle = '#FFFFFF';
+        ctx.fillText('E: Export   I: Import   Esc: Back', centerX, canvasHeight - 60);
+
+        ctx.restore();
+    }
+
+    /**
+     * Rules and per-ship numbers of one match
+     */
+    renderDetails(ctx, match, centerX, top) {
+        const options = match.options || {};
+        ctx.textAlign = 'left';
+        ctx.font = '14px monospace';
+        ctx.fillStyle = '#AAAAAA';
+        const rules = [
+            `Seed ${match.seed}`,
+            options.ruleset === '1962' ? '1962 rules' : `Arena ${String(options.arena || 'classic').toUpperCase()}`,
+            `Hazards ${options.hazardsEnabled ? 'ON' : 'OFF'}`,
+            `Fuel ${options.fuelEnabled ? 'ON' : 'OFF'}`,
+            `Power-ups ${options.powerUps ? 'ON' : 'OFF'}`,
+            `Rules ${HistoryScreen.describeRules(options.rules)}`
+        ];
+        ctx.fillText(rules.join('  '), centerX - 360, top);
+
+        match.ships.forEach((ship, i) => {
+            const deaths = ship.totalDeaths !== undefined ? ship.totalDeaths : 0;
+            const accuracy = Math.round((ship.accuracy || 0) * 100);
+            ctx.fillText(`${String(ship.label || `P${ship.id}`).padEnd(9)} Lives ${ship.lives}  Kills ${ship.kills}  Deaths ${deaths}` +
+                `  Shots ${ship.shots} (${accuracy}%)  Jumps ${ship.jumps}`, centerX - 360, top + 20 + i * 18);
+        });
+    }
+
+    /**
+     * Preset name of a match's rules (matches from before the rules editor played the classic rules)
+     */
+    static describeRules(rules) {
+        const preset = MatchRules.findPreset(MatchRules.resolve(rules));
+        return preset ? MatchRules.PRESETS[preset].name : 'CUSTOM';
+    }
+
+    /**
+     * One list line: when, what and how it went
+     */
+    static describe(match) {
+        const date = new Date(match.date);
+        const pad = (n) => String(n).padStart(2, '0');
+        const when = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+        const mode = (HistoryScreen.MODE_NAMES[match.mode] || String(match.mode).toUpperCase()) +
+            (match.difficulty ? ` ${match.difficulty.toUpperCase()}` : '');
+        const outcome = match.result ? match.result.toUpperCase() : match.winnerName || 'UNFINISHED';
+        const duration = StatsScreen.formatTime(match.duration || 0);
+        return `${when}  ${mode.padEnd(11)} ${outcome.padEnd(13)} ${String(match.score).padEnd(15)} ${duration}`;
+    }
+}
+
+HistoryScreen.VISIBLE_ROWS = 12;
+
+// Short game mode names for the list
+HistoryScreen.MODE_NAMES = {
+    ai: 'VS AI',
+    pvp: 'PVP',
+    ffa: 'FFA',
+    teams: 'TEAMS',
+    series: 'SERIES',
+    online: 'ONLINE'
+};
+
+// List colours of the local players' results against the computer
+HistoryScreen.RESULT_COLORS = {
+    win: '#7CFC00',
+    loss: '#FF4500',
+    draw: '#FFD700'
+};
@@ -1,11 +1,16 @@
 /**
  * Input.js
- * Keyboard input handling system
+ * Keyboard input handling system with rebindable per-player key bindings
  */
 
 class Input {
     constructor() {
         this.keys = {};
+        this.typedKeys = []; // Key presses since last consumeTypedKeys() (for text entry)
+        this.typedCodes = []; // Physical keys (event.code) of the same presses (for rebinding)
+
+        // Per-player action -> key code (event.code, so bindings follow the physical layout)
+        this.bindings = Input.loadBindings();
 
         // Bind event listeners
         window.addEventListener('keydown', (e) => this.onKeyDown(e));
@@ -18,6 +23,10 @@ class Input {
     onKeyDown(event) {
         this.keys[event.key.toLowerCase()] = true;
         this.keys[event.code] = true; // Also store by code for special keys
+        if (!event.repeat) {
+            this.typedKeys.push(event.key);
+            this.typedCodes.push(event.code);
+        }
     }
 
     /**
@@ -28,6 +37,24 @@ class Input {
         this.keys[event.code] = false;
     }
 
+    /**
+     * Get and clear the keys pressed since the last call
+     */
+    consumeTypedKeys() {
+        const typed = this.typedKeys;
+        this.typedKeys = [];
+        return typed;
+    }
+
+    /**
+     * Get and clear the key codes pressed since the last call
+     */
+    consumeTypedCodes() {
+        const typed = this.typedCodes;
+        this.typedCodes = [];
+        return typed;
+    }
+
     /**
      * Check if a key is currently pressed
      */
@@ -36,30 +63,168 @@ class Input {
     }
 
     /**
-     * Get input state for Ship 1 (WASD controls)
+     * Get input state for a player from their key bindings
+     * @param {number} player 0 = player 1, 1 = player 2
+     */
+    getPlayerInput(player) {
+        const input = {};
+        for (const action of Input.ACTIONS) {
+            input[action] = this.keys[this.bindings[player][action]] || false;
+        }
+        return input;
+    }
+
+    /**
+     * Get input state for Ship 1 (arrow keys by default)
      */
     getShip1Input() {
-        return {
-            rotateLeft: this.isKeyPressed('ArrowLeft'),
-            rotateRight: this.isKeyPressed('ArrowRight'),
-            thrust: this.isKeyPressed('ArrowUp'),
-            shoot: this.isKeyPressed('ControlRight') || this.isKeyPressed('Control'),
-            hyperspace: this.isKeyPressed('ArrowDown'),
-            shield: this.isKeyPressed('ShiftRight') || this.isKeyPressed('Shift')
-        };
+        return this.getPlayerInput(0);
     }
 
     /**
-     * Get input state for Ship 2 (Arrow keys)
+     * Get input state for Ship 2 (WASD by default)
      */
     getShip2Input() {
-        return {
-            rotateLeft: this.isKeyPressed('a'),
-            rotateRight: this.isKeyPressed('d'),
-            thrust: this.isKeyPressed('w'),
-            shoot: this.isKeyPressed('v'),
-            hyperspace: this.isKeyPressed('s'),
-            shield: this.isKeyPressed('b')
-        };
+        return this.getPlayerInput(1);
+    }
+
+    /**
+     * Find which player/action a key code is bound to
+     * @returns {Object|null} {player, action} or null if the key is free
+     */
+    findBinding(code) {
+        for (let player = 0; player < this.bindings.length; player++) {
+            for (const action of Input.ACTIONS) {
+                if (this.bindings[player][action] === code) return { player, action };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Bind a key to a player's action and save the bindings
+     * @returns {Object|null} The conflicting {player, action} (binding unchanged), or null on success
+     */
+    bind(player, action, code) {
+        const conflict = this.findBinding(code);
+        if (conflict && (conflict.player !== player || conflict.action !== action)) {
+            return conflict;
+        }
+        this.bindings[player][action] = code;
+        this.saveBindings();
+        return null;
+    }
+
+    /**
+     * Restore and save the default bindings
+     */
+    resetBindings() {
+        this.bindings = Input.getDefaultBindings();
+        this.saveBindings();
+    }
+
+    /**
+     * Display name of the key bound to a player's action
+     */
+    getBindingLabel(player, action) {
+        return Input.getKeyLabel(this.bindings[player][action]);
+    }
+
+    /**
+     * Persist the bindings in localStorage
+     */
+    saveBindings() {
+        try {
+            localStorage.setItem(Input.STORAGE_KEY, JSON.stringify(this.bindings));
+        } catch (err) {
+            console.log('Could not save key bindings:', err.message);
+        }
+    }
+
+    /**
+     * Copy of the default bindings
+     */
+    static getDefaultBindings() {
+        return Input.DEFAULT_BINDINGS.map(player => Object.assign({}, player));
+    }
+
+    /**
+     * Load saved bindings, falling back to the defaults for anything missing or invalid
+     */
+    static loadBindings() {
+        const bindings = Input.getDefaultBindings();
+        try {
+            const saved = JSON.parse(localStorage.getItem(Input.STORAGE_KEY));
+            if (!Array.isArray(saved)) return bindings;
+            bindings.forEach((player, index) => {
+                for (const action of Input.ACTIONS) {
+                    const code = saved[index] && saved[index][action];
+                    if (typeof code === 'string' && code) player[action] = code;
+                }
+            });
+        } catch (err) {
+            console.log('Ignoring saved key bindings:', err.message);
+        }
+        return bindings;
+    }
+
+    /**
+     * Short display name for a key code (KeyA -> A, ControlRight -> R-Ctrl, arrows -> arrow glyphs)
+     */
+    static getKeyLabel(code) {
+        if (!code) return '?';
+        if (Input.KEY_LABELS[code]) return Input.KEY_LABELS[code];
+        if (/^Key[A-Z]$/.test(code)) return code.slice(3);
+        if (/^Digit[0-9]$/.test(code)) return code.slice(5);
+        if (/^Numpad/.test(code)) return 'Num' + code.slice(6);
+        return code.replace(/(Left|Right)$/, (side) => ` ${side[0]}`).trim();
     }
 }
+
+// Player actions (same shape as the ship input objects)
+Input.ACTIONS = ['rotateLeft', 'rotateRight', 'thrust', 'shoot', 'hyperspace', 'shield', 'cycleWeapon'];
+
+Input.ACTION_NAMES = {
+    rotateLeft: 'Rotate left',
+    rotateRight: 'Rotate right',
+    thrust: 'Thrust',
+    shoot: 'Shoot',
+    hyperspace: 'Hyperspace',
+    shield: 'Shield',
+    cycleWeapon: 'Next weapon'
+};
+
+Input.DEFAULT_BINDINGS = [
+    // Player 1 (blue)
+    { rotateLeft: 'ArrowLeft', rotateRight: 'ArrowRight', thrust: 'ArrowUp', shoot: 'ControlRight', hyperspace: 'ArrowDown', shield: 'ShiftRight', cycleWeapon: 'Enter' },
+    // Player 2 (pink)
+    { rotateLeft: 'KeyA', rotateRight: 'KeyD', thrust: 'KeyW', shoot: 'KeyV', hyperspace: 'KeyS', shield: 'KeyB', cycleWeapon: 'KeyC' }
+];
+
+Input.KEY_LABELS = {
+    ArrowUp: '\u2191',
+    ArrowDown: '\u2193',
+    ArrowLeft: '\u2190',
+    ArrowRight: '\u2192',
+    ControlLeft: 'L-Ctrl',
+    ControlRight: 'R-Ctrl',
+    ShiftLeft: 'L-Shift',
+    ShiftRight: 'R-Shift',
+    AltLeft: 'L-Alt',
+    AltRight: 'R-Alt',
+    Space: 'Space',
+    Enter: 'Enter',
+    Backquote: '`',
+    Minus: '-',
+    Equal: '=',
+    BracketLeft: '[',
+    BracketRight: ']',
+    Backslash: '\\',
+    Semicolon: ';',
+    Quote: '\'',
+    Comma: ',',
+    Period: '.',
+    Slash: '/'
+};
+
+Input.STORAGE_KEY = 'spacewar.keyBindings';
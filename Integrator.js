@@ -0,0 +1,100 @@
+/**
+ * Integrator.js
+ * Numerical integration of gravity for ships and bullets
+ *
+ * Objects move themselves in update() (position += velocity), so an integrator works
+ * by adjusting velocity around that move. The classic scheme kicks velocity with the
+ * gravity at the old position and then moves (semi-implicit Euler); the others are
+ * there for stable orbits and for comparing energy drift. Bodies count as fixed
+ * during a step, as they do for the classic scheme.
+ */
+
+class Integrator {
+    /**
+     * @param {string} type Key of Integrator.TYPES
+     */
+    constructor(type = 'semi-implicit') {
+        this.type = Object.prototype.hasOwnProperty.call(Integrator.TYPES, type) ? type : 'semi-implicit';
+    }
+
+    /**
+     * Apply gravity where the classic step always has (ships before the bullets are checked,
+     * bullets before they move). Only semi-implicit Euler does its work here.
+     * @param {Function} force position -> gravitational force on the object
+     */
+    kick(object, force) {
+        if (this.type === 'semi-implicit') {
+            object.applyForce(force(object.position));
+        }
+    }
+
+    /**
+     * Move an object one step
+     * @param {Function} force position -> gravitational force on the object
+     * @param {Function} update The object's own update (adds velocity to position)
+     */
+    move(object, force, update) {
+        if (this.type === 'semi-implicit' || !object.active) {
+            update();
+            return;
+        }
+
+        const acceleration = (position) => Vector2.multiply(force(position), 1 / object.mass);
+        const x = object.position.clone();
+        const v = object.velocity.clone();
+        let after;
+
+        if (this.type === 'euler') {
+            // Move with the old velocity, then kick with the old acceleration (added to whatever
+            // the update left, so a bounce off a wall during the move is kept)
+            const a = acceleration(x);
+            after = () => object.velocity.add(a);
+        } else if (this.type === 'verlet') {
+            // Velocity Verlet: half kick, drift, half kick with the new acceleration
+            object.velocity.add(Vector2.multiply(acceleration(x), 0.5));
+            after = () => object.velocity.add(Vector2.multiply(acceleration(object.position), 0.5));
+        } else {
+            // Classic RK4; the move covers the averaged displacement
+            const k1x = v;
+            const k1v = acceleration(x);
+            const k2x = Vector2.add(v, Vector2.multiply(k1v, 0.5));
+            const k2v = acceleration(Vector2.add(x, Vector2.multiply(k1x, 0.5)));
+            const k3x = Vector2.add(v, Vector2.multiply(k2v, 0.5));
+            const k3v = acceleration(Vector2.add(x, Vector2.multiply(k2x, 0.5)));
+            const k4x = Vector2.add(v, k3v);
+            const k4v = acceleration(Vector2.add(x, k3x));
+            const average = (k1, k2, k3, k4) => new Vector2(
+                (k1.x + 2 * k2.x + 2 * k3.x + k4.x) / 6,
+                (k1.y + 2 * k2.y + 2 * k3.y + k4.y) / 6
+            );
+            const displacement = average(k1x, k2x, k3x, k4x);
+            const newVelocity = Vector2.add(v, average(k1v, k2v, k3v, k4v));
+            object.velocity.copy(displacement);
+            after = () => {
+                if (object.velocity.x === displacement.x && object.velocity.y === displacement.y) {
+                    object.velocity.copy(newVelocity);
+                } else {
+                    // The update changed the velocity (a bounce off a wall): keep that and add the kick
+                    object.velocity.add(Vector2.subtract(newVelocity, displacement));
+                }
+            };
+        }
+
+        update();
+
+        // Dying, expiring or respawning during the move leaves velocity alone
+        if (object.active) after();
+    }
+}
+
+// Integrator choices, in menu order, with menu names
+Integrator.TYPES = {
+    'semi-implicit': 'SEMI-IMPLICIT', // Classic Spacewar! physics (the default)
+    'euler': 'EULER', // Explicit Euler: orbits spiral outwards
+    'verlet': 'VERLET', // Velocity Verlet: energy stays bounded, orbits close
+    'rk4': 'RK4' // Runge-Kutta 4: most accurate per step
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Integrator;
+}
@@ -0,0 +1,131 @@
+/**
+ * Lockstep.js
+ * Deterministic lockstep for online matches: a step is simulated only once
+ * every player's input for it has arrived. Local inputs are scheduled a few
+ * steps ahead (input delay) to hide network latency.
+ */
+
+class Lockstep {
+    /**
+     * @param {number} localIndex Index of the local player's ship (0 or 1)
+     * @param {number} playerCount Number of players exchanging inputs
+     * @param {number} inputDelay Steps between sampling local input and applying it
+     */
+    constructor(localIndex, playerCount = 2, inputDelay = 4) {
+        this.localIndex = localIndex;
+        this.playerCount = playerCount;
+        this.inputDelay = inputDelay;
+
+        // Next step to simulate
+        this.frame = 0;
+
+        // step -> array of encoded inputs (one per player, undefined until received)
+        this.inputs = new Map();
+
+        // The first steps have no input yet: everyone idles
+        for (let frame = 0; frame < inputDelay; frame++) {
+            this.inputs.set(frame, new Array(playerCount).fill(0));
+        }
+
+        // Desync detection: step -> checksum, kept until both sides are known
+        this.localChecksums = new Map();
+        this.remoteChecksums = new Map();
+        this.desyncFrame = null;
+    }
+
+    /**
+     * Check if the local input for the latest schedulable step is still missing
+     */
+    needsLocalInput() {
+        return this.getSlot(this.frame + this.inputDelay)[this.localIndex] === undefined;
+    }
+
+    /**
+     * Schedule the local input `inputDelay` steps ahead
+     * @returns {Object} The {frame, input} to send to the other players
+     */
+    addLocalInput(input) {
+        const frame = this.frame + this.inputDelay;
+        const encoded = Replay.encodeInput(input);
+        this.getSlot(frame)[this.localIndex] = encoded;
+        return { frame, input: encoded };
+    }
+
+    /**
+     * Store an input received from another player
+     */
+    addRemoteInput(playerIndex, frame, encoded) {
+        if (frame < this.frame) return; // Already simulated (duplicate)
+        this.getSlot(frame)[playerIndex] = encoded;
+    }
+
+    /**
+     * Check if every player's input for the next step has arrived
+     */
+    canStep() {
+        const slot = this.inputs.get(this.frame);
+        if (!slot) return false;
+        for (let i = 0; i < this.playerCount; i++) {
+            if (slot[i] === undefined) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Take the inputs for the next step and move on
+     * @returns {Array<Object>} Decoded input objects in player order
+     */
+    advance() {
+        const slot = this.inputs.get(this.frame);
+        this.inputs.delete(this.frame);
+        this.frame++;
+        return slot.map(encoded => Replay.decodeInput(encoded));
+    }
+
+    /**
+     * Get (or create) the input slot for a step
+     */
+    getSlot(frame) {
+        let slot = this.inputs.get(frame);
+        if (!slot) {
+            slot = new Array(this.playerCount);
+            this.inputs.set(frame, slot);
+        }
+        return slot;
+    }
+
+    /**
+     * Record the local world checksum after a step
+     */
+    addLocalChecksum(frame, checksum) {
+        this.localChecksums.set(frame, checksum);
+        this.compareChecksums(frame);
+    }
+
+    /**
+     * Record a checksum reported by another player
+     */
+    addRemoteChecksum(frame, checksum) {
+        this.remoteChecksums.set(frame, checksum);
+        this.compareChecksums(frame);
+    }
+
+    /**
+     * Compare checksums once both sides reported a step
+     */
+    compareChecksums(frame) {
+        if (!this.localChecksums.has(frame) || !this.remoteChecksums.has(frame)) return;
+
+        if (this.localChecksums.get(frame) !== this.remoteChecksums.get(frame) && this.desyncFrame === null) {
+            this.desyncFrame = frame;
+        }
+        this.localChecksums.delete(frame);
+        this.remoteChecksums.delete(frame);
+    }
+}
+
+Lockstep.CHECKSUM_INTERVAL = 60; // Steps between checksum exchanges
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Lockstep;
+}
@@ -0,0 +1,136 @@
+/**
+ * MatchHistory.js
+ * Finished matches kept in localStorage: the list, records against the computer and JSON import/export
+ */
+
+class MatchHistory {
+    /**
+     * @param {Object[]} matches Saved match records, oldest first (see Game.recordMatch)
+     */
+    constructor(matches = MatchHistory.load()) {
+        this.matches = matches;
+    }
+
+    /**
+     * Add a finished match and persist the history
+     */
+    add(match) {
+        this.matches.push(match);
+        this.trim();
+        this.save();
+    }
+
+    /**
+     * Drop the oldest matches beyond MatchHistory.MAX_MATCHES
+     */
+    trim() {
+        if (this.matches.length > MatchHistory.MAX_MATCHES) {
+            this.matches.splice(0, this.matches.length - MatchHistory.MAX_MATCHES);
+        }
+    }
+
+    /**
+     * Persist the history in localStorage
+     */
+    save() {
+        try {
+            localStorage.setItem(MatchHistory.STORAGE_KEY, JSON.stringify(this.matches));
+        } catch (err) {
+            console.log('Could not save match history:', err.message);
+        }
+    }
+
+    /**
+     * Wins, losses and draws of the local players against each computer difficulty
+     * @returns {Object} Difficulty -> {wins, losses, draws}
+     */
+    getRecordVsComputer() {
+        const records = {};
+        for (const difficulty of MatchHistory.DIFFICULTIES) {
+            records[difficulty] = { wins: 0, losses: 0, draws: 0 };
+        }
+        for (const match of this.matches) {
+            const record = records[match.difficulty];
+            if (!record || !match.result) continue;
+            if (match.result === 'win') record.wins++;
+            else if (match.result === 'loss') record.losses++;
+            else record.draws++;
+        }
+        return records;
+    }
+
+    /**
+     * Plain data for an export file
+     */
+    toJSON() {
+        return { version: MatchHistory.VERSION, matches: this.matches };
+    }
+
+    /**
+     * Merge matches from an export file; matches already here (same id) are skipped
+     * @param {string} text JSON from toJSON() (another machine's history)
+     * @returns {number} Matches added
+     */
+    importJSON(text) {
+        const data = JSON.parse(text);
+        const matches = Array.isArray(data) ? data : data && data.matches;
+        if (!Array.isArray(matches)) throw new Error('Not a match history file');
+
+        const known = new Set(this.matches.map(match => match.id));
+        let added = 0;
+        for (const match of matches) {
+            if (!MatchHistory.isValid(match) || known.has(match.id)) continue;
+            known.add(match.id);
+            this.matches.push(match);
+            added++;
+        }
+
+        // Keep the merged list in order of play
+        this.matches.sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+        this.trim();
+        this.save();
+        return added;
+    }
+
+    /**
+     * Check a record has what the history screen needs, with the types it expects
+     * (imported and saved records may have been edited by hand)
+     */
+    static isValid(match) {
+        const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+        const isText = (value) => value === undefined || value === null || typeof value === 'string';
+        return isObject(match) && typeof match.id === 'string' && typeof match.date === 'string' &&
+            Array.isArray(match.ships) && match.ships.every(isObject) &&
+            (match.options === undefined || isObject(match.options)) &&
+            ['result', 'difficulty', 'winnerName', 'mode'].every(key => isText(match[key]));
+    }
+
+    /**
+     * Unique id for a new match record (ids keep merged histories free of duplicates)
+     */
+    static createId(date, seed) {
+        return `${date}-${seed}-${Math.random().toString(36).slice(2, 8)}`;
+    }
+
+    /**
+     * Load the saved history (empty if there is none or it can't be read)
+     */
+    static load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(MatchHistory.STORAGE_KEY));
+            return Array.isArray(saved) ? saved.filter(match => MatchHistory.isValid(match)) : [];
+        } catch (err) {
+            console.log('Ignoring saved match history:', err.message);
+            return [];
+        }
+    }
+}
+
+MatchHistory.STORAGE_KEY = 'spacewar.matchHistory';
+MatchHistory.VERSION = 1; // Export file format
+MatchHistory.MAX_MATCHES = 500; // Oldest matches go first, so localStorage doesn't fill up
+MatchHistory.DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MatchHistory;
+}
@@ -0,0 +1,96 @@
+/**
+ * MatchRules.js
+ * Core match rules (lives, gravity, sun, speeds, reload), the named presets and the saved choice
+ */
+
+class MatchRules {
+    /**
+     * Rule values for a match, every field in range
+     * @param {string|Object} rules A key of MatchRules.PRESETS, or {field: value} over the classic rules
+     */
+    static resolve(rules) {
+        const base = MatchRules.PRESETS.classic;
+        const source = typeof rules === 'string' ? MatchRules.PRESETS[rules] || base
+            : typeof rules === 'object' && rules !== null ? rules : base;
+        const values = {};
+        for (const [key, field] of Object.entries(MatchRules.FIELDS)) {
+            const value = Number(source[key]);
+            values[key] = Number.isFinite(value) ? Math.max(field.min, Math.min(field.max, value)) : base[key];
+        }
+        return values;
+    }
+
+    /**
+     * Step a rule up or down by its field's step, within range
+     * @param {number} direction -1 or 1
+     */
+    static changeValue(values, key, direction) {
+        const field = MatchRules.FIELDS[key];
+        // Rounded so repeated 0.1 steps don't drift (0.30000000000000004)
+        const value = Math.round((values[key] + field.step * direction) * 1000) / 1000;
+        values[key] = Math.max(field.min, Math.min(field.max, value));
+    }
+
+    /**
+     * Key of the preset these values match, or null for custom rules
+     */
+    static findPreset(values) {
+        return Object.keys(MatchRules.PRESETS).find(preset =>
+            Object.keys(MatchRules.FIELDS).every(key => MatchRules.PRESETS[preset][key] === values[key])) || null;
+    }
+
+    /**
+     * Rules saved by the last session: {preset (key or null for custom), values}
+     */
+    static load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(MatchRules.STORAGE_KEY));
+            if (saved && typeof saved === 'object') {
+                const values = MatchRules.resolve(saved.values || saved.preset);
+                return { preset: MatchRules.findPreset(values), values };
+            }
+        } catch (err) {
+            console.log('Ignoring saved match rules:', err.message);
+        }
+        return { preset: 'classic', values: MatchRules.resolve('classic') };
+    }
+
+    /**
+     * Remember the rules for the next session
+     */
+    static save(values) {
+        try {
+            localStorage.setItem(MatchRules.STORAGE_KEY, JSON.stringify({ preset: MatchRules.findPreset(values), values }));
+        } catch (err) {
+            console.log('Could not save match rules:', err.message);
+        }
+    }
+}
+
+MatchRules.STORAGE_KEY = 'spacewar.matchRules';
+
+// Editable rules in screen order: label, range and step (steps: the value is a time in simulation steps)
+MatchRules.FIELDS = {
+    lives: { name: 'LIVES', min: 1, max: 20, step: 1 },
+    gravity: { name: 'GRAVITY (G)', min: 0, max: 2, step: 0.1 },
+    sunMass: { name: 'SUN MASS', min: 100, max: 5000, step: 100 },
+    sunRadius: { name: 'SUN RADIUS', min: 10, max: 80, step: 5 },
+    maxSpeed: { name: 'SHIP TOP SPEED', min: 1, max: 6, step: 0.25 },
+    bulletSpeed: { name: 'SHOT SPEED', min: 1, max: 10, step: 0.5 },
+    bulletLifetime: { name: 'SHOT LIFETIME', min: 50, max: 600, step: 25, steps: true },
+    shootCooldown: { name: 'RELOAD', min: 5, max: 120, step: 5, steps: true }
+};
+
+// Named rule sets in menu order. Sun mass and radius are those of the classic sun; arenas with
+// other stars scale theirs by the same factor. The reload is the cannon's (in steps), the other
+// weapons reload proportionally.
+MatchRules.PRESETS = {
+    classic: { name: 'CLASSIC', lives: 5, gravity: 0.5, sunMass: 1000, sunRadius: 30, maxSpeed: 2.25, bulletSpeed: 4, bulletLifetime: 200, shootCooldown: 30 },
+    arcade: { name: 'ARCADE', lives: 10, gravity: 0.5, sunMass: 800, sunRadius: 25, maxSpeed: 3.5, bulletSpeed: 6, bulletLifetime: 125, shootCooldown: 10 },
+    heavyGravity: { name: 'HEAVY GRAVITY', lives: 5, gravity: 1, sunMass: 2000, sunRadius: 40, maxSpeed: 3, bulletSpeed: 5, bulletLifetime: 200, shootCooldown: 30 },
+    zeroG: { name: 'ZERO-G', lives: 5, gravity: 0, sunMass: 1000, sunRadius: 30, maxSpeed: 2.25, bulletSpeed: 4, bulletLifetime: 200, shootCooldown: 30 }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MatchRules;
+}
@@ -0,0 +1,195 @@
+/**
+ * MatchSetupScreen.js
+ * Setup screen for matches with more than two ships: ship count, teams and who flies each ship
+ */
+
+class MatchSetupScreen {
+    /**
+     * @param {Object} setup Edited in place: {shipCount, slots: controller id per ship ('ai', 'keys1', 'pad1', ...),
+     *   teamCount (0 = every ship for itself), teams: team index per ship, friendlyFire, sharedLives}
+     * @param {Object} options getControllers() -> controller ids available now,
+     *   describeController(id) -> label, getDifficulty() / cycleDifficulty() for the AI row
+     */
+    constructor(setup, options) {
+        this.setup = setup;
+        this.options = options;
+        this.row = 0; // See MatchSetupScreen.ROWS, then one row per ship slot
+    }
+
+    /**
+     * Number of selectable rows
+     */
+    get rowCount() {
+        return MatchSetupScreen.ROWS.length + this.setup.shipCount;
+    }
+
+    /**
+     * Ship slot shown on a row, or -1 for the option rows
+     */
+    getSlot(row) {
+        return row >= MatchSetupScreen.ROWS.length ? row - MatchSetupScreen.ROWS.length : -1;
+    }
+
+    /**
+     * Move the selection up or down
+     */
+    moveSelection(direction) {
+        this.row = (this.row + direction + this.rowCount) % this.rowCount;
+    }
+
+    /**
+     * Change the selected row's value (direction -1 or 1)
+     */
+    changeValue(direction) {
+        const setup = this.setup;
+        const option = MatchSetupScreen.ROWS[this.row];
+        if (option === 'ships') {
+            setup.shipCount = Math.max(MatchSetupScreen.MIN_SHIPS, Math.min(World.MAX_SHIPS, setup.shipCount + direction));
+            if (setup.teamCount > this.getMaxTeams()) this.setTeamCount(this.getMaxTeams());
+        } else if (option === 'teams') {
+            // OFF, 2, 3 ... (every team needs at least one ship and there must be two sides)
+            const choices = [0];
+            for (let count = 2; count <= this.getMaxTeams(); count++) choices.push(count);
+            const current = choices.indexOf(setup.teamCount);
+            this.setTeamCount(choices[(current + direction + choices.length) % choices.length]);
+        } else if (option === 'friendlyFire') {
+            setup.friendlyFire = !setup.friendlyFire;
+        } else if (option === 'sharedLives') {
+            setup.sharedLives = !setup.sharedLives;
+        } else if (option === 'difficulty') {
+            this.options.cycleDifficulty();
+        } else {
+            this.cycleController(this.getSlot(this.row), direction);
+        }
+    }
+
+    /**
+     * Most teams the current ship count allows
+     */
+    getMaxTeams() {
+        return Math.min(World.MAX_TEAMS, this.setup.shipCount - 1);
+    }
+
+    /**
+     * Change the number of teams and deal the ships out to them in turn
+     */
+    setTeamCount(count) {
+        this.setup.teamCount = count;
+        for (let slot = 0; slot < this.setup.teams.length; slot++) {
+            this.setup.teams[slot] = count > 0 ? slot % count : 0;
+        }
+    }
+
+    /**
+     * Move a ship to the next team
+     */
+    cycleTeam(slot) {
+        if (!this.setup.teamCount) return;
+        this.setup.teams[slot] = (this.setup.teams[slot] + 1) % this.setup.teamCount;
+    }
+
+    /**
+     * Give a ship the next controller that no other ship is using (the computer can fly any number)
+     */
+    cycleController(slot, direction) {
+        const slots = this.setup.slots;
+        const taken = slots.slice(0, this.setup.shipCount).filter((controller, i) => i !== slot && controller !== 'ai');
+        const choices = ['ai', ...this.options.getControllers()].filter(controller => !taken.includes(controller));
+
+        const current = choices.indexOf(slots[slot]);
+        slots[slot] = choices[(current + direction + choices.length) % choices.length];
+    }
+
+    /**
+     * Controller ids of the ships in the match
+     */
+    getControllers() {
+        return this.setup.slots.slice(0, this.setup.shipCount);
+    }
+
+    /**
+     * Team index of each ship in the match, or null without teams
+     */
+    getTeams() {
+        return this.setup.teamCount ? this.setup.teams.slice(0, this.setup.shipCount) : null;
+    }
+
+    /**
+     * Check the match can start (a team match needs ships on at least two teams)
+     */
+    canStart() {
+        const teams = this.getTeams();
+        return !teams || new Set(teams).size >= 2;
+    }
+
+    /**
+     * Text baseline of a row on screen
+     */
+    getRowY(row) {
+        return 170 + row * 36;
+    }
+
+    /**
+     * Render the setup table
+     */
+    render(ctx, canvasWidth, canvasHeight) {
+        const setup = this.setup;
+        const centerX = canvasWidth / 2;
+        const rowY = (row) => this.getRowY(row);
+        const onOff = (value) => (value ? 'ON' : 'OFF');
+
+        ctx.save();
+        ctx.textAlign = 'center';
+        ctx.font = 'bold 48px monospace';
+        ctx.fillStyle = '#FFFFFF';
+        ctx.fillText(setup.teamCount ? 'TEAM BATTLE' : 'FREE-FOR-ALL', centerX, 100);
+
+        // Selection highlight
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.15)';
+        ctx.fillRect(centerX - 260, rowY(this.row) - 26, 520, 34);
+
+        ctx.font = 'bold 24px monospace';
+        ctx.fillStyle = '#CCCCCC';
+        ctx.fillText(`Ships: \u25C0 ${setup.shipCount} \u25B6`, centerX, rowY(0));
+        ctx.fillText(`Teams: ${setup.teamCount || 'OFF'}`, centerX, rowY(1));
+        ctx.fillStyle = setup.teamCount ? '#CCCCCC' : '#555555'; // Team rules only matter with teams
+        ctx.fillText(`Friendly fire: ${onOff(setup.friendlyFire)}`, centerX, rowY(2));
+        ctx.fillText(`Shared team lives: ${onOff(setup.sharedLives)}`, centerX, rowY(3));
+        ctx.fillStyle = '#CCCCCC';
+        ctx.fillText(`Computer: ${this.options.getDifficulty().toUpperCase()}`, centerX, rowY(4));
+
+        // One row per ship, in its (team) colour
+        ctx.font = '22px monospace';
+        for (let slot = 0; slot < setup.shipCount; slot++) {
+            const y = rowY(slot + MatchSetupScreen.ROWS.length);
+            const team = setup.teamCount ? setup.teams[slot] : null;
+            ctx.fillStyle = World.SHIP_COLORS[team !== null ? team : slot];
+            ctx.textAlign = 'left';
+            ctx.fillText(team !== null ? `Ship ${slot + 1} ${World.SHIP_NAMES[team]} TEAM` : `Ship ${slot + 1} ${World.SHIP_NAMES[slot]}`,
+                centerX - 240, y);
+            ctx.textAlign = 'right';
+            ctx.fillText(this.options.describeController(setup.slots[slot]), centerX + 240, y);
+        }
+
+        // Help
+        ctx.textAlign = 'center';
+        if (!this.canStart()) {
+            ctx.font = '18px monospace';
+            ctx.fillStyle = '#FF4500';
+            ctx.fillText('All ships are on one team', centerX, canvasHeight - 120);
+        }
+        ctx.font = '16px monospace';
+        ctx.fillStyle = '#888888';
+        ctx.fillText(`\u2191/\u2193=Select  \u2190/\u2192=Change${setup.teamCount ? '  T=Ship\'s team' : ''}`, centerX, canvasHeight - 90);
+        ctx.font = 'bold 22px monospace';
+        ctx.fillStyle = '#FFFFFF';
+        ctx.fillText('Enter: Start      Esc: Back', centerX, canvasHeight - 60);
+
+        ctx.restore();
+    }
+}
+
+MatchSetupScreen.MIN_SHIPS = 3;
+
+// Option rows above the ship slots, in screen order
+MatchSetupScreen.ROWS = ['ships', 'teams', 'friendlyFire', 'sharedLives', 'difficulty'];
@@ -0,0 +1,136 @@
+/**
+ * MatchStats.js
+ * Per-ship match statistics: shots, hits, kills, deaths by cause, shield blocks, hyperspace jumps,
+ * fuel and time alive. World records them as things happen; nothing here affects the simulation.
+ */
+
+class MatchStats {
+    /**
+     * @param {Ship[]} ships Ships in the match
+     */
+    constructor(ships) {
+        this.ships = new Map(); // Ship -> stats record
+        for (const ship of ships) {
+            this.ships.set(ship, MatchStats.createRecord());
+        }
+    }
+
+    /**
+     * Blank stats for one ship
+     */
+    static createRecord() {
+        const deaths = {};
+        for (const cause in MatchStats.CAUSES) {
+            deaths[cause] = 0;
+        }
+        return { shots: 0, hits: 0, kills: 0, deaths, shieldBlocks: 0, jumps: 0, fuelUsed: 0, stepsAlive: 0 };
+    }
+
+    /**
+     * Stats record of a ship
+     */
+    get(ship) {
+        return this.ships.get(ship);
+    }
+
+    /**
+     * Count the projectiles a ship fired
+     */
+    recordShots(ship, count) {
+        this.get(ship).shots += count;
+    }
+
+    /**
+     * Count a shot (or mine blast) that reached an unshielded ship (blocked ones are the target's shield blocks)
+     */
+    recordHit(shooter) {
+        if (shooter) this.get(shooter).hits++;
+    }
+
+    /**
+     * Count a kill credited to a ship
+     */
+    recordKill(killer) {
+        this.get(killer).kills++;
+    }
+
+    /**
+     * Count a ship's death
+     * @param {string} cause Key of MatchStats.CAUSES
+     */
+    recordDeath(ship, cause) {
+        this.get(ship).deaths[cause]++;
+    }
+
+    /**
+     * Count a shot or blast a ship's shield stopped
+     */
+    recordShieldBlock(ship) {
+        this.get(ship).shieldBlocks++;
+    }
+
+    /**
+     * Count a hyperspace jump (malfunctions included)
+     */
+    recordJump(ship) {
+        this.get(ship).jumps++;
+    }
+
+    /**
+     * Add fuel a ship burned
+     */
+    recordFuel(ship, amount) {
+        this.get(ship).fuelUsed += amount;
+    }
+
+    /**
+     * Count a step for every ship that is flying
+     */
+    update() {
+        for (const [ship, record] of this.ships) {
+            if (ship.active) record.stepsAlive++;
+        }
+    }
+
+    /**
+     * Share of shots that hit, 0-1 (0 without shots)
+     */
+    static getAccuracy(record) {
+        return record.shots > 0 ? Math.min(1, record.hits / record.shots) : 0;
+    }
+
+    /**
+     * Deaths from every cause together
+     */
+    static getDeaths(record) {
+        return Object.values(record.deaths).reduce((sum, count) => sum + count, 0);
+    }
+
+    /**
+     * Plain data for export: one entry per ship, with accuracy, total deaths and seconds alive worked out
+     */
+    toJSON() {
+        return [...this.ships].map(([ship, record]) => Object.assign({ id: ship.id, team: ship.team }, record, {
+            accuracy: Math.round(MatchStats.getAccuracy(record) * 1000) / 1000,
+            totalDeaths: MatchStats.getDeaths(record),
+            fuelUsed: Math.round(record.fuelUsed),
+            timeAlive: Math.round(record.stepsAlive / MatchStats.STEPS_PER_SECOND * 10) / 10
+        }));
+    }
+}
+
+// Ways to lose a life, with the column headings of the stats screen
+MatchStats.CAUSES = {
+    bullet: 'SHOT', // Bullets, torpedoes and mine blasts
+    sun: 'SUN', // Suns and planets
+    asteroid: 'ROCK',
+    collision: 'RAM', // Ship-to-ship collision
+    hyperspace: 'HYPER', // Hyperspace malfunction
+    edge: 'LOST' // Left an open arena
+};
+
+MatchStats.STEPS_PER_SECOND = 60;
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MatchStats;
+}
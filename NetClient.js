@@ -0,0 +1,122 @@
+/**
+ * NetClient.js
+ * Client transport for the relay server (server/relay.js): rooms and input exchange
+ * Messages are JSON objects with a `type` field.
+ */
+
+class NetClient {
+    /**
+     * @param {string} url Relay server address (ws://host:port)
+     * @param {Function} SocketClass WebSocket implementation (the browser's by default)
+     */
+    constructor(url, SocketClass = WebSocket) {
+        this.url = url;
+        this.connected = false;
+
+        // Event callbacks (assign the ones you need)
+        this.onOpen = null;
+        this.onRoomCreated = null; // (code)
+        this.onStart = null; // ({seed, options, playerIndex, playerCount})
+        this.onInput = null; // (playerIndex, frame, input)
+        this.onChecksum = null; // (playerIndex, frame, checksum)
+        this.onPeerLeft = null;
+        this.onError = null; // (message)
+        this.onClose = null;
+
+        this.socket = new SocketClass(url);
+        this.socket.onopen = () => {
+            this.connected = true;
+            if (this.onOpen) this.onOpen();
+        };
+        this.socket.onmessage = (event) => this.handleMessage(event.data);
+        this.socket.onerror = () => {
+            if (this.onError) this.onError(`Cannot reach server at ${this.url}`);
+        };
+        this.socket.onclose = () => {
+            this.connected = false;
+            if (this.onClose) this.onClose();
+        };
+    }
+
+    /**
+     * Dispatch a server message to the callbacks
+     */
+    handleMessage(data) {
+        let message;
+        try {
+            message = JSON.parse(data);
+        } catch (err) {
+            console.log('Ignoring malformed server message:', err.message);
+            return;
+        }
+
+        switch (message.type) {
+            case 'created':
+                if (this.onRoomCreated) this.onRoomCreated(message.code);
+                break;
+            case 'start':
+                if (this.onStart) this.onStart(message);
+                break;
+            case 'input':
+                if (this.onInput) this.onInput(message.playerIndex, message.frame, message.input);
+                break;
+            case 'checksum':
+                if (this.onChecksum) this.onChecksum(message.playerIndex, message.frame, message.checksum);
+                break;
+            case 'peer-left':
+                if (this.onPeerLeft) this.onPeerLeft();
+                break;
+            case 'error':
+                if (this.onError) this.onError(message.message);
+                break;
+        }
+    }
+
+    /**
+     * Send a message if connected
+     */
+    send(message) {
+        if (!this.connected) return;
+        this.socket.send(JSON.stringify(message));
+    }
+
+    /**
+     * Create a room; the match options (including seed) are sent to whoever joins
+     */
+    createRoom(options) {
+        this.send({ type: 'create', options });
+    }
+
+    /**
+     * Join a room by its code
+     */
+    joinRoom(code) {
+        this.send({ type: 'join', code: code.toUpperCase() });
+    }
+
+    /**
+     * Send the local input scheduled for a step
+     */
+    sendInput(frame, input) {
+        this.send({ type: 'input', frame, input });
+    }
+
+    /**
+     * Send the local world checksum for a step
+     */
+    sendChecksum(frame, checksum) {
+        this.send({ type: 'checksum', frame, checksum });
+    }
+
+    /**
+     * Disconnect from the server
+     */
+    close() {
+        this.onClose = null;
+        this.socket.close();
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = NetClient;
+}
@@ -0,0 +1,136 @@
+/**
+ * PowerUp.js
+ * Collectible item drifting through the arena; what it does depends on its kind (see PowerUp.KINDS)
+ */
+class PowerUp {
+    /**
+     * @param {string} kind Key of PowerUp.KINDS
+     * @param {Random} rng Gameplay random source for drift and spin
+     */
+    constructor(x, y, kind = 'fuel', rng = new Random()) {
+        this.kind = kind;
+        this.position = new Vector2(x, y);
+        this.velocity = new Vector2((rng.next() - 0.5) * 0.5, (rng.next() - 0.5) * 0.5);
+        this.angle = rng.next() * Math.PI * 2;
+        this.rotationSpeed = (rng.next() - 0.5) * 0.05;
+        this.radius = PowerUp.RADIUS;
+        this.mass = 0.5;
+        this.active = true;
+
+        // Pulse effect
+        this.pulseTimer = 0;
+    }
+
+    /**
+     * Apply a force to the power-up (gravity, when the match has it on for all objects)
+     */
+    applyForce(force) {
+        // F = ma, so a = F/m
+        const acceleration = Vector2.multiply(force, 1 / this.mass);
+        this.velocity.add(acceleration);
+    }
+
+    /**
+     * Drift and spin one step
+     * @param {Boundary} boundary The arena edge
+     */
+    update(boundary) {
+        this.position.add(this.velocity);
+        this.angle += this.rotationSpeed;
+        this.pulseTimer += 0.05;
+
+        if (boundary.contain(this, 'powerUp')) {
+            this.active = false; // Drifted out of an open arena
+        }
+    }
+
+    render(ctx) {
+        const kind = PowerUp.KINDS[this.kind];
+
+        ctx.save();
+        ctx.translate(this.position.x, this.position.y);
+        ctx.rotate(this.angle);
+
+        // Pulse scale
+        const scale = 1 + Math.sin(this.pulseTimer) * 0.1;
+        ctx.scale(scale, scale);
+
+        ctx.strokeStyle = kind.color;
+        ctx.lineWidth = 2;
+        ctx.shadowBlur = 10;
+        ctx.shadowColor = kind.color;
+
+        if (this.kind === 'fuel') {
+            // Draw Canister body (Orange rectangle)
+            ctx.fillStyle = kind.color;
+            ctx.strokeStyle = '#FFD700'; // Gold border
+            ctx.beginPath();
+            ctx.rect(-8, -10, 16, 20);
+            ctx.fill();
+            ctx.stroke();
+
+            // Cap
+            ctx.fillStyle = '#888888';
+            ctx.fillRect(-4, -14, 8, 4);
+            ctx.fillStyle = '#333333';
+        } else {
+            // Hexagonal crate with the kind's letter
+            ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+            ctx.beginPath();
+            for (let i = 0; i < 6; i++) {
+                const angle = (i / 6) * Math.PI * 2;
+                ctx.lineTo(Math.cos(angle) * this.radius, Math.sin(angle) * this.radius);
+            }
+            ctx.closePath();
+            ctx.fill();
+            ctx.stroke();
+            ctx.fillStyle = kind.color;
+        }
+
+        // Letter, kept upright
+        ctx.rotate(-this.angle);
+        ctx.shadowBlur = 0;
+        ctx.font = 'bold 12px monospace';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(kind.label, 0, 0);
+
+        ctx.restore();
+    }
+
+    /**
+     * Standard spawn weight of every kind
+     * @returns {Object} Key of PowerUp.KINDS -> weight
+     */
+    static getWeights() {
+        const weights = {};
+        for (const kind in PowerUp.KINDS) {
+            weights[kind] = PowerUp.KINDS[kind].weight;
+        }
+        return weights;
+    }
+}
+
+// Power-up kinds: HUD name, letter, colour and standard spawn weight, plus each kind's own tuning.
+// Timed kinds last duration steps (see Ship.effects); fuel only turns up in matches with fuel on.
+PowerUp.KINDS = {
+    fuel: { name: 'FUEL', label: 'F', color: '#FFA500', weight: 3, amount: 250 },
+    // Refills the shield energy
+    energy: { name: 'SHIELD', label: 'S', color: '#00FFFF', weight: 3 },
+    // One more hyperspace charge, even past the usual maximum
+    hyperspace: { name: 'HYPERSPACE', label: 'H', color: '#00FF00', weight: 2 },
+    // Reload time of every weapon scaled by cooldownScale
+    rapidFire: { name: 'RAPID FIRE', label: 'R', color: '#FF4500', weight: 2, duration: 600, cooldownScale: 1 / 3 },
+    // Shots leave the ship speedScale times as fast
+    fastBullets: { name: 'FAST SHOTS', label: 'B', color: '#FF00FF', weight: 2, duration: 600, speedScale: 2 },
+    extraLife: { name: 'EXTRA LIFE', label: '+', color: '#FFFFFF', weight: 1 }
+};
+
+PowerUp.RADIUS = 12; // Collision radius
+
+// Velocity kept per step while gravity pulls a power-up, so it drifts inwards instead of falling
+PowerUp.DRAG = 0.98;
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PowerUp;
+}
@@ -0,0 +1,88 @@
+/**
+ * Random.js
+ * Seedable pseudo-random number generator (mulberry32) for gameplay randomness
+ */
+
+class Random {
+    /**
+     * @param {number|string} [seed] 32-bit seed; a random one is picked if omitted
+     */
+    constructor(seed) {
+        this.seed = seed === undefined || seed === null ? Random.generateSeed() : Random.normalizeSeed(seed);
+        this.state = this.seed;
+    }
+
+    /**
+     * Rewind to the start of the seed's sequence
+     */
+    reset() {
+        this.state = this.seed;
+    }
+
+    /**
+     * Create an independent generator derived from this seed
+     * Controllers (AI) use one so they don't shift the world's sequence; replays
+     * record their inputs instead of re-running them
+     */
+    derive(salt) {
+        return new Random((this.seed ^ Math.imul(salt + 1, 0x9E3779B9)) >>> 0);
+    }
+
+    /**
+     * Get the next number in [0, 1) - drop-in for Math.random()
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Get a float in [min, max)
+     */
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    /**
+     * Get an integer in [min, max] (inclusive)
+     */
+    int(min, max) {
+        return min + Math.floor(this.next() * (max - min + 1));
+    }
+
+    /**
+     * Pick a fresh random seed (uses Math.random, so not reproducible itself)
+     */
+    static generateSeed() {
+        return Math.floor(Math.random() * 4294967296) >>> 0;
+    }
+
+    /**
+     * Turn a number or string into a 32-bit unsigned seed
+     * Numeric strings keep their value, other strings are hashed (FNV-1a)
+     */
+    static normalizeSeed(seed) {
+        if (typeof seed === 'number') {
+            return Math.floor(seed) >>> 0;
+        }
+
+        const text = String(seed).trim();
+        if (/^\d+$/.test(text)) {
+            return parseInt(text, 10) >>> 0;
+        }
+
+        let hash = 0x811C9DC5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Random;
+}
@@ -0,0 +1,156 @@
+/**
+ * Replay.js
+ * Recorded match: seed, match options and the per-step inputs of every ship
+ */
+
+class Replay {
+    /**
+     * @param {Object} data Seed, match options ({gameMode, aiDifficulty, hazardsEnabled, fuelEnabled}) and ship count
+     */
+    constructor(data = {}) {
+        this.seed = data.seed;
+        this.options = Object.assign({}, data.options);
+        this.shipCount = data.shipCount || 2;
+
+        // One array of encoded inputs (one per ship) for every simulation step
+        this.frames = [];
+    }
+
+    /**
+     * Number of recorded simulation steps
+     */
+    get length() {
+        return this.frames.length;
+    }
+
+    /**
+     * Record the inputs applied in one simulation step
+     */
+    addFrame(inputs) {
+        const encoded = [];
+        for (let i = 0; i < this.shipCount; i++) {
+            encoded.push(Replay.encodeInput(inputs[i]));
+        }
+        this.frames.push(encoded);
+    }
+
+    /**
+     * Get the decoded inputs for a step (empty inputs past the end)
+     */
+    getInputs(frame) {
+        const encoded = this.frames[frame] || [];
+        const inputs = [];
+        for (let i = 0; i < this.shipCount; i++) {
+            inputs.push(Replay.decodeInput(encoded[i] || 0));
+        }
+        return inputs;
+    }
+
+    /**
+     * Serialize to a compact, run-length encoded object for JSON
+     */
+    toJSON() {
+        const runs = [];
+        let last = null;
+        for (const frame of this.frames) {
+            const key = frame.join(',');
+            if (last && last.key === key) {
+                last.run[0]++;
+            } else {
+                last = { key, run: [1, ...frame] };
+                runs.push(last.run);
+            }
+        }
+
+        return {
+            format: Replay.FORMAT,
+            version: Replay.VERSION,
+            seed: this.seed,
+            options: this.options,
+            shipCount: this.shipCount,
+            length: this.length,
+            inputs: runs
+        };
+    }
+
+    /**
+     * Load a replay from its JSON object or text
+     * @throws {Error} If the data is not a supported replay
+     */
+    static fromJSON(json) {
+        const data = typeof json === 'string' ? JSON.parse(json) : json;
+        if (!data || data.format !== Replay.FORMAT) {
+            throw new Error('Not a Spacewar! replay file');
+        }
+        if (data.version > Replay.VERSION) {
+            throw new Error(`Unsupported replay version ${data.version}`);
+        }
+
+        const replay = new Replay(data);
+        if (!(data.version >= 4)) {
+            replay.options.safeHyperspace = false; // Recorded with the old instant hyperspace jump
+        }
+        for (const run of data.inputs || []) {
+            const frame = run.slice(1);
+            for (let i = 0; i < run[0]; i++) {
+                replay.frames.push(frame);
+            }
+        }
+        return replay;
+    }
+
+    /**
+     * Pack an input object into an integer
+     * Bits 0-7: actions (bit order = Replay.ACTIONS)
+     * Bits 8-15 / 16-23: how far below full deflection rotateAmount / thrustAmount are
+     * (0 = full, so digital inputs and version 1 replays decode as full strength)
+     */
+    static encodeInput(input = {}) {
+        let code = 0;
+        Replay.ACTIONS.forEach((action, bit) => {
+            if (input[action]) code |= 1 << bit;
+        });
+        code |= Replay.encodeAmount(input.rotateAmount) << 8;
+        code |= Replay.encodeAmount(input.thrustAmount) << 16;
+        return code;
+    }
+
+    /**
+     * Unpack an integer into an input object
+     */
+    static decodeInput(code) {
+        const input = {};
+        Replay.ACTIONS.forEach((action, bit) => {
+            input[action] = (code & (1 << bit)) !== 0;
+        });
+        input.rotateAmount = (255 - ((code >> 8) & 0xFF)) / 255;
+        input.thrustAmount = (255 - ((code >> 16) & 0xFF)) / 255;
+        return input;
+    }
+
+    /**
+     * Encode an analog amount (0-1, default full) as its distance below full in 1/255 steps
+     */
+    static encodeAmount(amount) {
+        if (amount === undefined) return 0;
+        return 255 - Math.round(Math.max(0, Math.min(1, amount)) * 255);
+    }
+
+    /**
+     * Round an analog amount to what a replay can store
+     * Live analog input must be quantized so live play, lockstep and replays step identically
+     */
+    static quantizeAmount(amount) {
+        return (255 - Replay.encodeAmount(amount)) / 255;
+    }
+}
+
+Replay.FORMAT = 'spacewar-replay';
+Replay.VERSION = 4; // 2: analog rotate/thrust amounts, 3: weapon switching, 4: safe hyperspace jumps
+
+// Input actions in bit order - append only, so older replays stay readable
+Replay.ACTIONS = ['rotateLeft', 'rotateRight', 'thrust', 'shoot', 'hyperspace', 'shield', 'cycleWeapon'];
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Replay;
+}
@@ -0,0 +1,83 @@
+/**
+ * ReplayViewer.js
+ * Playback state (pause, speed, scrubbing) and HUD for watching a Replay
+ */
+
+class ReplayViewer {
+    constructor(replay) {
+        this.replay = replay;
+        this.world = null; // World being replayed (created by Game)
+        this.paused = false;
+
+        // Playback speeds (multiples of real time)
+        this.speeds = [0.25, 0.5, 1, 2, 4];
+        this.speedIndex = 2; // 1x
+    }
+
+    /**
+     * Current playback speed multiplier
+     */
+    get speed() {
+        return this.speeds[this.speedIndex];
+    }
+
+    /**
+     * Step through the speed list (direction -1 = slower, 1 = faster)
+     */
+    changeSpeed(direction) {
+        this.speedIndex = Math.max(0, Math.min(this.speeds.length - 1, this.speedIndex + direction));
+    }
+
+    /**
+     * Toggle pause
+     */
+    togglePause() {
+        this.paused = !this.paused;
+    }
+
+    /**
+     * Format a step count as m:ss (60 steps per second)
+     */
+    formatTime(frame) {
+        const seconds = Math.floor(frame / 60);
+        return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+    }
+
+    /**
+     * Render playback controls and progress
+     * @param {number} frame Current simulation step of the replayed world
+     */
+    render(ctx, canvasWidth, canvasHeight, frame) {
+        const length = this.replay.length;
+        const barX = 20;
+        const barY = canvasHeight - 40;
+        const barWidth = canvasWidth - 40;
+        const barHeight = 6;
+
+        ctx.save();
+
+        // Progress bar
+        ctx.fillStyle = '#444444';
+        ctx.fillRect(barX, barY, barWidth, barHeight);
+        ctx.fillStyle = '#00BFFF';
+        ctx.fillRect(barX, barY, barWidth * (length > 0 ? frame / length : 0), barHeight);
+
+        // Status line
+        ctx.font = '14px monospace';
+        ctx.fillStyle = '#FFFFFF';
+        ctx.textAlign = 'left';
+        const state = frame >= length ? 'END' : this.paused ? 'PAUSED' : 'PLAYING';
+        ctx.fillText(`REPLAY ${state}  ${this.formatTime(frame)} / ${this.formatTime(length)}  ${this.speed}x  seed ${this.replay.seed}`, barX, barY - 8);
+
+        // Controls help
+        ctx.fillStyle = '#888888';
+        ctx.font = '12px monospace';
+        ctx.fillText('SPACE=Pause \u2190/\u2192=\u00B15s ,/.=Step -/+=Speed Home=Restart Esc=Menu', barX, canvasHeight - 15);
+
+        ctx.restore();
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ReplayViewer;
+}
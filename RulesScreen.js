@@ -0,0 +1,116 @@
+/**
+ * RulesScreen.js
+ * Match rules editor: pick a preset, then fine-tune lives, gravity, sun, speeds and reload
+ */
+
+class RulesScreen {
+    /**
+     * @param {Object} rules Edited in place: {preset (key of MatchRules.PRESETS, null when custom), values}
+     */
+    constructor(rules) {
+        this.rules = rules;
+        this.row = 0; // 0 = preset, then one row per key of MatchRules.FIELDS
+    }
+
+    /**
+     * Number of selectable rows
+     */
+    get rowCount() {
+        return 1 + Object.keys(MatchRules.FIELDS).length;
+    }
+
+    /**
+     * Rule edited on a row, or null for the preset row
+     */
+    getField(row) {
+        return row > 0 ? Object.keys(MatchRules.FIELDS)[row - 1] : null;
+    }
+
+    /**
+     * Move the selection up or down
+     */
+    moveSelection(direction) {
+        this.row = (this.row + direction + this.rowCount) % this.rowCount;
+    }
+
+    /**
+     * Change the selected row: the preset row loads the next or previous preset, the others
+     * step their rule (which makes the rules custom unless they match a preset again)
+     */
+    changeValue(direction) {
+        const rules = this.rules;
+        const field = this.getField(this.row);
+        if (field) {
+            MatchRules.changeValue(rules.values, field, direction);
+            rules.preset = MatchRules.findPreset(rules.values);
+            return;
+        }
+        const presets = Object.keys(MatchRules.PRESETS);
+        // From custom rules, right goes to the first preset and left to the last
+        const current = rules.preset !== null ? presets.indexOf(rules.preset) : (direction > 0 ? -1 : presets.length);
+        rules.preset = presets[(current + direction + presets.length) % presets.length];
+        rules.values = MatchRules.resolve(rules.preset);
+    }
+
+    /**
+     * Text baseline of a row on screen
+     */
+    getRowY(row) {
+        return row === 0 ? 180 : 220 + row * 40;
+    }
+
+    /**
+     * A rule's value for display (times also in seconds)
+     */
+    static formatValue(field, value) {
+        return MatchRules.FIELDS[field].steps ? `${value} (${(value / 60).toFixed(1)} s)` : String(value);
+    }
+
+    /**
+     * Render the rules table
+     */
+    render(ctx, canvasWidth, canvasHeight) {
+        const rules = this.rules;
+        const centerX = canvasWidth / 2;
+        const classic = MatchRules.PRESETS.classic;
+
+        ctx.save();
+        ctx.textAlign = 'center';
+        ctx.font = 'bold 48px monospace';
+        ctx.fillStyle = '#FFFFFF';
+        ctx.fillText('MATCH RULES', centerX, 100);
+
+        // Selection highlight
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.15)';
+        ctx.fillRect(centerX - 300, this.getRowY(this.row) - 26, 600, 36);
+
+        ctx.font = 'bold 26px monospace';
+        ctx.fillStyle = rules.preset ? '#FFD700' : '#CCCCCC';
+        ctx.fillText(`Preset: \u25C0 ${rules.preset ? MatchRules.PRESETS[rules.preset].name : 'CUSTOM'} \u25B6`, centerX, this.getRowY(0));
+
+        // One row per rule, changes from the classic rules highlighted
+        ctx.font = '22px monospace';
+        Object.keys(MatchRules.FIELDS).forEach((field, i) => {
+            const y = this.getRowY(i + 1);
+            const value = rules.values[field];
+            ctx.textAlign = 'right';
+            ctx.fillStyle = '#CCCCCC';
+            ctx.fillText(MatchRules.FIELDS[field].name, centerX - 20, y);
+            ctx.textAlign = 'left';
+            ctx.fillStyle = value !== classic[field] ? '#FFD700' : '#FFFFFF';
+            ctx.fillText(RulesScreen.formatValue(field, value), centerX + 20, y);
+        });
+
+        // Help
+        ctx.textAlign = 'center';
+        ctx.font = '16px monospace';
+        ctx.fillStyle = '#888888';
+        ctx.fillText('\u2191/\u2193=Select  \u2190/\u2192=Change', centerX, canvasHeight - 120);
+        ctx.fillText('Rules are saved in this browser; online matches use the host\'s rules', centerX, canvasHeight - 96);
+        ctx.font = 'bold 22px monospace';
+        ctx.fillStyle = '#FFFFFF';
+        ctx.fillText('Esc: Back', centerX, canvasHeight - 60);
+
+        ctx.restore();
+    }
+}
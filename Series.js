@@ -0,0 +1,80 @@
+/**
+ * Series.js
+ * Best-of-N series between two players; the players swap ships (and start positions) every game
+ */
+
+class Series {
+    /**
+     * @param {Object[]} players Two players: {name, controller} (controller id as in Game.participants, 'ai' for the computer)
+     * @param {number} bestOf Games in the series (odd: 1, 3, 5 or 7)
+     */
+    constructor(players, bestOf = 3) {
+        this.players = players;
+        this.bestOf = bestOf;
+        this.wins = [0, 0];
+        this.games = []; // Finished games: {winner: player index or null for a draw, score}
+        this.sides = [0, 1]; // Player flying each ship in the current game (ship 1 first)
+    }
+
+    /**
+     * Wins needed to take the series
+     */
+    get winsNeeded() {
+        return Math.ceil(this.bestOf / 2);
+    }
+
+    /**
+     * Start the next game: the players swap sides every game
+     */
+    nextGame() {
+        this.sides = this.games.length % 2 === 0 ? [0, 1] : [1, 0];
+    }
+
+    /**
+     * Player flying a ship in the current game
+     * @param {number} shipIndex 0 for ship 1, 1 for ship 2
+     */
+    getPlayer(shipIndex) {
+        return this.players[this.sides[shipIndex]];
+    }
+
+    /**
+     * Record a finished game. Draws don't count towards the series, so it can run past bestOf games.
+     * @param {number|null} shipIndex Index of the winning ship, null for a draw
+     * @param {string} score Lives left, e.g. '3:0'
+     */
+    recordGame(shipIndex, score) {
+        const winner = shipIndex !== null ? this.sides[shipIndex] : null;
+        if (winner !== null) this.wins[winner]++;
+        this.games.push({ winner, score });
+    }
+
+    /**
+     * Check whether a player has taken the series
+     */
+    isOver() {
+        return this.getWinner() !== null;
+    }
+
+    /**
+     * Index of the player who took the series, or null while it's running
+     */
+    getWinner() {
+        const winner = this.wins.findIndex(wins => wins >= this.winsNeeded);
+        return winner !== -1 ? winner : null;
+    }
+
+    /**
+     * Series score line, e.g. 'ALICE 2 - 1 BOB'
+     */
+    describe() {
+        return `${this.players[0].name} ${this.wins[0]} - ${this.wins[1]} ${this.players[1].name}`;
+    }
+}
+
+// Series lengths in menu order (1 = a single game)
+Series.LENGTHS = [1, 3, 5, 7];
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Series;
+}
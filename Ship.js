@@ -7,6 +7,7 @@ class Ship {
     constructor(x, y, angle, id, color) {
         this.id = id;
         this.position = new Vector2(x, y);
+        this.previousPosition = new Vector2(x, y); // Position at the start of the last step
         this.velocity = new Vector2(0, 0);
         this.angle = angle; // Radians
         this.mass = 1;
@@ -16,20 +17,32 @@ class Ship {
         // Control parameters
         this.thrustPower = 0.07;
         this.rotationSpeed = 0.05;
+        this.maxSpeed = 2.25; // Thrust can't push the ship faster than this (gravity can)
 
         // State
         this.lives = 5;
         this.active = true;
         this.respawnTimer = 0;
         this.respawnDelay = 120; // Frames
+        this.kills = 0; // Enemy ships destroyed by this ship's bullets
+        this.score = 0; // Points for shooting asteroids
+        this.team = id - 1; // Ships on the same team are allies (set by World)
+        this.eliminatedAt = null; // Step the last life was lost (set by World)
+        this.outline = null; // Key of Ship.OUTLINES for the vector look, null for the modern hull
 
         // Starting position for respawn
         this.startPosition = new Vector2(x, y);
         this.startAngle = angle;
 
         // Shooting
-        this.shootCooldown = 0;
-        this.shootCooldownMax = 30; // Frames between shots
+        this.weapon = 'cannon'; // Key of Weapon.TYPES
+        this.weaponSwitchHeld = false; // Weapon button held last step (one switch per press)
+        this.shootCooldown = 0; // Frames until the next shot (the cooldown depends on the weapon)
+        this.shootCooldownMax = Weapon.TYPES.cannon.cooldown; // Cannon reload; the other weapons reload proportionally
+        this.bulletSpeed = 4; // Speed of cannon and spread shots relative to the ship
+        this.bulletLifetime = 200; // Steps a cannon shot lasts
+        this.maxTorpedoes = null; // Shots per life, null for unlimited
+        this.torpedoes = null;
 
         // Visual effects
         this.explosionParticles = []; // Debris on death
@@ -38,51 +51,104 @@ class Ship {
         this.maxEnergy = 100;
         this.energy = 100;
         this.shieldActive = false;
+        this.shieldEnabled = true; // The 1962 ships have no shield
         this.shieldActive = false;
+        this.maxHyperspaceCharges = 3;
         this.hyperspaceCharges = 3;
         this.hyperspaceCooldown = 0;
         this.hyperspaceCooldownMax = 60; // 1 second debounce
+        // Malfunction chance of the first jump, and how much each further jump this life adds
+        this.hyperspaceRisk = 0.15;
+        this.hyperspaceRiskStep = 0;
+        this.hyperspaceJumps = 0; // Jumps this life
+        this.hyperspaceTimer = 0; // Steps left in a jump (exit, then entry), 0 when not jumping
+        this.hyperspaceDestination = null;
 
         // Fuel system
         this.maxFuel = 1000;
         this.fuel = 1000;
         this.fuelEnabled = false; // Toggled by game
+
+        // Timed power-up effects: key of PowerUp.KINDS -> steps left (lost with the ship)
+        this.effects = {};
     }
 
-    thrust() {
-        if (!this.active) return;
+    /**
+     * Fire the engine
+     * @param {number} amount Throttle (0-1), e.g. analog trigger pressure
+     */
+    thrust(amount = 1) {
+        if (!this.active || this.isJumping()) return;
 
         // Fuel check
         if (this.fuelEnabled) {
             if (this.fuel <= 0) return;
-            this.fuel -= 1.5; // Consumption rate
+            this.fuel -= 1.5 * amount; // Consumption rate
         }
 
         const thrustVector = Vector2.fromAngle(this.angle);
-        thrustVector.multiply(this.thrustPower);
+        thrustVector.multiply(this.thrustPower * amount);
         this.velocity.add(thrustVector);
 
         // Limit maximum velocity
-        const maxSpeed = 2.25;
-        if (this.velocity.magnitude() > maxSpeed) {
-            this.velocity.normalize().multiply(maxSpeed);
+        if (this.velocity.magnitude() > this.maxSpeed) {
+            this.velocity.normalize().multiply(this.maxSpeed);
         }
     }
 
     /**
-     * Activate hyperspace drive
+     * Check the hyperspace drive can be used now
      */
-    hyperspace(soundManager) {
-        if (!this.active || this.hyperspaceCooldown > 0 || this.hyperspaceCharges <= 0) return;
+    canHyperspace() {
+        return this.active && this.hyperspaceCooldown <= 0 && this.hyperspaceCharges > 0 && !this.isJumping();
+    }
 
+    /**
+     * Check whether the ship is between leaving and coming out of hyperspace
+     */
+    isJumping() {
+        return this.hyperspaceTimer > 0;
+    }
+
+    /**
+     * Spend a hyperspace charge and roll for a malfunction
+     * @param {Random} rng Gameplay random source
+     * @returns {boolean} True if the drive malfunctions (the ship explodes)
+     */
+    chargeHyperspace(rng) {
         // Consume charge
         this.hyperspaceCharges--;
 
         // debounce
         this.hyperspaceCooldown = this.hyperspaceCooldownMax;
 
-        // 15% chance of mulfunction (explosion)
-        if (Math.random() < 0.15) {
+        // Chance of malfunction (explosion), rising with every jump this life if the match says so
+        const risk = Math.min(1, this.hyperspaceRisk + this.hyperspaceJumps * this.hyperspaceRiskStep);
+        this.hyperspaceJumps++;
+        return rng.next() < risk;
+    }
+
+    /**
+     * Start a hyperspace jump: the ship fades out where it is, then fades in at the destination at rest.
+     * It can't steer, shoot or shield meanwhile, but can still be hit.
+     * @param {Vector2} destination Where to come out (World picks a safe spot)
+     */
+    startJump(destination) {
+        this.hyperspaceTimer = Ship.HYPERSPACE_EXIT_STEPS + Ship.HYPERSPACE_ENTRY_STEPS;
+        this.hyperspaceDestination = destination;
+        this.shieldActive = false;
+    }
+
+    /**
+     * Activate hyperspace drive the original way: an instant jump to anywhere in an 800 px square
+     * (kept for replays recorded before safe jumps, see World.safeHyperspace)
+     * @param {SoundManager} soundManager Optional sound sink
+     * @param {Random} rng Gameplay random source (malfunction roll and destination)
+     */
+    hyperspace(soundManager, rng = new Random()) {
+        if (!this.canHyperspace()) return;
+
+        if (this.chargeHyperspace(rng)) {
             this.die(soundManager);
             return;
         }
@@ -95,8 +161,8 @@ class Ship {
         // Random positions
         // We need canvas dimensions, but we can approximate or rely on wraplogic
         // For now, let's use a wide random range which wrap() will fix next frame if out of bounds
-        this.position.x = Math.random() * 800;
-        this.position.y = Math.random() * 800;
+        this.position.x = rng.next() * 800;
+        this.position.y = rng.next() * 800;
 
         // Reset velocity
         this.velocity.set(0, 0);
@@ -109,12 +175,12 @@ class Ship {
      * Toggle shield
      */
     setShield(active) {
-        if (!this.active) {
+        if (!this.active || this.isJumping()) {
             this.shieldActive = false;
             return;
         }
 
-        if (active && this.energy > 5) {
+        if (active && this.shieldEnabled && this.energy > 5) {
             this.shieldActive = true;
         } else {
             this.shieldActive = false;
@@ -123,15 +189,16 @@ class Ship {
 
     /**
      * Rotate the ship
+     * @param {number} direction -1..1, fractional for analog stick deflection
      */
     rotate(direction) {
-        if (!this.active) return;
+        if (!this.active || this.isJumping()) return;
 
         // Rotation consumes small amount of fuel too?
         // User said "after its consumption it would not be controllable"
         if (this.fuelEnabled) {
             if (this.fuel <= 0) return;
-            this.fuel -= 0.2;
+            this.fuel -= 0.2 * Math.abs(direction);
         }
 
         this.angle += direction * this.rotationSpeed;
@@ -148,8 +215,9 @@ class Ship {
 
     /**
      * Update ship position and state
+     * @param {Boundary} boundary The arena edge (leaving an open arena is handled by World)
      */
-    update(canvasWidth, canvasHeight) {
+    update(boundary) {
         // Update cooldowns
         if (this.shootCooldown > 0) {
             this.shootCooldown--;
@@ -157,6 +225,9 @@ class Ship {
         if (this.hyperspaceCooldown > 0) {
             this.hyperspaceCooldown--;
         }
+        for (const effect in this.effects) {
+            if (--this.effects[effect] <= 0) delete this.effects[effect];
+        }
 
         // Handle Energy / Shield
         if (this.shieldActive) {
@@ -182,37 +253,79 @@ class Ship {
             return;
         }
 
+        // Halfway through a jump the ship leaves here and starts coming out at the destination, at rest
+        if (this.isJumping()) {
+            this.hyperspaceTimer--;
+            if (this.hyperspaceTimer === Ship.HYPERSPACE_ENTRY_STEPS) {
+                this.position.copy(this.hyperspaceDestination);
+                this.velocity.set(0, 0);
+            }
+        }
+
         // Update position
         // Update position
         this.position.add(this.velocity);
+        boundary.contain(this, 'ship');
+    }
+
+    /**
+     * Fire the selected weapon
+     * @returns {Bullet[]} New projectiles (none while reloading)
+     */
+    shoot() {
+        if (this.shootCooldown > 0 || !this.active || this.isJumping() || this.torpedoes === 0) return [];
+
+        const cooldown = Math.round(Weapon.TYPES[this.weapon].cooldown * this.shootCooldownMax / Weapon.TYPES.cannon.cooldown);
+        this.shootCooldown = this.hasEffect('rapidFire') ? Math.ceil(cooldown * PowerUp.KINDS.rapidFire.cooldownScale) : cooldown;
+        if (this.torpedoes !== null) this.torpedoes--;
+
+        return Weapon.createProjectiles(this);
+    }
+
+    /**
+     * Check whether a timed power-up effect is running
+     * @param {string} kind Key of PowerUp.KINDS
+     */
+    hasEffect(kind) {
+        return this.effects[kind] > 0;
+    }
 
-        // Circular wrapping (polar coordinates)
-        const dx = this.position.x - canvasWidth / 2;
-        const dy = this.position.y - canvasHeight / 2;
-        const distanceFromCenter = Math.sqrt(dx * dx + dy * dy);
-        const playRadius = canvasHeight / 2 - 10; // Match game play area radius
-
-        if (distanceFromCenter > playRadius) {
-            // Wrap to opposite side through center
-            const angle = Math.atan2(dy, dx);
-            this.position.x = canvasWidth / 2 - Math.cos(angle) * playRadius * 0.9;
-            this.position.y = canvasHeight / 2 - Math.sin(angle) * playRadius * 0.9;
+    /**
+     * Take a power-up (World pools an extra life between teammates sharing lives)
+     * @param {string} kind Key of PowerUp.KINDS
+     */
+    applyPowerUp(kind) {
+        const powerUp = PowerUp.KINDS[kind];
+        if (kind === 'fuel') {
+            this.addFuel(powerUp.amount);
+        } else if (kind === 'energy') {
+            this.energy = this.maxEnergy;
+        } else if (kind === 'hyperspace') {
+            this.hyperspaceCharges++;
+        } else if (kind === 'extraLife') {
+            this.lives++;
+        } else if (powerUp.duration) {
+            this.effects[kind] = powerUp.duration; // Picking up a running effect starts it over
         }
     }
 
     /**
-     * Shoot a bullet
+     * Select the next weapon
      */
-    shoot() {
-        if (this.shootCooldown > 0 || !this.active) return null;
+    cycleWeapon() {
+        const weapons = Object.keys(Weapon.TYPES);
+        this.weapon = weapons[(weapons.indexOf(this.weapon) + 1) % weapons.length];
+    }
 
-        // Create bullet at ship's nose
+    /**
+     * Create a bullet at the ship's nose (no cooldown; also used to preview shots)
+     */
+    createBullet() {
         const bulletX = this.position.x + Math.cos(this.angle) * this.radius;
         const bulletY = this.position.y + Math.sin(this.angle) * this.radius;
 
-        this.shootCooldown = this.shootCooldownMax;
-
-        return new Bullet(bulletX, bulletY, this.angle, this.velocity, this.id, this.color);
+        return new Bullet(bulletX, bulletY, this.angle, this.velocity, this.id, this.color,
+            { speed: this.bulletSpeed, lifetime: this.bulletLifetime });
     }
 
     /**
@@ -229,6 +342,8 @@ class Ship {
 
         this.shieldActive = false;
         this.energy = this.maxEnergy;
+        this.hyperspaceTimer = 0;
+        this.effects = {};
 
         // Play explosion sound
         if (soundManager) {
@@ -316,13 +431,24 @@ class Ship {
         this.fuel = this.maxFuel;
         this.shieldActive = false;
         this.hyperspaceCooldown = 0;
-        this.hyperspaceCharges = 3; // Reset charges on new round
+        this.hyperspaceCharges = this.maxHyperspaceCharges; // Reset charges on new round
+        this.hyperspaceJumps = 0;
+        this.hyperspaceTimer = 0;
+        this.torpedoes = this.maxTorpedoes;
+    }
+
+    /**
+     * Get the position to draw at, interpolated between the last two steps
+     * Jumps (wrap, hyperspace, respawn) are not interpolated
+     */
+    getRenderPosition(alpha = 1) {
+        return Vector2.interpolateStep(this.previousPosition, this.position, alpha);
     }
 
     /**
      * Render the ship
      */
-    render(ctx, showThrust = false) {
+    render(ctx, showThrust = false, alpha = 1) {
         // Render explosion particles if dead
         if (!this.active) {
             this.renderExplosion(ctx);
@@ -335,8 +461,10 @@ class Ship {
         ctx.shadowBlur = 15;
         ctx.shadowColor = this.color;
 
-        ctx.translate(this.position.x, this.position.y);
+        const renderPosition = this.getRenderPosition(alpha);
+        ctx.translate(renderPosition.x, renderPosition.y);
         ctx.rotate(this.angle);
+        this.renderJump(ctx, this.color);
 
         // Draw Shield
         if (this.shieldActive) {
@@ -399,18 +527,89 @@ class Ship {
     }
 
 
+    /**
+     * Render the ship as a thin monochrome outline (the 1962 look), with a flickering exhaust line
+     * @param {string} color Phosphor colour
+     */
+    renderVector(ctx, showThrust, alpha, color) {
+        if (!this.active) {
+            this.renderExplosion(ctx, color);
+            return;
+        }
+
+        const renderPosition = this.getRenderPosition(alpha);
+        const points = Ship.OUTLINES[this.outline || (this.id % 2 === 1 ? 'needle' : 'wedge')];
+
+        ctx.save();
+        ctx.translate(renderPosition.x, renderPosition.y);
+        ctx.rotate(this.angle);
+        this.renderJump(ctx, color);
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 1.5;
+
+        ctx.beginPath();
+        points.forEach(([x, y], i) => {
+            if (i === 0) ctx.moveTo(x * this.radius, y * this.radius);
+            else ctx.lineTo(x * this.radius, y * this.radius);
+        });
+        ctx.closePath();
+        ctx.stroke();
+
+        if (showThrust && (!this.fuelEnabled || this.fuel > 0)) {
+            const tail = Math.min(...points.map(([x]) => x)) * this.radius;
+            ctx.beginPath();
+            ctx.moveTo(tail, 0);
+            ctx.lineTo(tail - this.radius * (0.5 + Math.random()), 0);
+            ctx.stroke();
+        }
+
+        ctx.restore();
+    }
+
+    /**
+     * Size to draw the ship at: shrinking away during a jump's exit, growing back during its entry
+     */
+    getJumpScale() {
+        if (!this.isJumping()) return 1;
+        if (this.hyperspaceTimer > Ship.HYPERSPACE_ENTRY_STEPS) {
+            return (this.hyperspaceTimer - Ship.HYPERSPACE_ENTRY_STEPS) / Ship.HYPERSPACE_EXIT_STEPS;
+        }
+        return 1 - this.hyperspaceTimer / Ship.HYPERSPACE_ENTRY_STEPS;
+    }
+
+    /**
+     * Draw the warp ring of a jump and scale the hull to match (context at the ship, rotated)
+     */
+    renderJump(ctx, color) {
+        const scale = this.getJumpScale();
+        if (scale >= 1) return;
+
+        ctx.save();
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 1.5;
+        ctx.globalAlpha = 1 - scale;
+        ctx.setLineDash([4, 4]);
+        ctx.beginPath();
+        ctx.arc(0, 0, this.radius * (3 - 2 * scale), 0, Math.PI * 2);
+        ctx.stroke();
+        ctx.restore();
+
+        ctx.scale(Math.max(scale, 0.01), Math.max(scale, 0.01));
+    }
+
     /**
      * Render explosion particles
+     * @param {string} color Defaults to the ship's colour
      */
-    renderExplosion(ctx) {
+    renderExplosion(ctx, color = this.color) {
         ctx.save();
         for (const p of this.explosionParticles) {
             const alpha = p.life / p.maxLife;
-            ctx.strokeStyle = this.color;
+            ctx.strokeStyle = color;
             ctx.globalAlpha = alpha;
             ctx.lineWidth = 2;
             ctx.shadowBlur = 8;
-            ctx.shadowColor = this.color;
+            ctx.shadowColor = color;
 
             const endX = p.x + Math.cos(Math.atan2(p.vy, p.vx)) * p.length;
             const endY = p.y + Math.sin(Math.atan2(p.vy, p.vx)) * p.length;
@@ -443,21 +642,25 @@ class Ship {
         // Shield Label
         ctx.fillStyle = '#AAAAAA';
         ctx.font = '10px monospace';
-        ctx.fillText('SHIELD', barX, barY - 2);
+        if (this.shieldEnabled) {
+            ctx.fillText('SHIELD', barX, barY - 2);
 
-        // Background
-        ctx.fillStyle = '#444444';
-        ctx.fillRect(barX, barY, barWidth, barHeight);
+            // Background
+            ctx.fillStyle = '#444444';
+            ctx.fillRect(barX, barY, barWidth, barHeight);
 
-        // Fill
-        const energyRatio = this.energy / this.maxEnergy;
-        ctx.fillStyle = this.energy > 20 ? '#00FFFF' : '#FF0000';
-        ctx.fillRect(barX, barY, barWidth * energyRatio, barHeight);
+            // Fill
+            const energyRatio = this.energy / this.maxEnergy;
+            ctx.fillStyle = this.energy > 20 ? '#00FFFF' : '#FF0000';
+            ctx.fillRect(barX, barY, barWidth * energyRatio, barHeight);
+        } else {
+            ctx.fillText('HYPERSPACE', barX, barY + 6);
+        }
 
         // Hyperspace Charges (Squares)
         const squareSize = 8;
         const spacing = 4;
-        for (let i = 0; i < 3; i++) {
+        for (let i = 0; i < Math.max(this.maxHyperspaceCharges, this.hyperspaceCharges); i++) {
             if (i < this.hyperspaceCharges) {
                 ctx.fillStyle = '#00FF00'; // Available
             } else {
@@ -481,6 +684,27 @@ class Ship {
             ctx.fillStyle = this.fuel > 100 ? '#FFD700' : '#FF4500';
             ctx.fillRect(barX, fuelY, barWidth * fuelRatio, barHeight);
         }
+
+        // Selected weapon, dimmed while reloading
+        const weaponY = barY + (this.fuelEnabled ? 48 : 30);
+        ctx.fillStyle = this.shootCooldown > 0 ? '#777777' : this.color;
+        ctx.font = 'bold 14px monospace';
+        ctx.fillText(this.torpedoes !== null ? `TORPEDOES ${this.torpedoes}` : Weapon.TYPES[this.weapon].name, barX, weaponY);
+
+        // Asteroid points, once there are any
+        if (this.score > 0) {
+            ctx.fillStyle = this.color;
+            ctx.fillText(`ROCKS ${this.score}`, barX, weaponY + 18);
+        }
+
+        // Running power-up effects with the seconds they have left
+        let effectY = weaponY + (this.score > 0 ? 36 : 18);
+        ctx.font = '12px monospace';
+        for (const effect in this.effects) {
+            ctx.fillStyle = PowerUp.KINDS[effect].color;
+            ctx.fillText(`${PowerUp.KINDS[effect].name} ${Math.ceil(this.effects[effect] / 60)}s`, barX, effectY);
+            effectY += 16;
+        }
         ctx.restore();
         ctx.restore();
     }
@@ -496,3 +720,19 @@ class Ship {
         }
     }
 }
+
+// Hyperspace jump: steps fading out where the ship was, then fading in at the destination
+Ship.HYPERSPACE_EXIT_STEPS = 30;
+Ship.HYPERSPACE_ENTRY_STEPS = 30;
+
+// Hull outlines of the 1962 ships, in multiples of the radius, nose along +x
+Ship.OUTLINES = {
+    // Long and thin, with small tail fins
+    needle: [[1.5, 0], [0.4, 0.2], [-0.8, 0.2], [-1.2, 0.5], [-1.2, -0.5], [-0.8, -0.2], [0.4, -0.2]],
+    // Broad, flat-backed wedge
+    wedge: [[1.2, 0], [-0.8, 0.8], [-1, 0.8], [-1, -0.8], [-0.8, -0.8]]
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Ship;
+}
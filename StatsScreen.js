@@ -0,0 +1,134 @@
+/**
+ * StatsScreen.js
+ * Match statistics after the game: one table per tab, a row per ship
+ */
+
+class StatsScreen {
+    /**
+     * @param {World} world The finished match
+     * @param {Object} options getLabel(ship) -> short ship name for the rows
+     */
+    constructor(world, options) {
+        this.world = world;
+        this.options = options;
+        this.tab = 0; // Index into StatsScreen.TABS
+    }
+
+    /**
+     * Show the next or previous tab (direction -1 or 1)
+     */
+    changeTab(direction) {
+        const count = StatsScreen.TABS.length;
+        this.tab = (this.tab + direction + count) % count;
+    }
+
+    /**
+     * Column headings and cell values of the selected tab
+     * @returns {{headings: string[], cells: Function}} cells(record) -> values in heading order
+     */
+    getColumns() {
+        const tab = StatsScreen.TABS[this.tab].id;
+        if (tab === 'combat') {
+            return {
+                headings: ['SHOTS', 'HITS', 'ACC', 'KILLS', 'BLOCKS'],
+                cells: (record) => [record.shots, record.hits, `${Math.round(MatchStats.getAccuracy(record) * 100)}%`,
+                    record.kills, record.shieldBlocks]
+            };
+        }
+        if (tab === 'deaths') {
+            const causes = Object.keys(MatchStats.CAUSES);
+            return {
+                headings: [...causes.map(cause => MatchStats.CAUSES[cause]), 'TOTAL'],
+                cells: (record) => [...causes.map(cause => record.deaths[cause]), MatchStats.getDeaths(record)]
+            };
+        }
+        return {
+            headings: ['JUMPS', 'FUEL', 'ALIVE'],
+            cells: (record) => [record.jumps, Math.round(record.fuelUsed),
+                StatsScreen.formatTime(record.stepsAlive / MatchStats.STEPS_PER_SECOND)]
+        };
+    }
+
+    /**
+     * Left edge of a tab's heading on screen (tabs are tappable)
+     */
+    getTabX(index, canvasWidth) {
+        return canvasWidth / 2 + (index - (StatsScreen.TABS.length - 1) / 2) * StatsScreen.TAB_WIDTH - StatsScreen.TAB_WIDTH / 2;
+    }
+
+    /**
+     * Render the tabs and the selected table
+     */
+    render(ctx, canvasWidth, canvasHeight) {
+        const centerX = canvasWidth / 2;
+        const stats = this.world.stats;
+
+        ctx.save();
+        ctx.textAlign = 'center';
+        ctx.font = 'bold 48px monospace';
+        ctx.fillStyle = '#FFFFFF';
+        ctx.fillText('MATCH STATS', centerX, 90);
+
+        // Tabs, the selected one highlighted
+        ctx.font = 'bold 22px monospace';
+        StatsScreen.TABS.forEach((tab, i) => {
+            const x = this.getTabX(i, canvasWidth);
+            if (i === this.tab) {
+                ctx.fillStyle = 'rgba(255, 255, 255, 0.15)';
+                ctx.fillRect(x, StatsScreen.TAB_Y - 26, StatsScreen.TAB_WIDTH, 34);
+            }
+            ctx.fillStyle = i === this.tab ? '#FFFFFF' : '#777777';
+            ctx.fillText(tab.name, x + StatsScreen.TAB_WIDTH / 2, StatsScreen.TAB_Y);
+        });
+
+        // Table: ship names on the left, then evenly spaced columns
+        const { headings, cells } = this.getColumns();
+        const left = centerX - 330;
+        const columnWidth = 460 / headings.length;
+        const columnX = (i) => centerX - 130 + columnWidth * (i + 0.5);
+
+        ctx.font = 'bold 16px monospace';
+        ctx.fillStyle = '#AAAAAA';
+        headings.forEach((heading, i) => ctx.fillText(heading, columnX(i), 200));
+
+        ctx.font = '20px monospace';
+        this.world.ships.forEach((ship, row) => {
+            const y = 240 + row * 32;
+            const values = cells(stats.get(ship));
+            ctx.fillStyle = ship.color;
+            ctx.textAlign = 'left';
+            ctx.fillText(this.options.getLabel(ship), left, y);
+            ctx.textAlign = 'center';
+            values.forEach((value, i) => ctx.fillText(String(value), columnX(i), y));
+        });
+
+        // Help
+        ctx.font = '16px monospace';
+        ctx.fillStyle = '#888888';
+        ctx.fillText(`\u2190/\u2192=Tab  Match time ${StatsScreen.formatTime(this.world.frame / MatchStats.STEPS_PER_SECOND)}`,
+            centerX, canvasHeight - 90);
+        ctx.font = 'bold 22px monospace';
+        ctx.fillStyle = '#FFFFFF';
+        ctx.fillText('E: Export JSON      Esc: Back', centerX, canvasHeight - 60);
+
+        ctx.restore();
+    }
+
+    /**
+     * Seconds as m:ss
+     */
+    static formatTime(seconds) {
+        const whole = Math.floor(seconds);
+        return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, '0')}`;
+    }
+}
+
+// Tabs in screen order
+StatsScreen.TABS = [
+    { id: 'combat', name: 'COMBAT' },
+    { id: 'deaths', name: 'DEATHS' },
+    { id: 'flight', name: 'FLIGHT' }
+];
+
+StatsScreen.TAB_WIDTH = 180;
+StatsScreen.TAB_Y = 140; // Text baseline of the tab row
@@ -1,30 +1,51 @@
 /**
  * Sun.js
- * Central gravitational object in the game
+ * Gravitational body in the arena: a star (the classic central sun) or a planet,
+ * optionally on a circular orbit
  */
 
 class Sun {
-    constructor(x, y, mass, radius) {
+    /**
+     * @param {Object} [options] kind ('star' or 'planet'), color (planets), fieldRadius (reach of the
+     *   gravity field particles) and orbit ({centerX, centerY, radius, period in steps, phase in radians})
+     */
+    constructor(x, y, mass, radius, options = {}) {
         this.position = new Vector2(x, y);
         this.mass = mass;
         this.radius = radius;
+        this.kind = options.kind || 'star';
+        this.color = options.color || '#FFD700';
+        this.fieldRadius = options.fieldRadius || 370;
+        this.orbit = options.orbit || null;
 
         // Gravitational field visualization particles
         this.gravityParticles = [];
         this.initGravityParticles();
     }
 
+    /**
+     * Move along the orbit to where the body is at a simulation step (static bodies stay put)
+     * Computed from the step number so any step can be reproduced exactly.
+     */
+    update(frame) {
+        if (!this.orbit) return;
+        const angle = this.orbit.phase + (frame / this.orbit.period) * Math.PI * 2;
+        this.position.set(
+            this.orbit.centerX + Math.cos(angle) * this.orbit.radius,
+            this.orbit.centerY + Math.sin(angle) * this.orbit.radius
+        );
+    }
+
     /**
      * Initialize gravity field particles
      */
     initGravityParticles() {
         const particleCount = 30; // Increased for better coverage
-        const maxDistance = 380; // Will cover most of play area
 
         for (let i = 0; i < particleCount; i++) {
             const angle = Math.random() * Math.PI * 2;
-            // Spawn particles across entire play area
-            const distance = 30 + Math.random() * 370; // Reduced radius by 30px (400 -> 370)
+            // Spawn particles across the field (the whole play area for the classic sun)
+            const distance = this.radius + Math.random() * this.fieldRadius;
 
             this.gravityParticles.push({
                 angle: angle,
@@ -43,7 +64,7 @@ class Sun {
         for (const particle of this.gravityParticles) {
             // Calculate acceleration based on distance (gravity gets stronger closer to sun)
             // Using inverse square for realistic gravity: closer = faster
-            const normalizedDist = particle.distance / 430; // Updated max distance (30 + 400)
+            const normalizedDist = particle.distance / (this.radius + this.fieldRadius);
             const acceleration = 1 + (1 - normalizedDist) * 3; // 1x to 4x speed
             const currentSpeed = particle.baseSpeed * acceleration;
 
@@ -51,8 +72,8 @@ class Sun {
             particle.distance -= currentSpeed;
 
             // Reset particle when it gets too close
-            if (particle.distance < 30) {
-                particle.distance = 380; // Reset to edge (30 + 370)
+            if (particle.distance < this.radius) {
+                particle.distance = this.radius + this.fieldRadius; // Reset to the edge of the field
                 particle.angle = Math.random() * Math.PI * 2;
             }
         }
@@ -96,6 +117,11 @@ class Sun {
      * Render the sun
      */
     render(ctx) {
+        if (this.kind === 'planet') {
+            this.renderPlanet(ctx);
+            return;
+        }
+
         ctx.save();
 
         // Draw gravity field particles first
@@ -148,6 +174,51 @@ class Sun {
         ctx.restore();
     }
 
+    /**
+     * Render a planet: shaded disc with a thin atmosphere
+     */
+    renderPlanet(ctx) {
+        ctx.save();
+        this.renderGravityParticles(ctx);
+
+        const { x, y } = this.position;
+        const shading = ctx.createRadialGradient(
+            x - this.radius * 0.4, y - this.radius * 0.4, this.radius * 0.1,
+            x, y, this.radius
+        );
+        shading.addColorStop(0, '#FFFFFF');
+        shading.addColorStop(0.3, this.color);
+        shading.addColorStop(1, '#101020');
+
+        ctx.shadowBlur = 12;
+        ctx.shadowColor = this.color;
+        ctx.fillStyle = shading;
+        ctx.beginPath();
+        ctx.arc(x, y, this.radius, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.restore();
+    }
+
+    /**
+     * Render the body as the 1962 star: a flickering burst of short rays
+     * @param {string} color Phosphor colour
+     */
+    renderVector(ctx, color) {
+        const { x, y } = this.position;
+        ctx.save();
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        for (let i = 0; i < 12; i++) {
+            const angle = Math.random() * Math.PI * 2;
+            const length = this.radius * (0.3 + Math.random() * 0.5);
+            ctx.moveTo(x, y);
+            ctx.lineTo(x + Math.cos(angle) * length, y + Math.sin(angle) * length);
+        }
+        ctx.stroke();
+        ctx.restore();
+    }
+
     /**
      * Render gravity field particles
      */
@@ -168,3 +239,7 @@ class Sun {
         ctx.restore();
     }
 }
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Sun;
+}
@@ -0,0 +1,269 @@
+/**
+ * TouchControls.js
+ * On-screen virtual controls for touch devices: a rotation/thrust stick and
+ * action buttons per player, multi-touch (two players can share a tablet),
+ * plus taps outside the controls for menu navigation
+ */
+
+class TouchControls {
+    /**
+     * @param {HTMLCanvasElement} canvas Canvas the controls are drawn over
+     */
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.enabled = false; // Shown once the device has been touched
+        this.deadzone = 0.2; // Stick deflection ignored around the centre
+
+        this.layouts = []; // Per-player controls on screen
+        this.touches = new Map(); // touch identifier -> {layout, control, x, y}
+        this.taps = []; // Touches that started outside the controls ({x, y} in canvas pixels)
+
+        const options = { passive: false }; // preventDefault stops emulated mouse events and scrolling
+        canvas.addEventListener('touchstart', (e) => this.onTouchStart(e), options);
+        canvas.addEventListener('touchmove', (e) => this.onTouchMove(e), options);
+        canvas.addEventListener('touchend', (e) => this.onTouchEnd(e), options);
+        canvas.addEventListener('touchcancel', (e) => this.onTouchEnd(e), options);
+    }
+
+    /**
+     * Lay out controls for the players flown from this device
+     * One player gets the whole bottom edge; with two, player 1 (blue) gets
+     * the right half and player 2 (pink) the left, matching their ship panels.
+     * @param {Array<number>} players Player indices (empty hides the controls)
+     */
+    setPlayers(players) {
+        const { width, height } = this.canvas;
+        this.touches.clear();
+
+        if (players.length === 1) {
+            this.layouts = [TouchControls.createLayout(players[0], width, height, 'left', 'right', 1.15)];
+        } else {
+            this.layouts = players.map(player => {
+                const side = player === 0 ? 'right' : 'left';
+                return TouchControls.createLayout(player, width, height, side, side, 1);
+            });
+        }
+    }
+
+    /**
+     * Build one player's stick and buttons
+     * Offsets are measured from the side's outer edge so the two halves mirror each other.
+     * @param {string} stickSide Screen edge the stick hugs ('left' or 'right')
+     * @param {string} buttonSide Screen edge the buttons hug
+     * @param {number} scale Control size multiplier
+     */
+    static createLayout(player, width, height, stickSide, buttonSide, scale) {
+        const place = (side, dx, dy, radius) => ({
+            x: side === 'left' ? dx * scale : width - dx * scale,
+            y: height - dy * scale,
+            radius: radius * scale
+        });
+        // Button offsets: spread out along their own edge, or clustered next to the stick
+        const offsets = stickSide !== buttonSide
+            ? { shoot: [80, 90, 38], thrust: [185, 60, 34], shield: [80, 195, 30], hyperspace: [175, 165, 30], cycleWeapon: [265, 120, 26] }
+            : { shoot: [300, 110, 38], thrust: [215, 60, 34], shield: [60, 210, 30], hyperspace: [150, 200, 30], cycleWeapon: [245, 190, 26] };
+        const labels = { shoot: 'FIRE', thrust: 'THRUST', shield: 'SHIELD', hyperspace: 'HYPER', cycleWeapon: 'WPN' };
+
+        return {
+            player,
+            stick: place(stickSide, 90, 90, 60),
+            buttons: Object.keys(labels).map(action =>
+                Object.assign({ action, label: labels[action] }, place(buttonSide, ...offsets[action])))
+        };
+    }
+
+    /**
+     * Convert a touch to canvas pixels (the canvas may be scaled by CSS)
+     */
+    getCanvasPoint(touch) {
+        const rect = this.canvas.getBoundingClientRect();
+        return {
+            x: (touch.clientX - rect.left) * this.canvas.width / rect.width,
+            y: (touch.clientY - rect.top) * this.canvas.height / rect.height
+        };
+    }
+
+    /**
+     * Find the control under a point
+     * @returns {Object|null} {layout, control} or null
+     */
+    hitTest(point) {
+        for (const layout of this.layouts) {
+            for (const control of [layout.stick, ...layout.buttons]) {
+                // Generous hit area: fingers are bigger than the drawn circles
+                const reach = control.radius * (control === layout.stick ? 1.6 : 1.25);
+                if (Math.hypot(point.x - control.x, point.y - control.y) <= reach) {
+                    return { layout, control };
+                }
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Finger down: grab a control, or record a tap
+     */
+    onTouchStart(event) {
+        event.preventDefault();
+        this.enabled = true;
+        for (const touch of Array.from(event.changedTouches)) {
+            const point = this.getCanvasPoint(touch);
+            const hit = this.hitTest(point);
+            if (hit) {
+                this.touches.set(touch.identifier, { layout: hit.layout, control: hit.control, x: point.x, y: point.y });
+            } else {
+                this.taps.push(point);
+            }
+        }
+    }
+
+    /**
+     * Finger moved: update the stick position
+     */
+    onTouchMove(event) {
+        event.preventDefault();
+        for (const touch of Array.from(event.changedTouches)) {
+            const tracked = this.touches.get(touch.identifier);
+            if (tracked) {
+                const point = this.getCanvasPoint(touch);
+                tracked.x = point.x;
+                tracked.y = point.y;
+            }
+        }
+    }
+
+    /**
+     * Finger lifted (or cancelled): release its control
+     */
+    onTouchEnd(event) {
+        event.preventDefault();
+        for (const touch of Array.from(event.changedTouches)) {
+            this.touches.delete(touch.identifier);
+        }
+    }
+
+    /**
+     * Get and clear the taps since the last call
+     */
+    consumeTaps() {
+        const taps = this.taps;
+        this.taps = [];
+        return taps;
+    }
+
+    /**
+     * Check if any finger is on a player's controls
+     */
+    isActive(player) {
+        for (const tracked of this.touches.values()) {
+            if (tracked.layout.player === player) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Stick deflection (-1..1 on each axis, clamped to the stick radius)
+     */
+    getStickVector(layout) {
+        for (const tracked of this.touches.values()) {
+            if (tracked.layout === layout && tracked.control === layout.stick) {
+                let dx = (tracked.x - layout.stick.x) / layout.stick.radius;
+                let dy = (tracked.y - layout.stick.y) / layout.stick.radius;
+                const length = Math.hypot(dx, dy);
+                if (length > 1) {
+                    dx /= length;
+                    dy /= length;
+                }
+                return { x: dx, y: dy };
+            }
+        }
+        return { x: 0, y: 0 };
+    }
+
+    /**
+     * Check if a button is held
+     */
+    isButtonHeld(layout, action) {
+        for (const tracked of this.touches.values()) {
+            if (tracked.layout === layout && tracked.control.action === action) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Get input state for a player
+     * Stick left/right rotates and pushing it up thrusts, both scaled by deflection.
+     */
+    getInput(player) {
+        const layout = this.layouts.find(l => l.player === player);
+        const input = {
+            rotateLeft: false, rotateRight: false, thrust: false,
+            shoot: false, hyperspace: false, shield: false, cycleWeapon: false
+        };
+        if (!layout) return input;
+
+        const stick = this.getStickVector(layout);
+        const rotate = Math.abs(stick.x) > this.deadzone ? (Math.abs(stick.x) - this.deadzone) / (1 - this.deadzone) : 0;
+        let thrust = -stick.y > this.deadzone ? (-stick.y - this.deadzone) / (1 - this.deadzone) : 0;
+        if (this.isButtonHeld(layout, 'thrust')) thrust = 1;
+
+        // Amounts are quantized so replays and online peers reproduce them exactly
+        input.rotateLeft = rotate > 0 && stick.x < 0;
+        input.rotateRight = rotate > 0 && stick.x > 0;
+        input.rotateAmount = Replay.quantizeAmount(rotate);
+        input.thrust = thrust > 0;
+        input.thrustAmount = Replay.quantizeAmount(thrust);
+        input.shoot = this.isButtonHeld(layout, 'shoot');
+        input.hyperspace = this.isButtonHeld(layout, 'hyperspace');
+        input.shield = this.isButtonHeld(layout, 'shield');
+        input.cycleWeapon = this.isButtonHeld(layout, 'cycleWeapon');
+        return input;
+    }
+
+    /**
+     * Draw the controls (only once the device has been touched)
+     * @param {Array<string>} colors Ship colour per player
+     */
+    render(ctx, colors) {
+        if (!this.enabled) return;
+
+        ctx.save();
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.lineWidth = 2;
+
+        for (const layout of this.layouts) {
+            const color = colors[layout.player];
+
+            // Stick: base ring and knob
+            const stick = layout.stick;
+            const deflection = this.getStickVector(layout);
+            ctx.globalAlpha = 0.35;
+            ctx.strokeStyle = color;
+            ctx.beginPath();
+            ctx.arc(stick.x, stick.y, stick.radius, 0, Math.PI * 2);
+            ctx.stroke();
+            ctx.globalAlpha = 0.5;
+            ctx.fillStyle = color;
+            ctx.beginPath();
+            ctx.arc(stick.x + deflection.x * stick.radius, stick.y + deflection.y * stick.radius, stick.radius * 0.4, 0, Math.PI * 2);
+            ctx.fill();
+
+            // Buttons
+            ctx.font = 'bold 11px monospace';
+            for (const button of layout.buttons) {
+                const held = this.isButtonHeld(layout, button.action);
+                ctx.globalAlpha = held ? 0.6 : 0.25;
+                ctx.fillStyle = color;
+                ctx.beginPath();
+                ctx.arc(button.x, button.y, button.radius, 0, Math.PI * 2);
+                ctx.fill();
+                ctx.globalAlpha = 0.8;
+                ctx.fillStyle = '#FFFFFF';
+                ctx.fillText(button.label, button.x, button.y);
+            }
+        }
+
+        ctx.restore();
+    }
+}
@@ -0,0 +1,105 @@
+/**
+ * Tournament.js
+ * Single-elimination bracket for 4-16 named players. Every pairing is a Series; when the player
+ * count isn't a power of two the top seeds get byes into the second round.
+ */
+
+class Tournament {
+    /**
+     * @param {Object[]} players {name, human} in seed order (human false = the computer flies)
+     * @param {number} bestOf Games per pairing (see Series.LENGTHS)
+     */
+    constructor(players, bestOf = 1) {
+        this.players = players;
+        this.bestOf = bestOf;
+
+        // rounds[r][m] = {players: [index, index] (null = bye or not decided yet), winner, score}
+        let size = 2;
+        while (size < players.length) size *= 2;
+        const seeds = Tournament.getSeedOrder(size);
+        this.rounds = [];
+        for (let matches = size / 2; matches >= 1; matches /= 2) {
+            this.rounds.push([...Array(matches)].map(() => ({ players: [null, null], winner: null, score: '' })));
+        }
+        this.rounds[0].forEach((match, m) => {
+            match.players = [seeds[m * 2], seeds[m * 2 + 1]].map(seed => (seed < players.length ? seed : null));
+        });
+
+        // Byes: the seeded player goes straight through
+        this.rounds[0].forEach((match, m) => {
+            const present = match.players.filter(player => player !== null);
+            if (present.length === 1) this.setWinner(0, m, present[0], 'BYE');
+        });
+    }
+
+    /**
+     * Seed numbers (0-based) down a bracket of a power-of-two size, so the top seeds meet last
+     * (size 4: 0 3 1 2; size 8: 0 7 3 4 1 6 2 5)
+     */
+    static getSeedOrder(size) {
+        let order = [0];
+        while (order.length < size) {
+            const count = order.length * 2;
+            order = order.flatMap(seed => [seed, count - 1 - seed]);
+        }
+        return order;
+    }
+
+    /**
+     * Next pairing to play: {round, index, match}, or null when the tournament is over
+     */
+    getNextMatch() {
+        for (let round = 0; round < this.rounds.length; round++) {
+            const index = this.rounds[round].findIndex(match => match.winner === null &&
+                match.players[0] !== null && match.players[1] !== null);
+            if (index !== -1) return { round, index, match: this.rounds[round][index] };
+        }
+        return null;
+    }
+
+    /**
+     * Record the result of a pairing and move the winner on to the next round
+     * @param {number} winner Player index
+     * @param {string} score Series result, e.g. '2-1'
+     */
+    setWinner(round, index, winner, score) {
+        const match = this.rounds[round][index];
+        match.winner = winner;
+        match.score = score;
+        if (round + 1 < this.rounds.length) {
+            this.rounds[round + 1][Math.floor(index / 2)].players[index % 2] = winner;
+        }
+    }
+
+    /**
+     * Check whether the final has been played
+     */
+    isOver() {
+        return this.getChampion() !== null;
+    }
+
+    /**
+     * Index of the player who won the final, or null
+     */
+    getChampion() {
+        return this.rounds[this.rounds.length - 1][0].winner;
+    }
+
+    /**
+     * Name of a round counted from the final backwards
+     */
+    getRoundName(round) {
+        const fromFinal = this.rounds.length - 1 - round;
+        return Tournament.ROUND_NAMES[fromFinal] || `ROUND ${round + 1}`;
+    }
+}
+
+// Names of the last rounds (0 = final)
+Tournament.ROUND_NAMES = ['FINAL', 'SEMI-FINALS', 'QUARTER-FINALS'];
+
+Tournament.MIN_PLAYERS = 4;
+Tournament.MAX_PLAYERS = 16;
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Tournament;
+}
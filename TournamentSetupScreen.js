@@ -0,0 +1,139 @@
+/**
+ * TournamentSetupScreen.js
+ * Setup screen for a tournament: player count, games per pairing and each player's name and pilot
+ */
+
+class TournamentSetupScreen {
+    /**
+     * @param {Object} setup Edited in place: {playerCount, bestOf, players: [{name, human}] (Tournament.MAX_PLAYERS entries)}
+     * @param {Object} options getDifficulty() / cycleDifficulty() for the computer row
+     */
+    constructor(setup, options) {
+        this.setup = setup;
+        this.options = options;
+        this.row = 0; // See TournamentSetupScreen.ROWS, then one row per player
+    }
+
+    /**
+     * Number of selectable rows
+     */
+    get rowCount() {
+        return TournamentSetupScreen.ROWS.length + this.setup.playerCount;
+    }
+
+    /**
+     * Player shown on a row, or -1 for the option rows
+     */
+    getPlayer(row) {
+        return row >= TournamentSetupScreen.ROWS.length ? row - TournamentSetupScreen.ROWS.length : -1;
+    }
+
+    /**
+     * Move the selection up or down
+     */
+    moveSelection(direction) {
+        this.row = (this.row + direction + this.rowCount) % this.rowCount;
+    }
+
+    /**
+     * Change the selected row's value (direction -1 or 1)
+     */
+    changeValue(direction) {
+        const setup = this.setup;
+        const option = TournamentSetupScreen.ROWS[this.row];
+        if (option === 'players') {
+            setup.playerCount = Math.max(Tournament.MIN_PLAYERS, Math.min(Tournament.MAX_PLAYERS, setup.playerCount + direction));
+            this.row = Math.min(this.row, this.rowCount - 1);
+        } else if (option === 'bestOf') {
+            const lengths = Series.LENGTHS;
+            setup.bestOf = lengths[(lengths.indexOf(setup.bestOf) + direction + lengths.length) % lengths.length];
+        } else if (option === 'difficulty') {
+            this.options.cycleDifficulty();
+        } else {
+            const player = setup.players[this.getPlayer(this.row)];
+            player.human = !player.human;
+        }
+    }
+
+    /**
+     * Rename a player (names are upper case and short enough for the bracket)
+     */
+    rename(index, name) {
+        const trimmed = name.trim().toUpperCase().slice(0, TournamentSetupScreen.MAX_NAME_LENGTH);
+        if (trimmed) this.setup.players[index].name = trimmed;
+    }
+
+    /**
+     * Players entered, in seed order
+     */
+    getPlayers() {
+        return this.setup.players.slice(0, this.setup.playerCount).map(player => Object.assign({}, player));
+    }
+
+    /**
+     * Text baseline and left edge of a row on screen (players sit in two columns of eight)
+     */
+    getRowPosition(row, canvasWidth) {
+        const player = this.getPlayer(row);
+        if (player === -1) return { x: canvasWidth / 2 - 260, y: 160 + row * 34, width: 520 };
+        return {
+            x: player < 8 ? canvasWidth / 2 - 370 : canvasWidth / 2 + 10,
+            y: 290 + (player % 8) * 34,
+            width: 360
+        };
+    }
+
+    /**
+     * Render the setup table
+     */
+    render(ctx, canvasWidth, canvasHeight) {
+        const setup = this.setup;
+        const centerX = canvasWidth / 2;
+
+        ctx.save();
+        ctx.textAlign = 'center';
+        ctx.font = 'bold 48px monospace';
+        ctx.fillStyle = '#FFFFFF';
+        ctx.fillText('TOURNAMENT', centerX, 100);
+
+        // Selection highlight
+        const selected = this.getRowPosition(this.row, canvasWidth);
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.15)';
+        ctx.fillRect(selected.x, selected.y - 24, selected.width, 32);
+
+        ctx.font = 'bold 24px monospace';
+        ctx.fillStyle = '#CCCCCC';
+        ctx.fillText(`Players: \u25C0 ${setup.playerCount} \u25B6`, centerX, this.getRowPosition(0, canvasWidth).y);
+        ctx.fillText(`Games per match: ${setup.bestOf > 1 ? `BEST OF ${setup.bestOf}` : 'SINGLE'}`, centerX,
+            this.getRowPosition(1, canvasWidth).y);
+        ctx.fillText(`Computer: ${this.options.getDifficulty().toUpperCase()}`, centerX, this.getRowPosition(2, canvasWidth).y);
+
+        // One row per player: seed, name and who flies
+        ctx.font = '20px monospace';
+        for (let player = 0; player < setup.playerCount; player++) {
+            const position = this.getRowPosition(player + TournamentSetupScreen.ROWS.length, canvasWidth);
+            ctx.fillStyle = setup.players[player].human ? '#FFFFFF' : '#888888';
+            ctx.textAlign = 'left';
+            ctx.fillText(`${String(player + 1).padStart(2)}. ${setup.players[player].name}`, position.x + 10, position.y);
+            ctx.textAlign = 'right';
+            ctx.fillText(setup.players[player].human ? 'HUMAN' : 'COMPUTER', position.x + position.width - 10, position.y);
+        }
+
+        // Help
+        ctx.textAlign = 'center';
+        ctx.font = '16px monospace';
+        ctx.fillStyle = '#888888';
+        ctx.fillText('Humans take turns at the keyboard: the first human in a match is P1, the second P2', centerX, canvasHeight - 120);
+        ctx.fillText('\u2191/\u2193=Select  \u2190/\u2192=Change  N=Rename player', centerX, canvasHeight - 90);
+        ctx.font = 'bold 22px monospace';
+        ctx.fillStyle = '#FFFFFF';
+        ctx.fillText('Enter: Start      Esc: Back', centerX, canvasHeight - 60);
+
+        ctx.restore();
+    }
+}
+
+TournamentSetupScreen.MAX_NAME_LENGTH = 12;
+
+// Option rows above the players, in screen order
+TournamentSetupScreen.ROWS = ['players', 'bestOf', 'difficulty'];
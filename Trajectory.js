@@ -0,0 +1,97 @@
+/**
+ * Trajectory.js
+ * Forward simulation of a coasting ship or a bullet fired now, for the flight aid overlay
+ * Uses the real Ship/Bullet update rules and the world's gravity, so the preview matches play.
+ */
+
+class Trajectory {
+    /**
+     * Predict where a ship drifts without further input
+     * @returns {Object} {points: positions per step, impact: where it would hit a sun/planet or null}
+     */
+    static predictShip(world, ship, steps = Trajectory.SHIP_STEPS) {
+        const ghost = new Ship(ship.position.x, ship.position.y, ship.angle, ship.id, ship.color);
+        ghost.velocity.copy(ship.velocity);
+        ghost.mass = ship.mass;
+        return Trajectory.simulate(world, ghost, steps);
+    }
+
+    /**
+     * Predict the path of the (central) projectile the ship's weapon would fire right now
+     * Only gravity is simulated, so this doesn't follow a homing torpedo.
+     */
+    static predictBullet(world, ship) {
+        const bullet = Weapon.createProjectiles(ship)[0];
+        return Trajectory.simulate(world, bullet, bullet.lifetime);
+    }
+
+    /**
+     * Step a throwaway ship or bullet through the world's gravity (if it feels any)
+     * Orbiting bodies are moved to their future positions and put back afterwards.
+     */
+    static simulate(world, object, steps) {
+        const saved = world.bodies.map(body => body.position.clone());
+        const points = [];
+        let impact = null;
+
+        for (let i = 0; i < steps; i++) {
+            for (const body of world.bodies) {
+                body.update(world.frame + i);
+            }
+            if (world.feelsGravity(object)) {
+                const field = world.getGravityField(object);
+                world.integrator.kick(object, field);
+                world.integrator.move(object, field, () => object.update(world.boundary));
+            } else {
+                object.update(world.boundary);
+            }
+            if (object.active === false) break; // Bullet expired or left the arena
+            if (object instanceof Ship && world.boundary.isLost(object, 'ship')) break; // Flew out of an open arena
+
+            points.push(object.position.clone());
+            if (world.hitsBody(object.position, object.radius)) {
+                impact = object.position.clone();
+                break;
+            }
+        }
+
+        world.bodies.forEach((body, i) => body.position.copy(saved[i]));
+        return { points, impact };
+    }
+
+    /**
+     * Draw a predicted path as a fading dotted line, with a marker at a sun/planet impact
+     * @param {number} spacing Steps between dots
+     */
+    static render(ctx, path, color, spacing = 4, size = 1.5) {
+        const { points, impact } = path;
+        ctx.save();
+        ctx.fillStyle = color;
+        for (let i = spacing - 1; i < points.length; i += spacing) {
+            ctx.globalAlpha = 0.8 * (1 - i / points.length);
+            ctx.beginPath();
+            ctx.arc(points[i].x, points[i].y, size, 0, Math.PI * 2);
+            ctx.fill();
+        }
+
+        if (impact) {
+            // Cross where the path ends in a sun or planet
+            ctx.globalAlpha = 0.9;
+            ctx.strokeStyle = '#FF3030';
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.moveTo(impact.x - 6, impact.y - 6);
+            ctx.lineTo(impact.x + 6, impact.y + 6);
+            ctx.moveTo(impact.x + 6, impact.y - 6);
+            ctx.lineTo(impact.x - 6, impact.y + 6);
+            ctx.stroke();
+        }
+        ctx.restore();
+    }
+}
+
+Trajectory.SHIP_STEPS = 180; // 3 seconds ahead
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Trajectory;
+}
@@ -72,6 +72,13 @@ class Vector2 {
         return this;
     }
 
+    /**
+     * Dot product with another vector
+     */
+    dot(v) {
+        return this.x * v.x + this.y * v.y;
+    }
+
     /**
      * Get the distance to another vector
      */
@@ -136,6 +143,22 @@ class Vector2 {
         return new Vector2(v1.x + v2.x, v1.y + v2.y);
     }
 
+    /**
+     * Static method to linearly interpolate between two vectors (t = 0..1)
+     */
+    static lerp(v1, v2, t) {
+        return new Vector2(v1.x + (v2.x - v1.x) * t, v1.y + (v2.y - v1.y) * t);
+    }
+
+    /**
+     * Render position of a moving object between its previous and current step. A jump longer
+     * than maxStep (wrapping round the arena, hyperspace, respawn) shows the new position instead
+     * of sliding across the screen.
+     */
+    static interpolateStep(previous, current, t, maxStep = Vector2.MAX_INTERPOLATED_STEP) {
+        return previous.distanceTo(current) > maxStep ? current.clone() : Vector2.lerp(previous, current, t);
+    }
+
     /**
      * Static method to multiply a vector by a scalar
      */
@@ -143,3 +166,10 @@ class Vector2 {
         return new Vector2(v.x * scalar, v.y * scalar);
     }
 }
+
+// Longest move between two steps that rendering still interpolates (px)
+Vector2.MAX_INTERPOLATED_STEP = 50;
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Vector2;
+}
@@ -0,0 +1,73 @@
+/**
+ * Weapon.js
+ * Ship weapons: what each one fires and how long it takes to reload
+ * Homing and mine detonation need the whole world, so World runs them (see World.steerTorpedo,
+ * World.isMineTriggered and World.detonateMine).
+ */
+
+class Weapon {
+    /**
+     * Create the projectiles a ship's selected weapon fires (no cooldown check)
+     * @returns {Bullet[]} Central/first projectile first
+     */
+    static createProjectiles(ship) {
+        const projectiles = Weapon.createShots(ship);
+
+        // Fast shots: the speed a shot leaves the ship with (mines are laid at rest)
+        if (ship.hasEffect('fastBullets')) {
+            const extra = PowerUp.KINDS.fastBullets.speedScale - 1;
+            for (const projectile of projectiles) {
+                if (projectile.kind === 'mine') continue;
+                projectile.velocity.add(Vector2.multiply(Vector2.subtract(projectile.velocity, ship.velocity), extra));
+            }
+        }
+        return projectiles;
+    }
+
+    /**
+     * The selected weapon's projectiles at their standard speed
+     */
+    static createShots(ship) {
+        const weapon = Weapon.TYPES[ship.weapon];
+        const noseX = ship.position.x + Math.cos(ship.angle) * ship.radius;
+        const noseY = ship.position.y + Math.sin(ship.angle) * ship.radius;
+
+        if (ship.weapon === 'spread') {
+            const shots = [];
+            for (let i = 0; i < weapon.shots; i++) {
+                // 0, +1, -1, +2, -2 ... steps of the fan angle
+                const step = Math.ceil(i / 2) * (i % 2 ? 1 : -1);
+                shots.push(new Bullet(noseX, noseY, ship.angle + step * weapon.angle, ship.velocity, ship.id, ship.color,
+                    { speed: ship.bulletSpeed, lifetime: weapon.lifetime }));
+            }
+            return shots;
+        }
+        if (ship.weapon === 'torpedo') {
+            return [new Bullet(noseX, noseY, ship.angle, ship.velocity, ship.id, ship.color,
+                { kind: 'torpedo', speed: weapon.speed, lifetime: weapon.lifetime, radius: 3 })];
+        }
+        if (ship.weapon === 'mine') {
+            // Dropped behind the ship, at rest: only gravity moves it
+            const tailX = ship.position.x - Math.cos(ship.angle) * ship.radius * 1.5;
+            const tailY = ship.position.y - Math.sin(ship.angle) * ship.radius * 1.5;
+            return [new Bullet(tailX, tailY, ship.angle, new Vector2(0, 0), ship.id, ship.color,
+                { kind: 'mine', speed: 0, lifetime: weapon.lifetime, radius: 5 })];
+        }
+        return [ship.createBullet()];
+    }
+}
+
+// Weapons in cycling order: cooldown in steps between shots, plus each weapon's own tuning
+Weapon.TYPES = {
+    cannon: { name: 'CANNON', cooldown: 30 },
+    // Fan of short-lived shots
+    spread: { name: 'SPREAD', cooldown: 45, shots: 3, angle: 0.2, lifetime: 90 },
+    // Slow, turns towards the nearest enemy by up to turnRate radians per step
+    torpedo: { name: 'TORPEDO', cooldown: 90, speed: 2.5, lifetime: 360, turnRate: 0.04 },
+    // Drifts under gravity; once armed, blows up when an enemy comes within triggerRadius
+    mine: { name: 'MINE', cooldown: 120, lifetime: 1200, armDelay: 60, triggerRadius: 45, blastRadius: 60 }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Weapon;
+}
@@ -0,0 +1,1115 @@
+/**
+ * World.js
+ * Headless simulation state and physics step (no canvas or DOM access)
+ */
+
+class World {
+    constructor(options = {}) {
+        // Arena size
+        this.width = options.width || 800;
+        this.height = options.height || 800;
+
+        // Circular play area (like original Spacewar!)
+        this.playAreaRadius = this.height / 2 - 10; // Full height minus small margin
+        this.centerX = this.width / 2;
+        this.centerY = this.height / 2;
+
+        // Ruleset: a key of World.RULESETS. The 1962 rules replace the modern extras below
+        // with the original's (see World.RULESETS), so they override those options.
+        this.ruleset = Object.prototype.hasOwnProperty.call(World.RULESETS, options.ruleset) ? options.ruleset : 'modern';
+        const classicRules = this.ruleset === '1962';
+
+        // Match options
+        this.hazardsEnabled = !!options.hazardsEnabled && !classicRules;
+        this.fuelEnabled = !!options.fuelEnabled && !classicRules;
+        this.shipCount = Math.max(2, Math.min(World.MAX_SHIPS, options.shipCount || 2));
+        this.arena = Object.prototype.hasOwnProperty.call(World.ARENAS, options.arena) && !classicRules ? options.arena : 'classic';
+        // Power-ups: true for the standard spawn weights, or {kind: weight} over them (see PowerUp.KINDS).
+        // Fuel canisters come with the fuel option either way.
+        this.powerUpWeights = options.powerUps && !classicRules
+            ? Object.assign(PowerUp.getWeights(), typeof options.powerUps === 'object' ? options.powerUps : {})
+            : null;
+        const weights = this.powerUpWeights || PowerUp.getWeights();
+        this.powerUpTable = Object.keys(PowerUp.KINDS)
+            .filter(kind => (kind === 'fuel' ? this.fuelEnabled : this.powerUpWeights !== null) && weights[kind] > 0)
+            .map(kind => ({ kind, weight: weights[kind] })); // What can spawn, with spawn weights
+        // What the arena edge does to ships, shots, asteroids and power-ups (see Boundary.TYPES)
+        this.boundary = new Boundary(classicRules ? 'toroidal' : options.boundary, this.width, this.height);
+        // Ships and bullets always feel gravity; this adds asteroids, power-ups and particles
+        this.objectGravity = !!options.objectGravity && !classicRules;
+        // The original's torpedoes fly straight
+        this.bulletGravity = !classicRules;
+        // Hyperspace malfunction model (key of World.MALFUNCTIONS). Jumps go to a safe spot after a
+        // visible delay; safeHyperspace false keeps the old instant jump for older replays.
+        this.hyperspaceMalfunction = World.MALFUNCTIONS[options.hyperspaceMalfunction] ? options.hyperspaceMalfunction : 'fixed';
+        this.safeHyperspace = options.safeHyperspace !== undefined ? !!options.safeHyperspace : true;
+        // Contact rules: a key of World.COLLISIONS or a custom {lethalSpeed, restitution}
+        this.collisions = typeof options.collisions === 'object' && options.collisions !== null && !classicRules
+            ? Object.assign({}, World.COLLISIONS.classic, { name: 'CUSTOM' }, options.collisions)
+            : World.COLLISIONS[classicRules ? 'classic' : options.collisions] || World.COLLISIONS.classic;
+
+        // Teams: team index (0 to World.MAX_TEAMS - 1) per ship, or null for every ship on its own.
+        // Friendly fire lets bullets hit teammates; shared lives pool each team's lives.
+        this.teams = Array.isArray(options.teams) ? options.teams.slice(0, this.shipCount) : null;
+        this.friendlyFire = options.friendlyFire !== undefined ? !!options.friendlyFire : true;
+        this.sharedLives = !!options.sharedLives && this.teams !== null;
+
+        // Duels play in rounds: a kill sends the survivor back to its start and clears
+        // all bullets. With more ships that would yank everyone around, so it's off by default.
+        this.roundReset = options.roundReset !== undefined ? !!options.roundReset : this.shipCount === 2;
+
+        // Gameplay random source; reset() rewinds it so a seed replays the same match
+        this.rng = new Random(options.seed);
+        this.seed = this.rng.seed;
+
+        // Optional sound sink (anything with play(name)), null when headless
+        this.soundManager = options.soundManager || null;
+
+        // Lives, gravity, sun, speeds and reload: a key of MatchRules.PRESETS or custom values (see MatchRules)
+        this.rules = MatchRules.resolve(options.rules);
+
+        // Physics constants
+        this.G = this.rules.gravity; // Gravitational constant
+        this.integrator = new Integrator(options.integrator);
+
+        // Game objects: the arena's gravitating bodies (the classic arena has a single central sun).
+        // The rules size every star relative to the classic sun; planets keep theirs.
+        const classicSun = MatchRules.PRESETS.classic;
+        const massScale = this.rules.sunMass / classicSun.sunMass;
+        const radiusScale = this.rules.sunRadius / classicSun.sunRadius;
+        this.bodies = World.ARENAS[this.arena].bodies.map(body => new Sun(
+            this.centerX + (body.x || 0),
+            this.centerY + (body.y || 0),
+            body.kind === 'planet' ? body.mass : body.mass * massScale,
+            body.kind === 'planet' ? body.radius : body.radius * radiusScale,
+            Object.assign({}, body, {
+                orbit: body.orbit && Object.assign({ centerX: this.centerX, centerY: this.centerY }, body.orbit)
+            })
+        ));
+
+        // Ships spread evenly around the sun, facing it (ship 1 blue on the right, ship 2 pink on the left).
+        // Teammates start next to each other and share their team's colour.
+        const teamOf = (i) => (this.teams ? this.teams[i] : i);
+        const spawnOrder = [...Array(this.shipCount).keys()].sort((a, b) => (teamOf(a) - teamOf(b)) || (a - b));
+        this.ships = [];
+        for (let i = 0; i < this.shipCount; i++) {
+            const spawn = this.getSpawnPoint(spawnOrder.indexOf(i));
+            const ship = new Ship(spawn.x, spawn.y, spawn.angle, i + 1, World.SHIP_COLORS[teamOf(i)]);
+            ship.team = teamOf(i);
+            ship.hyperspaceRisk = World.MALFUNCTIONS[this.hyperspaceMalfunction].risk;
+            ship.hyperspaceRiskStep = World.MALFUNCTIONS[this.hyperspaceMalfunction].riskStep;
+            ship.maxSpeed = this.rules.maxSpeed;
+            ship.bulletSpeed = this.rules.bulletSpeed;
+            ship.bulletLifetime = this.rules.bulletLifetime;
+            ship.shootCooldownMax = this.rules.shootCooldown;
+            if (classicRules) this.applyClassicRules(ship, i);
+            this.ships.push(ship);
+        }
+
+        this.bullets = [];
+        this.asteroids = [];
+        this.powerUps = []; // Pickups drifting in the arena (fuel canisters included)
+        this.asteroidSpawnTimer = 0;
+        this.debris = []; // For asteroid fragments
+
+        // Number of simulation steps since reset()
+        this.frame = 0;
+
+        // Shots, hits, deaths by cause ... per ship (see MatchStats)
+        this.stats = new MatchStats(this.ships);
+
+        // Infalling background stars (cosmetic, so they keep using Math.random)
+        this.infallingStars = [];
+        this.initInfallingStars();
+    }
+
+    /**
+     * Start position and heading for a ship slot
+     * Rounded so the two-ship layout lands exactly on the classic +/-250 px positions
+     */
+    getSpawnPoint(index) {
+        const spawnAngle = (index / this.shipCount) * Math.PI * 2;
+        const distance = 250;
+        return {
+            x: this.centerX + Math.round(Math.cos(spawnAngle) * distance * 100) / 100,
+            y: this.centerY + Math.round(Math.sin(spawnAngle) * distance * 100) / 100,
+            angle: (spawnAngle + Math.PI) % (Math.PI * 2)
+        };
+    }
+
+    /**
+     * Fit a ship out the 1962 way: Needle or Wedge, no shield, a torpedo magazine and a hyperspace
+     * drive that gets less reliable with each jump
+     */
+    applyClassicRules(ship, index) {
+        const rules = World.RULESETS['1962'];
+        ship.outline = index % 2 === 0 ? 'needle' : 'wedge';
+        ship.shieldEnabled = false;
+        ship.maxTorpedoes = rules.torpedoes;
+        ship.torpedoes = rules.torpedoes;
+        ship.maxHyperspaceCharges = rules.hyperspaceCharges;
+        ship.hyperspaceCharges = rules.hyperspaceCharges;
+        ship.hyperspaceRisk = rules.hyperspaceRisk;
+        ship.hyperspaceRiskStep = rules.hyperspaceRiskStep;
+    }
+
+    /**
+     * Get a ship by id (ids start at 1)
+     */
+    getShip(id) {
+        return this.ships[id - 1] || null;
+    }
+
+    /**
+     * Ships on other teams than a ship
+     */
+    getEnemies(ship) {
+        return this.ships.filter(other => other.team !== ship.team);
+    }
+
+    /**
+     * Reset ships and clear the field for a new match
+     */
+    reset() {
+        for (const ship of this.ships) {
+            // A shared pool holds every teammate's lives
+            const lives = this.rules.lives;
+            ship.lives = this.sharedLives ? lives * this.ships.filter(other => other.team === ship.team).length : lives;
+            ship.position.copy(ship.startPosition);
+            ship.velocity.set(0, 0);
+            ship.angle = ship.startAngle;
+            ship.active = true;
+            ship.respawnTimer = 0;
+            ship.thrusting = false;
+            // Fuel is limited per life with fuel pickups on, and always under the 1962 rules
+            ship.fuelEnabled = this.fuelEnabled || this.ruleset === '1962';
+            ship.fuel = ship.maxFuel;
+            ship.torpedoes = ship.maxTorpedoes;
+            ship.hyperspaceCharges = ship.maxHyperspaceCharges;
+            ship.hyperspaceJumps = 0;
+            ship.kills = 0;
+            ship.score = 0;
+            ship.weapon = 'cannon';
+            ship.weaponSwitchHeld = false;
+            ship.shootCooldown = 0;
+            ship.effects = {};
+            ship.eliminatedAt = null;
+        }
+
+        // Clear
+        this.bullets = [];
+        this.asteroids = [];
+        this.powerUps = [];
+        this.debris = [];
+        this.asteroidSpawnTimer = 0;
+        this.frame = 0;
+        this.stats = new MatchStats(this.ships);
+        this.rng.reset();
+        for (const body of this.bodies) {
+            body.update(0);
+        }
+    }
+
+    /**
+     * Total gravitational force of all bodies on an object
+     */
+    getGravity(position, mass) {
+        const force = new Vector2(0, 0);
+        for (const body of this.bodies) {
+            force.add(body.getGravitationalForce(position, mass, this.G));
+        }
+        return force;
+    }
+
+    /**
+     * Gravitational force on an object as a function of position, for the integrator
+     */
+    getGravityField(object) {
+        return (position) => this.getGravity(position, object.mass);
+    }
+
+    /**
+     * Move an object one step through the bodies' gravity with the match integrator
+     * @param {Function} update The object's own update
+     */
+    moveWithGravity(object, update) {
+        const field = this.getGravityField(object);
+        this.integrator.kick(object, field);
+        this.integrator.move(object, field, update);
+    }
+
+    /**
+     * Check whether gravity moves a ship or projectile (projectiles fly straight under the 1962 rules)
+     */
+    feelsGravity(object) {
+        return this.bulletGravity || !(object instanceof Bullet);
+    }
+
+    /**
+     * Pull cosmetic particles ({x, y, vx, vy, life}) towards the bodies; ones that fall in burn up
+     */
+    applyParticleGravity(particles) {
+        for (const p of particles) {
+            const force = this.getGravity(p, 1); // mass 1, so a = F
+            p.vx += force.x;
+            p.vy += force.y;
+            if (this.hitsBody(p)) {
+                p.life = 0;
+            }
+        }
+    }
+
+    /**
+     * Specific orbital energy of an object (kinetic plus potential, per unit mass).
+     * A coasting ship should keep this constant; how far it wanders shows integrator error.
+     * Inside a body its pull is zero, so the potential there is taken as flat.
+     */
+    getOrbitalEnergy(object) {
+        let potential = 0;
+        for (const body of this.bodies) {
+            const distance = Math.max(body.radius, body.position.distanceTo(object.position));
+            potential -= this.G * body.mass / distance;
+        }
+        return object.velocity.magnitudeSquared() / 2 + potential;
+    }
+
+    /**
+     * Check if a circle overlaps any gravitating body
+     */
+    hitsBody(position, radius = 0) {
+        return this.bodies.some(body => body.isColliding(position, radius));
+    }
+
+    /**
+     * Play a sound if a sound sink is attached
+     */
+    playSound(name) {
+        if (this.soundManager) {
+            this.soundManager.play(name);
+        }
+    }
+
+    /**
+     * Initialize infalling stars
+     */
+    initInfallingStars() {
+        for (let i = 0; i < 20; i++) {
+            this.spawnInfallingStar(true);
+        }
+    }
+
+    /**
+     * Spawn a single infalling star
+     * @param {boolean} randomPos If true, spawn anywhere in play area (for init). If false, spawn at edge.
+     */
+    spawnInfallingStar(randomPos = false) {
+        let x, y;
+        if (randomPos) {
+            // Random position within play area, but not too close to sun
+            const angle = Math.random() * Math.PI * 2;
+            const dist = 100 + Math.random() * (this.playAreaRadius - 100);
+            x = this.centerX + Math.cos(angle) * dist;
+            y = this.centerY + Math.sin(angle) * dist;
+        } else {
+            // Spawn at edge
+            const angle = Math.random() * Math.PI * 2;
+            const dist = this.playAreaRadius - 10;
+            x = this.centerX + Math.cos(angle) * dist;
+            y = this.centerY + Math.sin(angle) * dist;
+        }
+
+        this.infallingStars.push({
+            position: new Vector2(x, y),
+            velocity: new Vector2(0, 0), // Starts with zero velocity, gravity will pull it
+            size: 1 + Math.random() * 2,
+            color: `rgba(255, 255, ${200 + Math.random() * 55}, ${0.5 + Math.random() * 0.5})`
+        });
+    }
+
+    /**
+     * Apply one ship's input for this step
+     */
+    applyInput(ship, input) {
+        ship.thrusting = !!input.thrust;
+
+        // Analog controllers scale rotation and thrust (digital input = full)
+        const rotateAmount = input.rotateAmount !== undefined ? input.rotateAmount : 1;
+        const thrustAmount = input.thrustAmount !== undefined ? input.thrustAmount : 1;
+
+        // Turning and thrust both burn fuel
+        const fuel = ship.fuel;
+        if (input.rotateLeft) ship.rotate(-rotateAmount);
+        if (input.rotateRight) ship.rotate(rotateAmount);
+        if (input.thrust) {
+            // Thrust is applied twice per step; ship tuning relies on it
+            ship.thrust(thrustAmount);
+            ship.thrust(thrustAmount);
+        }
+        this.stats.recordFuel(ship, fuel - ship.fuel);
+        if (input.hyperspace) this.startHyperspace(ship);
+        ship.setShield(input.shield); // Toggle shield
+
+        // Weapon button switches once per press (the 1962 ships only have torpedoes)
+        if (input.cycleWeapon && !ship.weaponSwitchHeld && ship.active && this.ruleset !== '1962') ship.cycleWeapon();
+        ship.weaponSwitchHeld = !!input.cycleWeapon;
+
+        if (input.shoot) {
+            const projectiles = ship.shoot();
+            if (projectiles.length > 0) {
+                this.stats.recordShots(ship, projectiles.length);
+                this.bullets.push(...projectiles);
+                this.playSound('laser');
+            }
+        }
+    }
+
+    /**
+     * Use a ship's hyperspace drive: it explodes on a malfunction, otherwise starts its jump to a safe spot
+     */
+    startHyperspace(ship) {
+        if (!ship.canHyperspace()) return;
+
+        this.stats.recordJump(ship);
+        if (!this.safeHyperspace) {
+            ship.hyperspace(this.soundManager, this.rng);
+            if (!ship.active) this.stats.recordDeath(ship, 'hyperspace');
+            return;
+        }
+
+        if (ship.chargeHyperspace(this.rng)) {
+            this.killShip(ship, null, 'hyperspace');
+            return;
+        }
+        ship.startJump(this.findHyperspaceDestination(ship));
+        this.playSound('hyperspace');
+    }
+
+    /**
+     * Pick where a ship comes out of hyperspace: a random point in the play area, well clear of the
+     * suns and planets and of enemy ships. If no try is clear, the one with the most room wins.
+     */
+    findHyperspaceDestination(ship) {
+        const { bodyClearance, enemyClearance, attempts } = World.HYPERSPACE;
+        const enemies = this.getEnemies(ship).filter(enemy => enemy.active);
+        let best = null;
+        let bestRoom = -Infinity;
+
+        for (let i = 0; i < attempts; i++) {
+            const point = this.boundary.getRandomPoint(this.rng, ship.radius * 2);
+
+            // Room to spare (negative = too close) to the nearest body and the nearest enemy
+            let room = Infinity;
+            for (const body of this.bodies) {
+                const distance = this.boundary.getOffset(point, body.position).magnitude();
+                room = Math.min(room, distance - body.radius - bodyClearance);
+            }
+            for (const enemy of enemies) {
+                const distance = this.boundary.getOffset(point, enemy.position).magnitude();
+                room = Math.min(room, distance - enemyClearance);
+            }
+
+            if (room >= 0) return point;
+            if (room > bestRoom) {
+                best = point;
+                bestRoom = room;
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Advance the simulation by one step
+     * @param {Array<Object>} inputs Input objects in ship order ({rotateLeft, rotateRight, thrust, shoot, hyperspace, shield, cycleWeapon},
+     *   optionally rotateAmount/thrustAmount 0-1 for analog controllers)
+     */
+    step(inputs = []) {
+        const ships = this.ships;
+
+        // Orbiting bodies move first
+        for (const body of this.bodies) {
+            body.update(this.frame);
+        }
+
+        // Remember where things were for render interpolation
+        for (const ship of ships) {
+            ship.previousPosition.copy(ship.position);
+        }
+        for (const bullet of this.bullets) {
+            bullet.previousPosition.copy(bullet.position);
+        }
+
+        for (let i = 0; i < ships.length; i++) {
+            this.applyInput(ships[i], inputs[i] || {});
+        }
+
+        // Apply gravity to ships (only the classic integrator kicks here, see Integrator)
+        for (const ship of ships) {
+            this.integrator.kick(ship, this.getGravityField(ship));
+        }
+
+        // Apply gravity to bullets and update them
+        for (let i = this.bullets.length - 1; i >= 0; i--) {
+            const bullet = this.bullets[i];
+
+            if (!bullet.active) {
+                this.bullets.splice(i, 1);
+                continue;
+            }
+
+            // Torpedoes turn towards their target, then everything falls and moves
+            if (bullet.kind === 'torpedo') {
+                this.steerTorpedo(bullet);
+            }
+            if (this.feelsGravity(bullet)) {
+                this.moveWithGravity(bullet, () => bullet.update(this.boundary));
+            } else {
+                bullet.update(this.boundary);
+            }
+
+            // Check collision with the suns and planets
+            if (this.hitsBody(bullet.position, bullet.radius)) {
+                this.bullets.splice(i, 1);
+                continue;
+            }
+
+            // Armed mines go off when an enemy comes close
+            if (bullet.kind === 'mine' && this.isMineTriggered(bullet)) {
+                this.bullets.splice(i, 1);
+                if (this.detonateMine(bullet) && this.roundReset) break; // Bullets were cleared
+                continue;
+            }
+
+            // Check collision with ships
+            const hitShip = ships.find(ship => this.getBulletHit(bullet, ship));
+            if (!hitShip) continue;
+
+            if (hitShip.shieldActive) {
+                // Shield blocks bullet
+                this.stats.recordShieldBlock(hitShip);
+                this.bullets.splice(i, 1);
+                this.playSound('shield');
+                continue;
+            }
+
+            // Ship dies
+            this.bullets.splice(i, 1);
+            this.stats.recordHit(this.getShip(bullet.ownerId));
+            this.killShip(hitShip, this.getShip(bullet.ownerId), 'bullet');
+            if (this.roundReset) break; // Bullets were cleared
+        }
+
+        // Update ships
+        for (const ship of ships) {
+            this.integrator.move(ship, this.getGravityField(ship), () => ship.update(this.boundary));
+        }
+
+        // Check ship collision with the suns and planets; leaving an open arena costs a life too
+        for (const ship of ships) {
+            if (!ship.active) continue;
+            if (this.hitsBody(ship.position, ship.radius)) {
+                this.killShip(ship, null, 'sun');
+            } else if (this.boundary.isLost(ship, 'ship')) {
+                this.killShip(ship, null, 'edge');
+            }
+        }
+
+        // Check ship-to-ship collisions
+        if (this.collisions.restitution !== null) {
+            this.bounceShips(ships);
+        } else {
+            this.crashShips(ships);
+        }
+
+        // Update debris
+        this.updateDebris();
+        if (this.objectGravity) {
+            this.applyParticleGravity(this.debris);
+            for (const ship of ships) {
+                if (!ship.active) this.applyParticleGravity(ship.explosionParticles); // Only animated while respawning
+            }
+        }
+
+        // Update asteroids
+        if (this.hazardsEnabled) {
+            this.updateAsteroids();
+        }
+
+        // Update infalling stars
+        this.updateInfallingStars();
+
+        // Update power-ups
+        if (this.powerUpTable.length > 0) {
+            this.updatePowerUps();
+        }
+
+        this.stats.update();
+
+        // Remember when ships were eliminated (ranks the losers)
+        for (const ship of ships) {
+            if (!this.isAlive(ship) && ship.eliminatedAt === null) {
+                ship.eliminatedAt = this.frame;
+            }
+        }
+
+        this.frame++;
+    }
+
+    /**
+     * Classic ship-to-ship contact: every pair touching explodes
+     */
+    crashShips(ships) {
+        const collided = new Set();
+        for (let i = 0; i < ships.length; i++) {
+            for (let j = i + 1; j < ships.length; j++) {
+                const a = ships[i];
+                const b = ships[j];
+                if (a.active && b.active && a.position.distanceTo(b.position) < a.radius + b.radius) {
+                    collided.add(a);
+                    collided.add(b);
+                }
+            }
+        }
+        if (collided.size > 0) {
+            for (const ship of collided) {
+                this.destroyShip(ship, 'collision');
+            }
+            if (this.roundReset) {
+                this.bullets = []; // Clear bullets
+            }
+        }
+    }
+
+    /**
+     * Ship-to-ship contact with momentum: touching ships bounce off each other (shields included),
+     * and a hard enough hit destroys the unshielded ones. A ship that survives a ram gets the kill.
+     */
+    bounceShips(ships) {
+        const doomed = new Map(); // Ship -> the ship that rammed it (null if both went down)
+        for (let i = 0; i < ships.length; i++) {
+            for (let j = i + 1; j < ships.length; j++) {
+                const a = ships[i];
+                const b = ships[j];
+                if (!a.active || !b.active) continue;
+
+                const impact = Collision.resolve(a, b, this.getHitRadius(a) + this.getHitRadius(b), this.collisions.restitution);
+                if (impact === null) continue;
+                if (!this.isLethalImpact(impact)) {
+                    if (impact > 0) this.playSound('shield');
+                    continue;
+                }
+                if (!a.shieldActive) doomed.set(a, b.shieldActive ? b : null);
+                if (!b.shieldActive) doomed.set(b, a.shieldActive ? a : null);
+            }
+        }
+
+        for (const [ship, rammer] of doomed) {
+            if (rammer && !doomed.has(rammer)) {
+                this.killShip(ship, rammer, 'collision');
+            } else {
+                this.destroyShip(ship, 'collision');
+            }
+        }
+        if (doomed.size > 0 && this.roundReset) {
+            this.bullets = []; // Clear bullets
+        }
+    }
+
+    /**
+     * Check if a contact at this closing speed destroys an unshielded ship
+     */
+    isLethalImpact(speed) {
+        return this.collisions.lethalSpeed !== null && speed >= this.collisions.lethalSpeed;
+    }
+
+    /**
+     * Radius a ship is hit at (the shield bubble is a little larger than the hull)
+     */
+    getHitRadius(ship) {
+        return ship.radius + (ship.shieldActive ? 8 : 0);
+    }
+
+    /**
+     * Check if a bullet hits a ship it does not belong to (shield radius included)
+     * Without friendly fire, bullets pass through the shooter's teammates.
+     */
+    getBulletHit(bullet, ship) {
+        return this.canHit(bullet, ship) && bullet.checkCollision(ship.position, this.getHitRadius(ship));
+    }
+
+    /**
+     * Check if a bullet may hurt a ship at all (not its owner; not a teammate without friendly fire)
+     */
+    canHit(bullet, ship) {
+        if (!ship.active || bullet.ownerId === ship.id) return false;
+        if (!this.friendlyFire) {
+            const owner = this.getShip(bullet.ownerId);
+            if (owner && owner.team === ship.team) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Turn a torpedo towards the nearest active enemy of its owner, by at most the weapon's turn rate
+     */
+    steerTorpedo(torpedo) {
+        const owner = this.getShip(torpedo.ownerId);
+        if (!owner) return;
+        let target = null;
+        for (const enemy of this.getEnemies(owner)) {
+            if (enemy.active && (!target || this.boundary.getOffset(torpedo.position, enemy.position).magnitude() <
+                this.boundary.getOffset(torpedo.position, target.position).magnitude())) {
+                target = enemy;
+            }
+        }
+        if (!target) return;
+
+        const heading = Math.atan2(torpedo.velocity.y, torpedo.velocity.x);
+        const toTarget = this.boundary.getOffset(torpedo.position, target.position); // Short way round on a toroidal arena
+        let turn = Math.atan2(toTarget.y, toTarget.x) - heading;
+        turn = Math.atan2(Math.sin(turn), Math.cos(turn));
+        const turnRate = Weapon.TYPES.torpedo.turnRate;
+        turn = Math.max(-turnRate, Math.min(turnRate, turn));
+
+        const speed = torpedo.velocity.magnitude();
+        torpedo.velocity.set(Math.cos(heading + turn) * speed, Math.sin(heading + turn) * speed);
+    }
+
+    /**
+     * Check if an armed mine has an enemy ship within its trigger radius
+     */
+    isMineTriggered(mine) {
+        if (mine.getAge() < Weapon.TYPES.mine.armDelay) return false;
+        const owner = this.getShip(mine.ownerId);
+        return this.ships.some(ship => ship.active && (!owner || ship.team !== owner.team) &&
+            mine.position.distanceTo(ship.position) < Weapon.TYPES.mine.triggerRadius + ship.radius);
+    }
+
+    /**
+     * Blow up a mine: every ship it may hurt within the blast radius dies unless shielded
+     * @returns {boolean} True if a ship was destroyed
+     */
+    detonateMine(mine) {
+        const owner = this.getShip(mine.ownerId);
+        const victims = this.ships.filter(ship => this.canHit(mine, ship) &&
+            mine.position.distanceTo(ship.position) < Weapon.TYPES.mine.blastRadius + ship.radius);
+
+        // Blast ring (cosmetic, so it uses Math.random)
+        for (let i = 0; i < 16; i++) {
+            const angle = (Math.PI * 2 * i) / 16;
+            const speed = 2 + Math.random() * 2;
+            this.debris.push({
+                x: mine.position.x,
+                y: mine.position.y,
+                vx: Math.cos(angle) * speed,
+                vy: Math.sin(angle) * speed,
+                life: 1.0,
+                decay: 0.04 + Math.random() * 0.02,
+                size: 2 + Math.random() * 2,
+                color: '#FFA500'
+            });
+        }
+        this.playSound('explosion');
+
+        if (victims.some(ship => !ship.shieldActive)) this.stats.recordHit(owner);
+
+        let destroyed = false;
+        for (const ship of victims) {
+            if (ship.shieldActive) {
+                this.stats.recordShieldBlock(ship);
+                this.playSound('shield');
+            } else if (ship.active) {
+                this.killShip(ship, owner, 'bullet');
+                destroyed = true;
+            }
+        }
+        return destroyed;
+    }
+
+    /**
+     * Kill a ship, credit the killer and (in round play) reset the others for the next round
+     * @param {Ship|null} killer Ship whose bullet made the kill (null for the sun, asteroids...)
+     * @param {string} cause Key of MatchStats.CAUSES
+     */
+    killShip(ship, killer, cause) {
+        if (!ship.active) return;
+        this.destroyShip(ship, cause);
+        if (killer && killer.team !== ship.team) {
+            killer.kills++; // Teamkills don't count
+            this.stats.recordKill(killer);
+        }
+
+        if (this.roundReset) {
+            for (const other of this.ships) {
+                if (other !== ship && other.active) other.resetToStart();
+            }
+            this.bullets = []; // Clear all bullets
+        }
+    }
+
+    /**
+     * Destroy a ship; with shared lives the whole team's pool loses the life
+     * @param {string} cause Key of MatchStats.CAUSES
+     */
+    destroyShip(ship, cause) {
+        if (ship.active) this.stats.recordDeath(ship, cause);
+        ship.die(this.soundManager);
+        if (!this.sharedLives) return;
+
+        ship.lives = Math.max(0, ship.lives);
+        for (const mate of this.ships) {
+            if (mate.team === ship.team) mate.lives = ship.lives;
+        }
+    }
+
+    /**
+     * Spawn, move and collect power-ups
+     */
+    updatePowerUps() {
+        // Spawn chance (rare)
+        if (this.powerUps.length < 2 && this.rng.next() < 0.002) { // approx once every 8-10 seconds
+            this.spawnPowerUp();
+        }
+
+        for (let i = this.powerUps.length - 1; i >= 0; i--) {
+            const powerUp = this.powerUps[i];
+            if (this.objectGravity) {
+                powerUp.velocity.multiply(PowerUp.DRAG);
+                this.moveWithGravity(powerUp, () => powerUp.update(this.boundary));
+
+                // Lost in a sun or planet
+                if (this.hitsBody(powerUp.position, powerUp.radius)) {
+                    this.powerUps.splice(i, 1);
+                    continue;
+                }
+            } else {
+                powerUp.update(this.boundary);
+            }
+
+            // Drifted out of an open arena
+            if (!powerUp.active) {
+                this.powerUps.splice(i, 1);
+                continue;
+            }
+
+            // Check collision with ships
+            for (const ship of this.ships) {
+                if (!ship.active) continue;
+
+                const dist = powerUp.position.distanceTo(ship.position);
+                if (dist < powerUp.radius + ship.radius) {
+                    this.collectPowerUp(ship, powerUp);
+                    this.powerUps.splice(i, 1);
+                    this.playSound('shield'); // Reuse distinct sound
+                    break;
+                }
+            }
+        }
+    }
+
+    /**
+     * Spawn a power-up of a kind drawn from the spawn table
+     */
+    spawnPowerUp() {
+        const point = this.boundary.getRandomPoint(this.rng, PowerUp.RADIUS);
+        this.powerUps.push(new PowerUp(point.x, point.y, this.pickPowerUpKind(), this.rng));
+    }
+
+    /**
+     * Draw a power-up kind by spawn weight (a table of one kind draws nothing)
+     */
+    pickPowerUpKind() {
+        const table = this.powerUpTable;
+        if (table.length === 1) return table[0].kind;
+
+        let roll = this.rng.next() * table.reduce((sum, entry) => sum + entry.weight, 0);
+        for (const entry of table) {
+            roll -= entry.weight;
+            if (roll < 0) return entry.kind;
+        }
+        return table[table.length - 1].kind;
+    }
+
+    /**
+     * Give a ship what it picked up; an extra life goes into a shared pool like a lost one comes out
+     */
+    collectPowerUp(ship, powerUp) {
+        ship.applyPowerUp(powerUp.kind);
+        if (powerUp.kind !== 'extraLife' || !this.sharedLives) return;
+
+        for (const mate of this.ships) {
+            if (mate.team === ship.team) mate.lives = ship.lives;
+        }
+    }
+
+    /**
+     * Update and manage asteroids
+     */
+    updateAsteroids() {
+        // Spawn/Respawn a large rock while the field holds less rock than World.ASTEROID_MASS
+        const rockMass = this.asteroids.reduce((sum, asteroid) => sum + asteroid.mass, 0);
+        if (rockMass + Asteroid.getMass('large') <= World.ASTEROID_MASS) {
+            this.asteroidSpawnTimer++;
+            if (this.asteroidSpawnTimer > 300) { // Every 5 seconds if low
+                this.spawnAsteroid();
+                this.asteroidSpawnTimer = 0;
+            }
+        }
+
+        for (let i = this.asteroids.length - 1; i >= 0; i--) {
+            const asteroid = this.asteroids[i];
+            if (this.objectGravity) {
+                this.moveWithGravity(asteroid, () => asteroid.update(this.boundary));
+            } else {
+                asteroid.update(this.boundary);
+            }
+
+            // Collision with the suns and planets, or drifted out of an open arena
+            if (!asteroid.active || this.hitsBody(asteroid.position, asteroid.radius)) {
+                this.asteroids.splice(i, 1);
+                continue;
+            }
+
+            // Collision with ships
+            for (const ship of this.ships) {
+                if (!ship.active) continue;
+                if (this.collisions.restitution === null) {
+                    // Classic: deadly, but shields let the rock pass
+                    if (!ship.shieldActive && asteroid.position.distanceTo(ship.position) < asteroid.radius + ship.radius) {
+                        this.killShip(ship, null, 'asteroid');
+                    }
+                    continue;
+                }
+
+                const impact = Collision.resolve(ship, asteroid, this.getHitRadius(ship) + asteroid.radius,
+                    this.collisions.restitution);
+                if (impact === null) continue;
+                if (!ship.shieldActive && this.isLethalImpact(impact)) {
+                    this.killShip(ship, null, 'asteroid');
+                } else if (impact > 0) {
+                    this.playSound('shield');
+                }
+            }
+
+            // Collision with bullets (Bullet destroys asteroid)
+            for (let j = this.bullets.length - 1; j >= 0; j--) {
+                const bullet = this.bullets[j];
+                if (asteroid.position.distanceTo(bullet.position) < asteroid.radius + bullet.radius) {
+                    // Create debris
+                    const particles = asteroid.break();
+                    this.debris.push(...particles);
+
+                    // Split into smaller rocks (added behind this loop, so they move from the next step)
+                    this.asteroids.splice(i, 1);
+                    this.asteroids.push(...asteroid.split(this.rng));
+
+                    // Score for the shooter
+                    const shooter = this.getShip(bullet.ownerId);
+                    if (shooter) shooter.score += Asteroid.SIZES[asteroid.size].score;
+
+                    // Destroy bullet
+                    this.bullets.splice(j, 1);
+                    this.playSound('explosion');
+                    // Break loop since asteroid is gone
+                    break;
+                }
+            }
+        }
+    }
+
+    /**
+     * Spawn a new random asteroid
+     */
+    spawnAsteroid() {
+        const angle = this.rng.next() * Math.PI * 2;
+        const dist = this.playAreaRadius * 0.9;
+        const x = this.centerX + Math.cos(angle) * dist;
+        const y = this.centerY + Math.sin(angle) * dist;
+
+        let velocity;
+        if (this.objectGravity) {
+            // Sideways at up to circular orbit speed (v^2 = G * M / r): the slower ones
+            // swing in on tight ellipses and some of those end in a sun
+            const mass = this.bodies.reduce((sum, body) => sum + body.mass, 0);
+            const speed = Math.sqrt(this.G * mass / dist) * (0.2 + this.rng.next() * 0.8);
+            const direction = this.rng.next() < 0.5 ? 1 : -1;
+            velocity = new Vector2(-Math.sin(angle) * direction, Math.cos(angle) * direction).multiply(speed);
+        } else {
+            // Aim somewhat towards center but randomly
+            const targetX = this.centerX + (this.rng.next() - 0.5) * 400;
+            const targetY = this.centerY + (this.rng.next() - 0.5) * 400;
+
+            velocity = new Vector2(targetX - x, targetY - y);
+            velocity.normalize().multiply((1 + this.rng.next()) * Asteroid.SIZES.large.speed); // Random speed
+        }
+        this.asteroids.push(new Asteroid(x, y, 'large', velocity, this.rng));
+    }
+
+    /**
+     * Update space debris
+     */
+    updateDebris() {
+        for (let i = this.debris.length - 1; i >= 0; i--) {
+            const p = this.debris[i];
+            p.x += p.vx;
+            p.y += p.vy;
+            p.life -= p.decay;
+
+            if (p.life <= 0) {
+                this.debris.splice(i, 1);
+            }
+        }
+    }
+
+    /**
+     * Update infalling stars logic
+     */
+    updateInfallingStars() {
+        for (let i = this.infallingStars.length - 1; i >= 0; i--) {
+            const star = this.infallingStars[i];
+
+            // Apply gravity (mass 1, so a = F)
+            const gravityForce = this.getGravity(star.position, 1); // mass 1
+            star.velocity.add(gravityForce);
+
+            // Update position
+            star.position.add(star.velocity);
+
+            // Check collision/swallowed by a sun or planet
+            if (this.hitsBody(star.position, star.size)) {
+                // Remove and respawn
+                this.infallingStars.splice(i, 1);
+                this.spawnInfallingStar(false); // Respawn at edge
+            }
+        }
+    }
+
+    /**
+     * Check if a ship is still in the match: lives left, or still flying
+     * (with shared lives a ship can fly on after its team's pool ran out)
+     */
+    isAlive(ship) {
+        return ship.lives > 0 || ship.active;
+    }
+
+    /**
+     * Ships that are still in the match
+     */
+    getSurvivors() {
+        return this.ships.filter(ship => this.isAlive(ship));
+    }
+
+    /**
+     * Check if the match has ended (at most one team - or ship - is left)
+     */
+    isOver() {
+        return new Set(this.getSurvivors().map(ship => ship.team)).size <= 1;
+    }
+
+    /**
+     * Get the winning ship id (in team matches any surviving ship of the winning team),
+     * 0 for a draw, or null while the match runs
+     */
+    getWinner() {
+        if (!this.isOver()) return null;
+        const survivors = this.getSurvivors();
+        return survivors.length > 0 ? survivors[0].id : 0;
+    }
+
+    /**
+     * Ships ordered by placing: survivors first, then by how long they lasted, then kills
+     */
+    getStandings() {
+        const lasted = (ship) => (ship.eliminatedAt === null ? Infinity : ship.eliminatedAt);
+        return this.ships.slice().sort((a, b) =>
+            (b.lives - a.lives) || (lasted(b) - lasted(a)) || (b.kills - a.kills) || (a.id - b.id));
+    }
+
+    /**
+     * Hash of the gameplay state, for comparing two simulations (desync checks)
+     * @returns {number} 32-bit FNV-1a hash
+     */
+    getChecksum() {
+        const values = [this.frame, this.bullets.length, this.asteroids.length, this.powerUps.length];
+        for (const ship of this.ships) {
+            values.push(ship.lives, ship.active ? 1 : 0, ship.position.x, ship.position.y,
+                ship.velocity.x, ship.velocity.y, ship.angle, ship.energy, ship.fuel);
+        }
+
+        const text = values.map(v => (typeof v === 'number' ? v.toFixed(4) : v)).join('|');
+        let hash = 0x811C9DC5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+}
+
+World.MAX_SHIPS = 8;
+
+// Contact rules for ships and asteroids: lethalSpeed is the closing speed at which a hit destroys an
+// unshielded ship (0 = any touch, null = never), restitution the bounciness (null = no bounces at all,
+// the original rules where shields let rocks pass)
+World.COLLISIONS = {
+    classic: { name: 'CLASSIC', lethalSpeed: 0, restitution: null },
+    bounce: { name: 'BOUNCE', lethalSpeed: 1.5, restitution: 0.6 },
+    bumper: { name: 'BUMPER', lethalSpeed: null, restitution: 0.9 }
+};
+
+// Rulesets in menu order. 1962 follows the PDP-1 original: one sun, toroidal boundary, the Needle
+// and Wedge, no shields, asteroids or pickups, a fixed load of torpedoes (unaffected by gravity) and fuel
+// per life, and hyperspace jumps whose malfunction chance starts at hyperspaceRisk and grows by
+// hyperspaceRiskStep with every jump
+World.RULESETS = {
+    modern: { name: 'MODERN' },
+    '1962': { name: '1962', torpedoes: 32, hyperspaceCharges: 8, hyperspaceRisk: 0, hyperspaceRiskStep: 0.1 }
+};
+
+// Hyperspace malfunction models: chance of exploding on the first jump of a life (risk)
+// and how much each further jump adds (riskStep)
+World.MALFUNCTIONS = {
+    fixed: { name: 'FIXED', risk: 0.15, riskStep: 0 },
+    rising: { name: 'RISING', risk: 0.05, riskStep: 0.1 },
+    off: { name: 'OFF', risk: 0, riskStep: 0 }
+};
+
+// Safe hyperspace destinations: distance kept from body surfaces and from enemy ships,
+// and random points tried before settling for the roomiest
+World.HYPERSPACE = { bodyClearance: 80, enemyClearance: 150, attempts: 20 };
+
+// Most rock the hazards keep on the field: three large asteroids' worth (fragments count too)
+World.ASTEROID_MASS = 3 * Asteroid.getMass('large');
+
+// Arena layouts: gravitating bodies placed relative to the centre (x, y) or orbiting it
+// (orbit radius, period in steps, starting phase); see Sun for the body options
+World.ARENAS = {
+    classic: {
+        name: 'CLASSIC',
+        bodies: [{ mass: 1000, radius: 30 }]
+    },
+    binary: {
+        name: 'BINARY STARS',
+        bodies: [
+            { mass: 600, radius: 20, fieldRadius: 250, orbit: { radius: 60, period: 900, phase: 0 } },
+            { mass: 600, radius: 20, fieldRadius: 250, orbit: { radius: 60, period: 900, phase: Math.PI } }
+        ]
+    },
+    planet: {
+        name: 'SUN AND PLANET',
+        bodies: [
+            { mass: 1000, radius: 30 },
+            // Starts between spawn points so no ship begins next to it
+            { kind: 'planet', color: '#4682B4', mass: 400, radius: 14, fieldRadius: 100, orbit: { radius: 170, period: 2400, phase: Math.PI / 8 } }
+        ]
+    }
+};
+
+World.MAX_TEAMS = 4;
+
+// Ship colours and names by slot (ship id - 1); in team matches by team
+World.SHIP_COLORS = ['#00BFFF', '#FF1493', '#7CFC00', '#FFD700', '#FF8C00', '#9370DB', '#00FFCC', '#FF4444'];
+World.SHIP_NAMES = ['BLUE', 'PINK', 'GREEN', 'YELLOW', 'ORANGE', 'PURPLE', 'CYAN', 'RED'];
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = World;
+}
@@ -0,0 +1,167 @@
+/**
+ * headless.js
+ * Node entry point: loads the simulation classes and runs matches without a browser
+ *
+ * Usage: node headless.js [maxFrames] [seed] [shipCount] [teamCount] [arena] [integrator] [ruleset] [boundary] [powerUps] [rules]
+ *        node headless.js orbit [integrator|all] [steps] [radius]   (energy drift of a coasting ship)
+ */
+
+// The game scripts expect each other as globals (like <script> tags in index.html)
+const modules = ['Vector2', 'Random', 'Sun', 'Boundary', 'Integrator', 'Bullet', 'Weapon', 'Ship', 'Asteroid', 'PowerUp', 'Collision', 'AI', 'MatchStats', 'MatchRules', 'World', 'Trajectory', 'Replay', 'Lockstep', 'NetClient'];
+const classes = {};
+for (const name of modules) {
+    classes[name] = global[name] = require(`./${name}.js`);
+}
+
+/**
+ * Run a match with the AI flying every ship
+ * @param {Object} options World options (shipCount 2-8, teams, arena, objectGravity ...) plus maxFrames, aiDifficulty and record (attach a replay)
+ * @returns {Object} Result with winner id (0 = draw, null = unfinished), frame count and lives
+ */
+function runMatch(options = {}) {
+    const maxFrames = options.maxFrames || 60 * 60 * 5; // 5 minutes at 60 steps/s
+    const world = new classes.World(options);
+    world.reset();
+
+    const controllers = world.ships.map(ship => new classes.AI(
+        ship, world.getEnemies(ship), world.bodies, world.rng.derive(ship.id), world.boundary));
+    for (const ai of controllers) {
+        ai.setDifficulty(options.aiDifficulty || 'medium');
+    }
+
+    const replay = new classes.Replay({
+        seed: world.seed,
+        options: {
+            gameMode: world.teams ? 'teams' : world.shipCount > 2 ? 'ffa' : 'ai',
+            aiDifficulty: options.aiDifficulty || 'medium',
+            hazardsEnabled: world.hazardsEnabled,
+            fuelEnabled: world.fuelEnabled,
+            powerUps: world.powerUpWeights || false,
+            arena: world.arena,
+            integrator: world.integrator.type,
+            objectGravity: world.objectGravity,
+            collisions: world.collisions,
+            boundary: world.boundary.type,
+            hyperspaceMalfunction: world.hyperspaceMalfunction,
+            ruleset: world.ruleset,
+            rules: world.rules,
+            shipCount: world.shipCount,
+            teams: world.teams || undefined,
+            friendlyFire: world.friendlyFire,
+            sharedLives: world.sharedLives
+        },
+        shipCount: world.shipCount
+    });
+
+    while (!world.isOver() && world.frame < maxFrames) {
+        const inputs = controllers.map(ai => ai.update());
+        world.step(inputs);
+        replay.addFrame(inputs);
+    }
+
+    const result = getResult(world);
+    if (options.record) {
+        result.replay = replay.toJSON();
+    }
+    return result;
+}
+
+/**
+ * Re-run a recorded match
+ * @param {Object|string} data Replay JSON (object or text)
+ * @param {number} [frames] Stop after this many steps (defaults to the whole replay)
+ * @returns {Object} Result in the same shape as runMatch, plus the world for inspection
+ */
+function runReplay(data, frames) {
+    const replay = classes.Replay.fromJSON(data);
+    const world = new classes.World(Object.assign({}, replay.options, { seed: replay.seed }));
+    world.reset();
+
+    const end = Math.min(frames === undefined ? replay.length : frames, replay.length);
+    while (world.frame < end) {
+        world.step(replay.getInputs(world.frame));
+    }
+
+    return Object.assign(getResult(world), { world });
+}
+
+/**
+ * Coast a ship on a circular orbit around the classic sun and measure how well the integrator keeps it there
+ * @param {Object} options integrator, steps (default 5 minutes), radius (orbit radius, default 150)
+ * @returns {Object} Largest energy drift relative to the start, the range of orbit radii and
+ *   the step the ship crashed into the sun (null if it didn't)
+ */
+function runOrbitTest(options = {}) {
+    const steps = options.steps || 60 * 60 * 5;
+    const radius = options.radius || 150;
+    const world = new classes.World({ integrator: options.integrator });
+    world.reset();
+
+    // Circular orbit: v^2 = G * M / r
+    const sun = world.bodies[0];
+    const ship = world.ships[0];
+    ship.position.set(sun.position.x + radius, sun.position.y);
+    ship.velocity.set(0, Math.sqrt(world.G * sun.mass / radius));
+
+    const startEnergy = world.getOrbitalEnergy(ship);
+    let energyDrift = 0;
+    let minRadius = radius;
+    let maxRadius = radius;
+    let crashedAt = null;
+    for (let i = 0; i < steps; i++) {
+        const field = world.getGravityField(ship);
+        world.integrator.kick(ship, field);
+        world.integrator.move(ship, field, () => ship.update(world.boundary));
+        if (world.hitsBody(ship.position, ship.radius)) {
+            crashedAt = i + 1;
+            break;
+        }
+
+        const distance = ship.position.distanceTo(sun.position);
+        minRadius = Math.min(minRadius, distance);
+        maxRadius = Math.max(maxRadius, distance);
+        energyDrift = Math.max(energyDrift, Math.abs((world.getOrbitalEnergy(ship) - startEnergy) / startEnergy));
+    }
+
+    return { integrator: world.integrator.type, steps, energyDrift, minRadius, maxRadius, crashedAt };
+}
+
+/**
+ * Summarize a world's outcome
+ */
+function getResult(world) {
+    return {
+        seed: world.seed,
+        winner: world.getWinner(),
+        frames: world.frame,
+        lives: world.ships.map(ship => ship.lives),
+        teams: world.ships.map(ship => ship.team),
+        kills: world.ships.map(ship => ship.kills),
+        scores: world.ships.map(ship => ship.score)
+    };
+}
+
+module.exports = { ...classes, runMatch, runReplay, runOrbitTest };
+
+if (require.main === module && process.argv[2] === 'orbit') {
+    const integrators = process.argv[3] && process.argv[3] !== 'all' ? [process.argv[3]] : Object.keys(classes.Integrator.TYPES);
+    const steps = parseInt(process.argv[4], 10) || undefined;
+    const radius = parseFloat(process.argv[5]) || undefined;
+    for (const integrator of integrators) {
+        console.log(JSON.stringify(runOrbitTest({ integrator, steps, radius })));
+    }
+} else if (require.main === module) {
+    const maxFrames = parseInt(process.argv[2], 10) || undefined;
+    const seed = process.argv[3];
+    const shipCount = parseInt(process.argv[4], 10) || undefined;
+    const teamCount = parseInt(process.argv[5], 10) || 0;
+    // Teams are dealt out in turn: ship 1 team 1, ship 2 team 2, ...
+    const teams = teamCount > 1 ? [...Array(shipCount || 2).keys()].map(i => i % teamCount) : undefined;
+    const arena = process.argv[6];
+    const integrator = process.argv[7];
+    const ruleset = process.argv[8];
+    const boundary = process.argv[9];
+    const powerUps = process.argv[10] === 'on';
+    const rules = process.argv[11]; // Key of MatchRules.PRESETS
+    console.log(JSON.stringify(runMatch({ maxFrames, seed, shipCount, teams, arena, integrator, ruleset, boundary, powerUps, rules })));
+}
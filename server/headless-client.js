@@ -0,0 +1,123 @@
+/**
+ * headless-client.js
+ * Online player without a browser: joins the relay like a browser would and
+ * lets the AI fly its ship over lockstep. Used to test online play on localhost.
+ *
+ * Usage: node server/headless-client.js ws://localhost:8080 create
+ *        node server/headless-client.js ws://localhost:8080 join ABCD
+ */
+
+const { World, AI, Lockstep, NetClient } = require('../headless');
+const { WebSocketClient } = require('./websocket');
+
+/**
+ * Play one online match
+ * @param {Object} options url, code (join) or matchOptions (create), maxFrames, aiDifficulty, onRoomCreated(code)
+ * @param {Function} callback (err, result) with frames, winner, lives, checksum and desyncFrame
+ */
+function playOnline(options, callback) {
+    const client = new NetClient(options.url, WebSocketClient);
+    const maxFrames = options.maxFrames || Infinity;
+    let world = null;
+    let lockstep = null;
+    let ai = null;
+    let peerLeft = false;
+    let finished = false;
+
+    const finish = (err) => {
+        if (finished) return;
+        finished = true;
+        client.close();
+        if (err) {
+            callback(err);
+            return;
+        }
+        callback(null, {
+            frames: world.frame,
+            winner: world.getWinner(),
+            lives: world.ships.map(ship => ship.lives),
+            checksum: world.getChecksum(),
+            desyncFrame: lockstep.desyncFrame,
+            disconnected: peerLeft && !world.isOver() && world.frame < maxFrames
+        });
+    };
+
+    const pump = () => {
+        if (finished) return;
+
+        for (;;) {
+            if (lockstep.needsLocalInput()) {
+                const scheduled = lockstep.addLocalInput(ai.update());
+                client.sendInput(scheduled.frame, scheduled.input);
+            }
+            if (!lockstep.canStep()) break;
+
+            world.step(lockstep.advance());
+            if (world.frame % Lockstep.CHECKSUM_INTERVAL === 0) {
+                const checksum = world.getChecksum();
+                lockstep.addLocalChecksum(world.frame, checksum);
+                client.sendChecksum(world.frame, checksum);
+            }
+            if (world.isOver() || world.frame >= maxFrames) {
+                finish();
+                return;
+            }
+        }
+
+        if (peerLeft) {
+            finish();
+            return;
+        }
+        setTimeout(pump, 1);
+    };
+
+    client.onOpen = () => {
+        if (options.code) {
+            client.joinRoom(options.code);
+        } else {
+            client.createRoom(options.matchOptions || {});
+        }
+    };
+    client.onRoomCreated = (code) => {
+        if (options.onRoomCreated) options.onRoomCreated(code);
+    };
+    client.onStart = (start) => {
+        world = new World(Object.assign({}, start.options, { seed: start.seed }));
+        world.reset();
+        lockstep = new Lockstep(start.playerIndex, start.playerCount);
+
+        const ship = world.ships[start.playerIndex];
+        const enemy = world.ships[1 - start.playerIndex];
+        ai = new AI(ship, enemy, world.bodies, world.rng.derive(ship.id), world.boundary);
+        ai.setDifficulty(options.aiDifficulty || 'medium');
+        pump();
+    };
+    client.onInput = (playerIndex, frame, input) => lockstep.addRemoteInput(playerIndex, frame, input);
+    client.onChecksum = (playerIndex, frame, checksum) => lockstep.addRemoteChecksum(frame, checksum);
+    client.onPeerLeft = () => {
+        peerLeft = true;
+    };
+    client.onError = (message) => finish(new Error(message));
+    client.onClose = () => {
+        if (!world) finish(new Error('Connection closed before the match started'));
+        else peerLeft = true;
+    };
+}
+
+module.exports = { playOnline };
+
+if (require.main === module) {
+    const [url = 'ws://localhost:8080', action = 'create', code] = process.argv.slice(2);
+    playOnline({
+        url,
+        code: action === 'join' ? code : null,
+        onRoomCreated: (roomCode) => console.log(`Room code: ${roomCode}`)
+    }, (err, result) => {
+        if (err) {
+            console.error(err.message);
+            process.exitCode = 1;
+            return;
+        }
+        console.log(JSON.stringify(result));
+    });
+}
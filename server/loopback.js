@@ -0,0 +1,46 @@
+/**
+ * loopback.js
+ * Online play check on localhost: starts a relay server and two headless
+ * clients, plays a match over WebSocket and verifies both simulations agree.
+ *
+ * Usage: node server/loopback.js [maxFrames] [seed]
+ */
+
+const RelayServer = require('./relay');
+const { playOnline } = require('./headless-client');
+
+const maxFrames = parseInt(process.argv[2], 10) || 3600;
+const seed = process.argv[3] || 1962;
+const server = new RelayServer();
+
+server.listen(0, (port) => {
+    const url = `ws://localhost:${port}`;
+    const results = [];
+
+    const done = (err, result) => {
+        if (err) {
+            console.error(err.message);
+            process.exitCode = 1;
+            server.close();
+            return;
+        }
+        results.push(result);
+        if (results.length < 2) return;
+
+        const [host, guest] = results;
+        const same = host.frames === guest.frames && host.checksum === guest.checksum &&
+            host.desyncFrame === null && guest.desyncFrame === null;
+        console.log(`host:  ${JSON.stringify(host)}`);
+        console.log(`guest: ${JSON.stringify(guest)}`);
+        console.log(same ? 'OK: both clients simulated the same match' : 'FAIL: clients desynced');
+        if (!same) process.exitCode = 1;
+        server.close();
+    };
+
+    playOnline({
+        url,
+        maxFrames,
+        matchOptions: { seed, hazardsEnabled: true, fuelEnabled: true },
+        onRoomCreated: (code) => playOnline({ url, code, maxFrames, aiDifficulty: 'hard' }, done)
+    }, done);
+});
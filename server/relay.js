@@ -0,0 +1,278 @@
+/**
+ * relay.js
+ * Local relay server for online matches: serves the game files over HTTP and
+ * pairs two players per room, forwarding their inputs to each other (lockstep).
+ * The server never simulates; both clients run the same World from the same seed.
+ *
+ * Usage: node server/relay.js [port]   (then open http://localhost:8080 in two browsers)
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { acceptUpgrade } = require('./websocket');
+
+const ROOT = path.join(__dirname, '..');
+const CODE_LETTERS = 'ABCDEFGHJKLMNPQRSTUVWXYZ'; // No I/O to avoid confusion with 1/0
+const ROOM_TIMEOUT = 10 * 60 * 1000; // A room nobody joins closes after this long (ms)
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.json': 'application/json',
+    '.wav': 'audio/wav',
+    '.mp3': 'audio/mpeg',
+    '.png': 'image/png'
+};
+
+class RelayServer {
+    constructor() {
+        this.rooms = new Map(); // code -> {code, options, players: [client, client], timer}
+        this.clients = new Set();
+        this.roomTimeout = ROOM_TIMEOUT;
+
+        this.server = http.createServer((req, res) => this.serveStatic(req, res));
+        this.server.on('upgrade', (req, socket, head) => this.handleUpgrade(req, socket, head));
+    }
+
+    /**
+     * Start listening (port 0 picks a free port)
+     */
+    listen(port, callback) {
+        this.server.listen(port, () => {
+            if (callback) callback(this.server.address().port);
+        });
+    }
+
+    /**
+     * Stop the server and drop all connections
+     */
+    close(callback) {
+        for (const client of this.clients) {
+            client.socket.close();
+        }
+        this.clients.clear();
+        for (const room of this.rooms.values()) {
+            clearTimeout(room.timer);
+        }
+        this.rooms.clear();
+        this.server.close(callback);
+    }
+
+    /**
+     * Serve game files from the repository root
+     */
+    serveStatic(req, res) {
+        let urlPath;
+        try {
+            urlPath = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+        } catch (err) {
+            // Malformed escape such as %E0%A4%A
+            res.writeHead(400);
+            res.end('Bad request');
+            return;
+        }
+        const filePath = path.join(ROOT, urlPath === '/' ? 'index.html' : urlPath);
+        const type = CONTENT_TYPES[path.extname(filePath)];
+
+        if (!filePath.startsWith(ROOT + path.sep) || !type || filePath.includes(`${path.sep}server${path.sep}`)) {
+            res.writeHead(404);
+            res.end('Not found');
+            return;
+        }
+
+        fs.readFile(filePath, (err, data) => {
+            if (err) {
+                res.writeHead(404);
+                res.end('Not found');
+                return;
+            }
+            res.writeHead(200, { 'Content-Type': type });
+            res.end(data);
+        });
+    }
+
+    /**
+     * Accept a WebSocket connection
+     */
+    handleUpgrade(req, socket, head) {
+        const connection = acceptUpgrade(req, socket, head);
+        if (!connection) return;
+
+        const client = { socket: connection, room: null, playerIndex: null };
+        this.clients.add(client);
+        connection.onmessage = (event) => this.handleMessage(client, event.data);
+        connection.onclose = () => {
+            this.clients.delete(client);
+            this.leaveRoom(client);
+        };
+        connection.onerror = () => {};
+    }
+
+    /**
+     * Send a message to one client
+     */
+    send(client, message) {
+        client.socket.send(JSON.stringify(message));
+    }
+
+    /**
+     * Handle a client message
+     */
+    handleMessage(client, data) {
+        let message;
+        try {
+            message = JSON.parse(data);
+        } catch (err) {
+            this.send(client, { type: 'error', message: 'Malformed message' });
+            return;
+        }
+        // Valid JSON that isn't a message object (null, 42, [...])
+        if (typeof message !== 'object' || message === null || Array.isArray(message)) {
+            this.send(client, { type: 'error', message: 'Malformed message' });
+            return;
+        }
+
+        switch (message.type) {
+            case 'create':
+                if (message.options !== undefined && !isPlainObject(message.options)) {
+                    this.send(client, { type: 'error', message: 'Malformed room options' });
+                    break;
+                }
+                this.createRoom(client, message.options || {});
+                break;
+            case 'join':
+                this.joinRoom(client, String(message.code || '').toUpperCase());
+                break;
+            case 'input':
+            case 'checksum':
+                this.forward(client, message);
+                break;
+            default:
+                this.send(client, { type: 'error', message: `Unknown message type: ${message.type}` });
+        }
+    }
+
+    /**
+     * Open a room and wait for a second player
+     */
+    createRoom(client, options) {
+        if (client.room) {
+            this.send(client, { type: 'error', message: 'Already in a room' });
+            return;
+        }
+
+        const code = this.generateCode();
+        const room = { code, options, players: [client], timer: null };
+        room.timer = setTimeout(() => this.expireRoom(room), this.roomTimeout);
+        this.rooms.set(code, room);
+        client.room = room;
+        client.playerIndex = 0;
+        this.send(client, { type: 'created', code });
+    }
+
+    /**
+     * Join a waiting room and start the match for both players
+     */
+    joinRoom(client, code) {
+        const room = this.rooms.get(code);
+        if (client.room) {
+            this.send(client, { type: 'error', message: 'Already in a room' });
+            return;
+        }
+        if (!room) {
+            this.send(client, { type: 'error', message: `No room ${code}` });
+            return;
+        }
+        if (room.players.length >= 2) {
+            this.send(client, { type: 'error', message: `Room ${code} is full` });
+            return;
+        }
+
+        clearTimeout(room.timer);
+        room.players.push(client);
+        client.room = room;
+        client.playerIndex = 1;
+
+        room.players.forEach((player, index) => {
+            this.send(player, {
+                type: 'start',
+                seed: room.options.seed,
+                options: room.options,
+                playerIndex: index,
+                playerCount: room.players.length
+            });
+        });
+    }
+
+    /**
+     * Relay an input or checksum to the other players in the room
+     */
+    forward(client, message) {
+        const room = client.room;
+        if (!room || !Number.isInteger(message.frame)) return;
+
+        const relayed = Object.assign({}, message, { playerIndex: client.playerIndex });
+        for (const player of room.players) {
+            if (player !== client) this.send(player, relayed);
+        }
+    }
+
+    /**
+     * Remove a disconnected client and tell the other player
+     */
+    leaveRoom(client) {
+        const room = client.room;
+        if (!room) return;
+
+        client.room = null;
+        clearTimeout(room.timer);
+        room.players = room.players.filter(player => player !== client);
+        for (const player of room.players) {
+            this.send(player, { type: 'peer-left' });
+            player.room = null;
+        }
+        this.rooms.delete(room.code);
+    }
+
+    /**
+     * Close a room that nobody joined in time and tell its creator
+     */
+    expireRoom(room) {
+        if (this.rooms.get(room.code) !== room) return;
+        this.rooms.delete(room.code);
+        for (const player of room.players) {
+            player.room = null;
+            this.send(player, { type: 'error', message: `Room ${room.code} expired` });
+        }
+    }
+
+    /**
+     * Pick an unused four-letter room code
+     */
+    generateCode() {
+        let code;
+        do {
+            code = '';
+            for (let i = 0; i < 4; i++) {
+                code += CODE_LETTERS[Math.floor(Math.random() * CODE_LETTERS.length)];
+            }
+        } while (this.rooms.has(code));
+        return code;
+    }
+}
+
+/**
+ * Check whether a value is a plain {...} object (not null, an array or a primitive)
+ */
+function isPlainObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+module.exports = RelayServer;
+
+if (require.main === module) {
+    const port = parseInt(process.argv[2], 10) || 8080;
+    new RelayServer().listen(port, (actualPort) => {
+        console.log(`Spacewar! relay server on http://localhost:${actualPort}`);
+    });
+}
@@ -0,0 +1,299 @@
+/**
+ * websocket.js
+ * Minimal dependency-free WebSocket (RFC 6455) for the relay server and headless clients
+ * Text messages only; connections use the browser WebSocket callback API
+ * (onopen, onmessage({data}), onclose, onerror, send, close) so NetClient works unchanged.
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+
+const GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_PAYLOAD = 64 * 1024; // Game messages are tiny
+
+const OPCODE_CONTINUATION = 0x0;
+const OPCODE_TEXT = 0x1;
+const OPCODE_BINARY = 0x2;
+const OPCODE_CLOSE = 0x8;
+const OPCODE_PING = 0x9;
+const OPCODE_PONG = 0xA;
+
+/**
+ * Compute the Sec-WebSocket-Accept value for a handshake key
+ */
+function acceptKey(key) {
+    return crypto.createHash('sha1').update(key + GUID).digest('base64');
+}
+
+class WebSocketConnection {
+    /**
+     * @param {net.Socket|null} socket Upgraded TCP socket (attached later for clients)
+     * @param {boolean} isClient Clients must mask the frames they send
+     */
+    constructor(socket, isClient) {
+        this.isClient = isClient;
+        this.readyState = WebSocketConnection.CONNECTING;
+        this.buffer = Buffer.alloc(0);
+        this.fragments = [];
+        this.fragmentsLength = 0; // Bytes of the message being reassembled
+
+        this.onopen = null;
+        this.onmessage = null;
+        this.onclose = null;
+        this.onerror = null;
+
+        if (socket) {
+            this.attach(socket);
+        }
+    }
+
+    /**
+     * Start reading frames from an upgraded socket
+     */
+    attach(socket, head) {
+        this.socket = socket;
+        this.readyState = WebSocketConnection.OPEN;
+        socket.setNoDelay(true);
+        socket.on('data', (chunk) => this.handleData(chunk));
+        socket.on('error', (err) => {
+            if (this.onerror) this.onerror(err);
+        });
+        socket.on('close', () => this.handleClose());
+
+        if (head && head.length > 0) {
+            this.handleData(head);
+        }
+    }
+
+    /**
+     * Parse as many complete frames as the buffer holds
+     */
+    handleData(chunk) {
+        this.buffer = Buffer.concat([this.buffer, chunk]);
+
+        while (this.buffer.length >= 2) {
+            const buffer = this.buffer;
+            const fin = (buffer[0] & 0x80) !== 0;
+            const opcode = buffer[0] & 0x0F;
+            const masked = (buffer[1] & 0x80) !== 0;
+            let length = buffer[1] & 0x7F;
+            let offset = 2;
+
+            if (length === 126) {
+                if (buffer.length < 4) return;
+                length = buffer.readUInt16BE(2);
+                offset = 4;
+            } else if (length === 127) {
+                if (buffer.length < 10) return;
+                length = Number(buffer.readBigUInt64BE(2));
+                offset = 10;
+            }
+
+            if (length > MAX_PAYLOAD) {
+                this.close(1009, 'Message too big');
+                return;
+            }
+
+            const maskOffset = offset;
+            if (masked) offset += 4;
+            if (buffer.length < offset + length) return;
+
+            let payload = Buffer.from(buffer.subarray(offset, offset + length));
+            if (masked) {
+                for (let i = 0; i < payload.length; i++) {
+                    payload[i] ^= buffer[maskOffset + (i % 4)];
+                }
+            }
+
+            this.buffer = buffer.subarray(offset + length);
+            this.handleFrame(fin, opcode, payload);
+        }
+    }
+
+    /**
+     * Handle one decoded frame
+     */
+    handleFrame(fin, opcode, payload) {
+        switch (opcode) {
+            case OPCODE_TEXT:
+            case OPCODE_BINARY:
+            case OPCODE_CONTINUATION:
+                if (this.readyState !== WebSocketConnection.OPEN) break; // Closing: only the close frame matters
+                // The size limit applies to the whole message, not just each fragment
+                this.fragmentsLength += payload.length;
+                if (this.fragmentsLength > MAX_PAYLOAD) {
+                    this.fragments = [];
+                    this.fragmentsLength = 0;
+                    this.close(1009, 'Message too big');
+                    break;
+                }
+                this.fragments.push(payload);
+                if (fin) {
+                    const data = Buffer.concat(this.fragments).toString('utf8');
+                    this.fragments = [];
+                    this.fragmentsLength = 0;
+                    if (this.onmessage) this.onmessage({ data });
+                }
+                break;
+            case OPCODE_CLOSE:
+                if (this.readyState === WebSocketConnection.OPEN) {
+                    this.sendFrame(OPCODE_CLOSE, payload.subarray(0, 2));
+                }
+                this.readyState = WebSocketConnection.CLOSING;
+                this.socket.end();
+                break;
+            case OPCODE_PING:
+                this.sendFrame(OPCODE_PONG, payload);
+                break;
+            case OPCODE_PONG:
+                break;
+        }
+    }
+
+    /**
+     * Write a single (unfragmented) frame
+     */
+    sendFrame(opcode, payload) {
+        if (!this.socket || this.socket.destroyed) return;
+
+        const length = payload.length;
+        let header;
+        if (length < 126) {
+            header = Buffer.alloc(2);
+            header[1] = length;
+        } else if (length < 65536) {
+            header = Buffer.alloc(4);
+            header[1] = 126;
+            header.writeUInt16BE(length, 2);
+        } else {
+            header = Buffer.alloc(10);
+            header[1] = 127;
+            header.writeBigUInt64BE(BigInt(length), 2);
+        }
+        header[0] = 0x80 | opcode;
+
+        if (this.isClient) {
+            // Client frames are masked with a random key
+            const mask = crypto.randomBytes(4);
+            header[1] |= 0x80;
+            const masked = Buffer.from(payload);
+            for (let i = 0; i < masked.length; i++) {
+                masked[i] ^= mask[i % 4];
+            }
+            this.socket.write(Buffer.concat([header, mask, masked]));
+        } else {
+            this.socket.write(Buffer.concat([header, payload]));
+        }
+    }
+
+    /**
+     * Send a text message
+     */
+    send(text) {
+        if (this.readyState !== WebSocketConnection.OPEN) return;
+        this.sendFrame(OPCODE_TEXT, Buffer.from(String(text), 'utf8'));
+    }
+
+    /**
+     * Start the closing handshake
+     */
+    close(code = 1000, reason = '') {
+        if (this.readyState !== WebSocketConnection.OPEN) {
+            if (this.socket) this.socket.destroy();
+            return;
+        }
+
+        const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+        payload.writeUInt16BE(code, 0);
+        payload.write(reason, 2);
+        this.sendFrame(OPCODE_CLOSE, payload);
+        this.readyState = WebSocketConnection.CLOSING;
+
+        // Don't wait forever for the other side's close frame
+        setTimeout(() => this.socket.destroy(), 1000).unref();
+    }
+
+    /**
+     * Socket closed (either side)
+     */
+    handleClose() {
+        if (this.readyState === WebSocketConnection.CLOSED) return;
+        this.readyState = WebSocketConnection.CLOSED;
+        if (this.onclose) this.onclose({});
+    }
+}
+
+WebSocketConnection.CONNECTING = 0;
+WebSocketConnection.OPEN = 1;
+WebSocketConnection.CLOSING = 2;
+WebSocketConnection.CLOSED = 3;
+
+/**
+ * Client connection, constructed like the browser's `new WebSocket(url)`
+ */
+class WebSocketClient extends WebSocketConnection {
+    constructor(url) {
+        super(null, true);
+
+        const target = new URL(url);
+        const key = crypto.randomBytes(16).toString('base64');
+        const request = http.request({
+            host: target.hostname,
+            port: target.port || 80,
+            path: target.pathname + target.search,
+            headers: {
+                Connection: 'Upgrade',
+                Upgrade: 'websocket',
+                'Sec-WebSocket-Key': key,
+                'Sec-WebSocket-Version': '13'
+            }
+        });
+
+        request.on('upgrade', (res, socket, head) => {
+            if (res.headers['sec-websocket-accept'] !== acceptKey(key)) {
+                socket.destroy();
+                this.fail(new Error('Invalid WebSocket handshake'));
+                return;
+            }
+            this.attach(socket, head);
+            if (this.onopen) this.onopen({});
+        });
+        request.on('response', () => this.fail(new Error('Server refused WebSocket upgrade')));
+        request.on('error', (err) => this.fail(err));
+        request.end();
+    }
+
+    /**
+     * Report a failed connection attempt
+     */
+    fail(err) {
+        if (this.onerror) this.onerror(err);
+        this.handleClose();
+    }
+}
+
+/**
+ * Complete the server side of the handshake for an HTTP 'upgrade' request
+ * @returns {WebSocketConnection|null} The open connection, or null if the request was rejected
+ */
+function acceptUpgrade(req, socket, head) {
+    const key = req.headers['sec-websocket-key'];
+    if (!key || String(req.headers.upgrade).toLowerCase() !== 'websocket') {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return null;
+    }
+
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${acceptKey(key)}`,
+        '', ''
+    ].join('\r\n'));
+
+    const connection = new WebSocketConnection(null, false);
+    connection.attach(socket, head);
+    return connection;
+}
+
+module.exports = { WebSocketConnection, WebSocketClient, acceptUpgrade };